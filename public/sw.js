@@ -0,0 +1,62 @@
+// ------------------------
+// SERVICE WORKER
+// ------------------------
+// Gør appen installérbar og lader den starte uden forbindelse. Kun selve appen
+// (HTML, JS, CSS, ikoner) caches her; bookinger caches i localStorage af offline.js.
+
+const CACHE_NAME = "isk-booking-v1";
+const APP_SHELL = ["/", "/index.html", "/favicon.svg", "/manifest.webmanifest"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Supabase og andre domæner går altid direkte på nettet
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Sider: netværk først (så man får nyeste version), ellers den cachede index.html
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          // En fejlside (fx 404 eller 500) må ikke erstatte den cachede app
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put("/index.html", copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // Filer fra build (navne med hash): cache først, og gem nye filer efterhånden
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ??
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
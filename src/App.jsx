@@ -1,731 +1,4805 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { createClient } from "@supabase/supabase-js";
-
-// Supabase-klienten bruger 2 "nøgler" fra Netlify/StackBlitz miljøvariabler.
-// De skal være sat som VITE_SUPABASE_URL og VITE_SUPABASE_ANON_KEY.
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
+import React, { useEffect, useEffectEvent, useId, useMemo, useRef, useState } from "react";
+import {
+  SLOT_MINS,
+  addDays,
+  addMonths,
+  anchorDate,
+  bookingKey,
+  buildSlots,
+  findOverlappingBooking,
+  formatSlotLabel,
+  isISODate,
+  isSameBooking,
+  isoWeekString,
+  lastDayOfMonth,
+  minutesToHHMM,
+  monthWindow,
+  mondayOfIsoWeek,
+  pad2,
+  parseISODate,
+  rangesOverlap,
+  slotSpan,
+  startOfWeekMonday,
+  toISODate,
+  todayISO,
+  wallClock,
+  weekWindow,
+  weekdayIndex,
+} from "./calendar.js";
+import { bookingUID, buildICalendar, downloadICS, icalFeedUrl, toWebcalUrl } from "./ics.js";
+import { bookingsToCSV, buildUtilizationReport, downloadCSV, reportToCSV } from "./report.js";
+import { I18nContext, LOCALES, createI18n, getStoredLocale, storeLocale, useI18n } from "./i18n.js";
+import {
+  DEFAULT_CLOSE_MINS,
+  DEFAULT_OPEN_MINS,
+  DEFAULT_SCHEDULE,
+  closedReason,
+  dayClosure,
+  normalizeSchedule,
+  openingHoursFor,
+  scheduleBounds,
+} from "./hours.js";
+import {
+  CHECK_IN_EARLY_MINS,
+  DEFAULT_RULES,
+  WAITLIST_HOLD_MINS,
+  checkPolicy,
+  normalizeRules,
+  rulesFor,
+} from "./policy.js";
+import {
+  applyPendingOps,
+  createPendingOp,
+  isNetworkError,
+  loadPendingOps,
+  readCachedBookings,
+  readCachedRooms,
+  readCachedRules,
+  readCachedSchedule,
+  retryDelay,
+  savePendingOps,
+  writeCachedBookings,
+  writeCachedRooms,
+  writeCachedRules,
+  writeCachedSchedule,
+} from "./offline.js";
+import { storage } from "./storage/index.js";
 
 // ------------------------
 // KONFIG
 // ------------------------
 
-const ROOMS = [
-  "Lokale 301 (22 personer)",
-  "Lokale 308 (6 personer)",
-  "Lokale 315 (6 personer)",
-];
+// Booking-enheden (SLOT_MINS) ligger i calendar.js. Åbningstider og lukkedage hentes fra databasen, se hours.js
+const DEFAULT_BOOKING_MINS = 60;
+
+// Gentagne bookinger: sikkerhedsgrænse så en serie ikke kan fylde kalenderen i årevis
+const MAX_SERIES_OCCURRENCES = 104;
+
+// Hemmelig ejer-nøgle i browseren: kun den, der har lavet en booking, kan slette den.
+// Databasen gemmer kun en SHA-256 hash af nøglen (owner_hash).
+const OWNER_TOKEN_STORAGE_KEY = "isk-booking-owner-token";
+
+// Bookerens navn huskes i browseren, så "Dit navn" og "Mine bookinger" er udfyldt
+const BOOKER_NAME_STORAGE_KEY = "isk-booking-name";
+
+// Postgres-fejlkode når databasen afviser en handling (fx slet af andres booking)
+const PG_INSUFFICIENT_PRIVILEGE = "42501";
+// ... og når bookingen ikke findes længere (fx slettet, mens man rettede den)
+const PG_NO_DATA_FOUND = "P0002";
+
+// Historik: antal hændelser der hentes ad gangen
+const HISTORY_LIMIT = 100;
+
+// Søgning og "Mine bookinger": højst så mange resultater
+const SEARCH_LIMIT = 200;
+
+// Har fanen ligget i baggrunden så længe, hentes bookingerne igen (realtime kan være sat på pause)
+const BACKGROUND_RESYNC_MS = 60 * 1000;
 
-// Dansk: ugedage og måneder
-const DK_DAY = ["Man", "Tir", "Ons", "Tor", "Fre", "Lør", "Søn"];
-const DK_MONTH = ["jan", "feb", "mar", "apr", "maj", "jun", "jul", "aug", "sep", "okt", "nov", "dec"];
+// ... og når lokalet er lukket i tidsrummet (triggeren bookings_check_open)
+const PG_CHECK_VIOLATION = "23514";
+// ... og når en bookingregel er brudt (bookings_check_policy; reglen står i fejlens hint).
+// Også når tidsrummet holdes til den første på ventelisten (bookings_check_waitlist, hint "held")
+const PG_RAISE_EXCEPTION = "P0001";
+
+// Postgres-fejlkoder når en anden har booket tidsrummet først:
+// "unique_violation" og "exclusion_violation" (overlappende tidsrum)
+const PG_UNIQUE_VIOLATION = "23505";
+const PG_EXCLUSION_VIOLATION = "23P01";
 
 // ------------------------
 // SMÅ HJÆLPEFUNKTIONER
 // ------------------------
 
-function pad2(n) {
-  return String(n).padStart(2, "0");
+// Alle datoer i en gentagelse: hver `intervalWeeks`. uge på de valgte ugedage (Man=0..Søn=6),
+// fra startdatoen og indtil `untilDate` eller `count` forekomster.
+function buildSeriesDates({ startDate, intervalWeeks, weekdays, untilDate, count }) {
+  const dates = [];
+  const days = [...weekdays].sort((a, b) => a - b);
+  if (days.length === 0) return dates;
+
+  const limit = Math.min(count ?? MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  let monday = startOfWeekMonday(parseISODate(startDate));
+
+  while (dates.length < limit) {
+    for (const wd of days) {
+      const date = toISODate(addDays(monday, wd));
+      if (date < startDate) continue;
+      if (untilDate && date > untilDate) return dates;
+      dates.push(date);
+      if (dates.length >= limit) return dates;
+    }
+    monday = addDays(monday, 7 * intervalWeeks);
+  }
+  return dates;
 }
 
-function minutesToHHMM(mins) {
-  const h = Math.floor(mins / 60);
-  const m = mins % 60;
-  return `${pad2(h)}:${pad2(m)}`;
+// De datoer i en serie, hvor tidsrummet er optaget, lokalet er lukket, eller en bookingregel
+// er brudt. Forekomsterne før tæller med i ugekvoten, ligesom når databasen gemmer dem.
+function findSeriesConflicts(bookings, cell, dates, { schedule, rules, name }) {
+  const planned = [];
+  const conflicts = [];
+  for (const date of dates) {
+    const occurrence = { ...cell, date, name };
+    const booking = findOverlappingBooking(bookings, cell.roomId, date, cell.startMins, cell.endMins);
+    const closed = closedReason(schedule, cell.roomId, date, cell.startMins, cell.endMins);
+    const broken = booking || closed ? null : checkPolicy(rules, occurrence, [...bookings, ...planned]);
+    if (booking || closed || broken) conflicts.push({ date, booking, closed, broken });
+    else planned.push(occurrence);
+  }
+  return conflicts;
 }
 
-function formatSlotLabel(startMins) {
-  const endMins = startMins + 60; // 60 min slot
-  return `${minutesToHHMM(startMins)}-${minutesToHHMM(endMins)}`;
+function normalizeBookings(data) {
+  // Supabase returnerer typisk start_mins, men i app’en bruger vi startMins
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter((b) => b && b.room_id && b.date && typeof b.start_mins === "number" && b.name)
+    .map((b) => ({
+      id: b.id ?? null,
+      roomId: b.room_id,
+      date: typeof b.date === "string" ? b.date : String(b.date),
+      startMins: b.start_mins,
+      // Gamle bookinger fra før end_mins var faste 60-min slots
+      endMins: typeof b.end_mins === "number" ? b.end_mins : b.start_mins + 60,
+      name: String(b.name).trim(),
+      seriesId: b.series_id ?? null,
+      ownerHash: b.owner_hash ?? null,
+      checkedInAt: b.checked_in_at ?? null, // tjekket ind på dør-tabletten (ISO-tidspunkt)
+    }));
 }
 
-function toISODate(dateLike) {
-  // YYYY-MM-DD (lokal tid)
-  const d = new Date(dateLike);
-  const year = d.getFullYear();
-  const month = pad2(d.getMonth() + 1);
-  const day = pad2(d.getDate());
-  return `${year}-${month}-${day}`;
+function getOwnerToken() {
+  let token = localStorage.getItem(OWNER_TOKEN_STORAGE_KEY);
+  if (!token) {
+    token = crypto.randomUUID();
+    localStorage.setItem(OWNER_TOKEN_STORAGE_KEY, token);
+  }
+  return token;
 }
 
-function addDays(dateLike, days) {
-  const d = new Date(dateLike);
-  d.setDate(d.getDate() + days);
-  return d;
+function readBookerName() {
+  try {
+    return localStorage.getItem(BOOKER_NAME_STORAGE_KEY) ?? "";
+  } catch {
+    return "";
+  }
 }
 
-function startOfWeekMonday(dateLike) {
-  const d = new Date(dateLike);
-  const day = d.getDay(); // 0=Sun..6=Sat
-  const diffToMonday = (day + 6) % 7; // Mon=>0, Tue=>1, ..., Sun=>6
-  d.setHours(0, 0, 0, 0);
-  d.setDate(d.getDate() - diffToMonday);
-  return d;
+function storeBookerName(name) {
+  try {
+    localStorage.setItem(BOOKER_NAME_STORAGE_KEY, name);
+  } catch {
+    // Blokeret localStorage: navnet skal bare skrives igen næste gang
+  }
 }
 
-function formatDanishDayLabel(dateLike) {
-  const d = new Date(dateLike);
-  const jsDay = d.getDay(); // Sun=0
-  const dkIndex = jsDay === 0 ? 6 : jsDay - 1; // Mon=0..Sun=6
-  const dayName = DK_DAY[dkIndex];
-  const day = d.getDate();
-  const month = DK_MONTH[d.getMonth()];
-  return `${dayName} ${day}. ${month}`;
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-function formatWeekRange(mondayLike) {
-  const start = new Date(mondayLike);
-  const end = addDays(start, 4);
-  const sDay = start.getDate();
-  const sMonth = DK_MONTH[start.getMonth()];
-  const eDay = end.getDate();
-  const eMonth = DK_MONTH[end.getMonth()];
-  if (start.getMonth() === end.getMonth()) return `${sDay}.–${eDay}. ${sMonth}`;
-  return `${sDay}. ${sMonth} – ${eDay}. ${eMonth}`;
+// Hashen beregnes kun én gang pr. side-indlæsning
+let ownerHashPromise = null;
+function getOwnerHash() {
+  if (!ownerHashPromise) ownerHashPromise = sha256Hex(getOwnerToken());
+  return ownerHashPromise;
 }
 
-function buildSlots() {
-  // 08:00 til 17:00 i 60-min blokke => 9 slots: 08-09 ... 16-17
-  const slots = [];
-  for (let m = 8 * 60; m < 17 * 60; m += 60) {
-    slots.push({ startMins: m, label: formatSlotLabel(m) });
-  }
-  return slots;
+// booking_audit gemmer hele rækken som jsonb (snake_case) før og efter ændringen
+function normalizeHistory(data) {
+  if (!Array.isArray(data)) return [];
+  return data.map((h) => ({
+    id: h.id,
+    bookingId: String(h.booking_id),
+    action: h.action,
+    before: h.old_data ? normalizeBookings([h.old_data])[0] ?? null : null,
+    after: h.new_data ? normalizeBookings([h.new_data])[0] ?? null : null,
+    actor: h.actor,
+    changedAt: new Date(h.changed_at),
+  }));
 }
 
-// Vi bruger en “nøgle” i app’en til hurtig opslagsværdi.
-// Den er kun til app’en (ikke databasen).
-function bookingKey(room, date, startMins) {
-  return `${room}__${date}__${startMins}`;
+// "browser:ab12cd34" er de første 8 tegn af ejer-hashen (se set_booking_actor).
+// "kiosk" og "auto-release" er check-in og frigivelse fra dør-tabletten (check_in_booking m.fl.),
+// "email-link" er aflysningslinket i bekræftelsesmailen (cancel_booking_from_email)
+function formatActor(actor, ownerHash, t) {
+  if (!actor || actor === "ukendt") return t("actor.unknown");
+  if (actor === "kiosk") return t("actor.kiosk");
+  if (actor === "auto-release") return t("actor.autoRelease");
+  if (actor === "email-link") return t("actor.emailLink");
+  if (actor.startsWith("browser:")) {
+    const prefix = actor.slice("browser:".length);
+    return ownerHash?.startsWith(prefix) ? t("actor.you") : t("actor.otherBrowser", { id: prefix });
+  }
+  return actor;
 }
 
-function normalizeBookings(data) {
-  // Supabase returnerer typisk start_mins, men i app’en bruger vi startMins
+function normalizeRooms(data) {
   if (!Array.isArray(data)) return [];
   return data
-    .filter((b) => b && b.room && b.date && typeof b.start_mins === "number" && b.name)
-    .map((b) => ({
-      room: b.room,
-      date: typeof b.date === "string" ? b.date : String(b.date),
-      startMins: b.start_mins,
-      name: String(b.name).trim(),
+    .filter((r) => r && r.id && r.name)
+    .map((r) => ({
+      id: r.id,
+      name: String(r.name),
+      capacity: typeof r.capacity === "number" ? r.capacity : null,
+      floor: typeof r.floor === "number" ? r.floor : null,
+      equipment: Array.isArray(r.equipment) ? r.equipment : [],
+      // Minutter til at tjekke ind på dør-tabletten; null = lokalet kræver ikke check-in
+      checkInGraceMins: typeof r.check_in_grace_mins === "number" ? r.check_in_grace_mins : null,
     }));
 }
 
+function formatRoomLabel(room, { t, plural }) {
+  if (!room) return "";
+  return room.capacity ? t("room.withCapacity", { name: room.name, people: plural("room.people", room.capacity) }) : room.name;
+}
+
+// Kort tekst til en lukket celle/dag: helligdagens navn, lukkeperiodens årsag eller "Lukket"
+function closedLabel(reason, t) {
+  if (reason.holidayKey) return t(reason.holidayKey);
+  return reason.reason || t("common.closed");
+}
+
+// Fejltekst når et tidsrum ikke kan bookes (reason fra closedReason() i hours.js)
+function closedMessage(reason, date, { t, formatDay }) {
+  if (reason.outsideHours) {
+    return t("error.outsideHours", {
+      open: minutesToHHMM(reason.outsideHours.openMins),
+      close: minutesToHHMM(reason.outsideHours.closeMins),
+    });
+  }
+  if (reason.weekdayClosed) return t("error.closedWeekday", { day: formatDay(date) });
+  return t("error.closedDay", { day: formatDay(date), reason: closedLabel(reason, t) });
+}
+
+// "4 timer" / "1,5 timer"
+function formatHoursCount(hours, { plural, formatNumber }) {
+  return plural("policy.hours", hours, { count: formatNumber(hours, Number.isInteger(hours) ? 0 : 1) });
+}
+
+// Fejltekst for en brudt bookingregel (broken fra checkPolicy() i policy.js)
+function policyMessage(broken, i18n) {
+  const { t } = i18n;
+  if (broken.rule === "past") return t("policy.past");
+  if (broken.rule === "held") return t("waitlist.held");
+  if (broken.rule === "horizon" && broken.days != null) return t("policy.horizon", { days: broken.days });
+  if (broken.rule === "duration" && broken.mins != null) {
+    return t("policy.duration", { duration: formatHoursCount(broken.mins / 60, i18n) });
+  }
+  if (broken.rule === "quota" && broken.hours != null) {
+    return t("policy.quota", { hours: formatHoursCount(broken.hours, i18n) });
+  }
+  return t("policy.broken");
+}
+
+// Kort udgave til listen over datoer, der springes over i en serie
+function policyLabel(broken, i18n) {
+  const { t } = i18n;
+  if (broken.rule === "horizon") return t("policy.horizonShort", { days: broken.days });
+  if (broken.rule === "duration") return t("policy.durationShort");
+  if (broken.rule === "quota") return t("policy.quotaShort", { hours: formatHoursCount(broken.hours, i18n) });
+  return t("policy.pastShort");
+}
+
+// Banner/notifikation: "Lokale 1 • man. 3. nov. 10:00–11:00. Det holdes til dig til kl. 10:15."
+function waitlistOfferText(entry, roomsById, { t, formatDay }) {
+  const until = entry.offerExpiresAt;
+  return t("waitlist.offerBody", {
+    room: roomsById.get(entry.roomId)?.name ?? entry.roomId,
+    day: formatDay(entry.date),
+    slot: formatSlotLabel(entry.startMins, entry.endMins),
+    until: minutesToHHMM(wallClock(until).mins),
+  });
+}
+
+// Henter ét lokales bookinger i en periode, begge datoer inklusive
+function fetchRoomBookings(roomId, from, to) {
+  return storage.listBookings({ roomId, from, to });
+}
+
+// Booket tid og åbningstid for lokalet en dag (kun booket tid inden for åbningstiden tæller),
+// eller null hvis lokalet har lukket hele dagen
+function dayUtilization(schedule, roomId, date, bookings) {
+  if (dayClosure(schedule, roomId, date)) return null;
+  const hours = openingHoursFor(schedule, roomId, date);
+  if (!hours) return null;
+
+  let bookedMins = 0;
+  let count = 0;
+  for (const b of bookings) {
+    if (b.roomId !== roomId || b.date !== date) continue;
+    bookedMins += Math.max(0, Math.min(b.endMins, hours.closeMins) - Math.max(b.startMins, hours.openMins));
+    count++;
+  }
+  return { bookedMins, openMins: hours.closeMins - hours.openMins, count };
+}
+
+// Flet én realtime-ændring (INSERT/UPDATE/DELETE) ind i listen i stedet for at hente alt igen.
+// inRange afgør, om rækken hører til det, der vises (ellers fjernes den bare).
+function applyRealtimeChange(prev, payload, inRange) {
+  const id = payload.new?.id ?? payload.old?.id;
+  const [row] = payload.eventType === "DELETE" ? [] : normalizeBookings([payload.new]);
+
+  // Vores egen optimistiske booking (uden id) erstattes af rækken fra databasen
+  const rest = prev.filter(
+    (b) =>
+      b.id !== id &&
+      !(row && b.id == null && b.roomId === row.roomId && b.date === row.date && b.startMins === row.startMins)
+  );
+
+  if (!row || payload.new.deleted_at || !inRange(row)) return rest;
+  return [...rest, row];
+}
+
+// Realtime-ændring -> tekst til skærmlæsere, eller null. Egne ændringer læses ikke op (man har
+// lige selv lavet dem), og det gør ændringer uden ny tid/navn heller ikke (fx check-in).
+// visible: om en booking er i den viste uge/dag.
+function describeRealtimeChange(payload, prev, visible, ownerHash, roomsById, { t, formatDay }) {
+  if (payload.eventType === "DELETE") return null; // bookinger slettes blødt (deleted_at)
+
+  const [row] = normalizeBookings([payload.new]);
+  if (!row || (ownerHash && row.ownerHash === ownerHash)) return null;
+
+  const before = prev.find((b) => b.id === row.id) ?? null;
+  const params = {
+    room: roomsById.get(row.roomId)?.name ?? row.roomId,
+    day: formatDay(row.date),
+    slot: formatSlotLabel(row.startMins, row.endMins),
+    name: row.name,
+  };
+
+  if (payload.new.deleted_at) return before && visible(before) ? t("live.cancelled", params) : null;
+  if (!before) return visible(row) ? t("live.booked", params) : null;
+
+  const moved =
+    before.roomId !== row.roomId ||
+    before.date !== row.date ||
+    before.startMins !== row.startMins ||
+    before.endMins !== row.endMins ||
+    before.name !== row.name;
+  return moved && (visible(before) || visible(row)) ? t("live.changed", params) : null;
+}
+
+// Henter alle lokalers bookinger for én dag (dagsoversigten)
+function fetchDayBookings(date) {
+  return storage.listBookings({ date });
+}
+
+// Henter alle lokalers bookinger i en periode (rapporten), begge datoer inklusive
+function fetchRangeBookings(from, to) {
+  return storage.listBookings({ from, to });
+}
+
+// "Mine bookinger": én persons bookinger i alle lokaler fra en dato (navnet matcher præcist,
+// uden forskel på store/små bogstaver, ligesom kalender-feedet)
+function fetchBookingsByName(name, from) {
+  return storage.listBookings({ name, from, limit: SEARCH_LIMIT });
+}
+
+// Søgning i alle lokaler: del af navnet og/eller en periode (begge datoer inklusive)
+function searchBookings({ text, from, to }) {
+  return storage.listBookings({ nameContains: text, from, to, limit: SEARCH_LIMIT });
+}
+
+// Historik for et lokale (og evt. én dag). Flytninger ud af lokalet findes via old_data.
+function fetchBookingHistory({ roomId, date }) {
+  return storage.listHistory({ roomId, date, limit: HISTORY_LIMIT });
+}
+
+// ------------------------
+// VENTELISTE
+// ------------------------
+
+// Pladser der stadig tæller (claimed/cancelled er færdige)
+const OPEN_WAITLIST_STATUSES = ["waiting", "offered"];
+
+function normalizeWaitlist(data) {
+  if (!Array.isArray(data)) return [];
+  return data.map((w) => ({
+    id: w.id,
+    roomId: w.room_id,
+    date: w.date,
+    startMins: w.start_mins,
+    endMins: w.end_mins,
+    name: w.name,
+    ownerHash: w.owner_hash,
+    status: w.status,
+    offerExpiresAt: w.offer_expires_at ? new Date(w.offer_expires_at) : null,
+    createdAt: new Date(w.created_at),
+  }));
+}
+
+// Et tilbud gælder kun, indtil fristen er gået; derefter er tidsrummet ledigt for alle
+function isActiveOffer(entry, now) {
+  return entry.status === "offered" && entry.offerExpiresAt != null && entry.offerExpiresAt.getTime() > now;
+}
+
+// Alle, der venter på (en del af) tidsrummet, i rækkefølge
+function fetchSlotWaitlist(slot) {
+  return storage.listSlotWaitlist(slot);
+}
+
+// Denne browsers pladser på ventelister
+function fetchMyWaitlist(ownerHash) {
+  return storage.listMyWaitlist(ownerHash);
+}
+
+// Flet én realtime-ændring ind i mine pladser; kun de åbne beholdes
+function applyWaitlistChange(prev, payload) {
+  const id = payload.new?.id ?? payload.old?.id;
+  const rest = prev.filter((w) => w.id !== id);
+  if (payload.eventType === "DELETE") return rest;
+
+  const [entry] = normalizeWaitlist([payload.new]);
+  if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) return rest;
+  return [...rest, entry].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// ------------------------
+// E-MAIL (bekræftelse og påmindelse)
+// ------------------------
+// Adressen gemmes i booking_contacts (ikke i bookings, som alle kan læse).
+// Selve mailene sendes af edge-funktionen "booking-email" (supabase/functions/booking-email).
+
+// Kun en grov kontrol; databasen har samme tjek
+function isValidEmail(text) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(text);
+}
+
+function saveBookingEmail(bookingIds, email, locale) {
+  return storage.setBookingEmail(bookingIds, getOwnerToken(), email, locale);
+}
+
+// Afspil offline-køen i rækkefølge. Stopper ved netværksfejl, så resten bliver liggende til næste gang.
+// Returnerer de op-id'er, der er færdige, og de konflikter/fejl, brugeren skal se
+// (som tekstnøgle + parametre, så de vises på det valgte sprog).
+async function replayPendingOps(ops) {
+  const doneIds = new Set();
+  const issues = [];
+
+  for (const op of ops) {
+    const b = op.booking;
+    const { data, error } =
+      op.type === "create"
+        ? await storage.createBookings([
+            {
+              room_id: b.roomId,
+              date: b.date,
+              start_mins: b.startMins,
+              end_mins: b.endMins,
+              name: b.name,
+              owner_hash: b.ownerHash,
+            },
+          ])
+        : await storage.cancelBooking({
+            roomId: b.roomId,
+            date: b.date,
+            startMins: b.startMins,
+            ownerToken: getOwnerToken(),
+          });
+
+    if (error && isNetworkError(error)) break;
+    doneIds.add(op.id);
+
+    // E-mailen kan først knyttes til bookingen, når den har fået et id
+    if (!error && b.email && data?.[0]?.id) {
+      const { error: emailError } = await saveBookingEmail([data[0].id], b.email, b.locale);
+      if (emailError) issues.push({ op, messageKey: "sync.emailFailed" });
+    }
+    if (!error) continue;
+
+    if (op.type === "create" && (error.code === PG_UNIQUE_VIOLATION || error.code === PG_EXCLUSION_VIOLATION)) {
+      const { data } = await fetchRoomBookings(b.roomId, b.date, b.date);
+      const winner = findOverlappingBooking(normalizeBookings(data ?? []), b.roomId, b.date, b.startMins, b.endMins);
+      issues.push(
+        winner
+          ? {
+              op,
+              messageKey: "sync.conflictWinner",
+              params: { slot: formatSlotLabel(winner.startMins, winner.endMins), name: winner.name },
+            }
+          : { op, messageKey: "sync.conflict" }
+      );
+    } else if (op.type === "create" && error.code === PG_CHECK_VIOLATION) {
+      issues.push({ op, messageKey: "sync.closed" });
+    } else if (op.type === "create" && error.code === PG_RAISE_EXCEPTION && error.hint) {
+      issues.push({ op, messageKey: "sync.policy" });
+    } else if (op.type === "delete" && error.code === PG_NO_DATA_FOUND) {
+      // Allerede slettet (af en anden eller fra en anden fane): intet at gøre
+    } else if (op.type === "delete" && error.code === PG_INSUFFICIENT_PRIVILEGE) {
+      issues.push({ op, messageKey: "error.deleteDenied" });
+    } else {
+      console.error("Supabase fejl (synkronisér):", error);
+      issues.push({ op, messageKey: "sync.failed", params: { message: error.message ?? "" } });
+    }
+  }
+
+  return { doneIds, issues };
+}
+
+// ------------------------
+// ROUTES (URL)
+// ------------------------
+// /                                  lokalevalg
+// /lokale/:roomId/uge/:isoWeek       lokalets kalender, fx /lokale/lokale-308/uge/2026-W43
+// /lokale/:roomId/maaned/:yyyy-mm    ... som måned, fx /lokale/lokale-308/maaned/2026-11
+// /lokale/:roomId/dag/:date          ... som dag, fx /lokale/lokale-308/dag/2026-10-21
+// ...?tid=2026-10-21T09:30           åbner booking/slet for tidsrummet med det samme
+// /oversigt/:date                    dagsoversigt
+// /rapport                           rapport
+// /mine                              mine kommende bookinger (det huskede navn)
+// /soeg?navn=&fra=&til=              søg i alle lokaler på navn og/eller periode
+// /kiosk/:roomId                     dør-tablet for ét lokale (fuld skærm, check-in)
+// /afmeld/:bookingId?token=...       aflysningslinket fra bekræftelsesmailen
+// netlify.toml og public/_redirects sender alle stier til index.html.
+
+// "2026-10-21T09:30" => { date: "2026-10-21", startMins: 570 } (rundet ned til et helt slot).
+// Om lokalet har åbent, afgøres først, når tidsrummet åbnes.
+function parseSlotParam(text) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/.exec(text ?? "");
+  if (!match || !isISODate(match[1])) return null;
+  const mins = Number(match[2]) * 60 + Number(match[3]);
+  if (mins >= 24 * 60) return null;
+  return { date: match[1], startMins: mins - (mins % SLOT_MINS) };
+}
+
+function parseRoute({ pathname, search }) {
+  const parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const date = todayISO();
+  const route = {
+    view: "rooms",
+    roomId: null,
+    weekStart: startOfWeekMonday(date),
+    date,
+    calendar: { mode: "week", date }, // lokalets kalender: uge | month | day
+    slot: null,
+    cancel: null,
+    search: { text: "", from: "", to: "" },
+  };
+
+  if (parts[0] === "lokale" && parts[1]) {
+    const slot = parseSlotParam(new URLSearchParams(search).get("tid"));
+    const week = parts[2] === "uge" ? mondayOfIsoWeek(parts[3]) : null;
+    const day = parts[2] === "dag" && isISODate(parts[3]) ? parts[3] : null;
+    const month = parts[2] === "maaned" && isISODate(`${parts[3]}-01`) ? parts[3] : null;
+    const mode = day ? "day" : month ? "month" : "week";
+
+    let date = route.date;
+    if (day) date = day;
+    else if (month) date = anchorDate(`${month}-01`, lastDayOfMonth(month));
+    else if (week) date = anchorDate(toISODate(week), toISODate(addDays(week, 6)));
+    // Tidsrummet vinder, så det, der vises, altid indeholder det
+    if (slot) date = slot.date;
+
+    return {
+      ...route,
+      view: "calendar",
+      roomId: parts[1],
+      weekStart: startOfWeekMonday(parseISODate(date)),
+      calendar: { mode, date },
+      slot,
+    };
+  }
+  if (parts[0] === "oversigt") {
+    return { ...route, view: "overview", date: isISODate(parts[1]) ? parts[1] : route.date };
+  }
+  if (parts[0] === "rapport") {
+    return { ...route, view: "report" };
+  }
+  if (parts[0] === "mine") {
+    return { ...route, view: "mine" };
+  }
+  if (parts[0] === "soeg") {
+    const params = new URLSearchParams(search);
+    const from = params.get("fra");
+    const to = params.get("til");
+    return {
+      ...route,
+      view: "search",
+      search: { text: params.get("navn") ?? "", from: isISODate(from) ? from : "", to: isISODate(to) ? to : "" },
+    };
+  }
+  if (parts[0] === "kiosk" && parts[1]) {
+    return { ...route, view: "kiosk", roomId: parts[1] };
+  }
+  if (parts[0] === "afmeld" && parts[1]) {
+    return { ...route, view: "cancel", cancel: { bookingId: parts[1], token: new URLSearchParams(search).get("token") ?? "" } };
+  }
+  return route;
+}
+
+function buildPath({ view, roomId, weekStart, date, calendar, slot, cancel, search }) {
+  if (view === "calendar" && roomId) {
+    const room = `/lokale/${encodeURIComponent(roomId)}`;
+    const path =
+      calendar?.mode === "month"
+        ? `${room}/maaned/${calendar.date.slice(0, 7)}`
+        : calendar?.mode === "day"
+          ? `${room}/dag/${calendar.date}`
+          : `${room}/uge/${isoWeekString(weekStart)}`;
+    return slot ? `${path}?tid=${slot.date}T${minutesToHHMM(slot.startMins)}` : path;
+  }
+  if (view === "overview") return `/oversigt/${date}`;
+  if (view === "report") return "/rapport";
+  if (view === "mine") return "/mine";
+  if (view === "search") {
+    const params = new URLSearchParams();
+    if (search?.text) params.set("navn", search.text);
+    if (search?.from) params.set("fra", search.from);
+    if (search?.to) params.set("til", search.to);
+    const query = params.toString();
+    return query ? `/soeg?${query}` : "/soeg";
+  }
+  if (view === "kiosk" && roomId) return `/kiosk/${encodeURIComponent(roomId)}`;
+  if (view === "cancel" && cancel) {
+    return `/afmeld/${encodeURIComponent(cancel.bookingId)}?token=${encodeURIComponent(cancel.token)}`;
+  }
+  return "/";
+}
+
 // ------------------------
 // APP
 // ------------------------
 
 export default function App() {
-  const slots = useMemo(() => buildSlots(), []);
+  // Sprog: valget huskes i localStorage
+  const [locale, setLocale] = useState(getStoredLocale);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t, plural, formatDay, formatWeekRange, formatMonth } = i18n;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  function changeLocale(code) {
+    setLocale(code);
+    storeLocale(code);
+  }
+
+  const [rooms, setRooms] = useState([]);
+  const [roomsLoading, setRoomsLoading] = useState(true);
+  const [roomsError, setRoomsError] = useState(""); // tekstnøgle
 
-  const [selectedRoom, setSelectedRoom] = useState(null);
-  const [weekStart, setWeekStart] = useState(() => startOfWeekMonday(new Date()));
+  // Åbningstider og lukkeperioder (sidst kendte fra cachen, indtil de er hentet)
+  const [schedule, setSchedule] = useState(() => readCachedSchedule() ?? DEFAULT_SCHEDULE);
+
+  // Bookingregler (kvote, horisont, varighed); serveren håndhæver dem under alle omstændigheder
+  const [rules, setRules] = useState(() => readCachedRules() ?? DEFAULT_RULES);
+
+  // Start fra URL'en, så et link (eller en genindlæsning) lander det rigtige sted
+  const [initialRoute] = useState(() => parseRoute(window.location));
+  const [view, setView] = useState(initialRoute.view); // rooms | calendar | overview | report | mine | search | kiosk | cancel
+  const [selectedRoomId, setSelectedRoomId] = useState(initialRoute.roomId);
+  const [overviewDate, setOverviewDate] = useState(initialRoute.date);
+  const [weekStart, setWeekStart] = useState(initialRoute.weekStart);
+  // Lokalets kalender som uge, måned eller dag. calendarDate er dagen (dag) eller en dag i måneden (måned);
+  // i dagsvisningen følger weekStart med, så ugens hentning også dækker dagen
+  const [calendarMode, setCalendarMode] = useState(initialRoute.calendar.mode); // week | month | day
+  const [calendarDate, setCalendarDate] = useState(initialRoute.calendar.date);
+  const [slotFromUrl, setSlotFromUrl] = useState(initialRoute.slot); // åbnes, når lokalets bookinger er hentet
+  const [cancelLink, setCancelLink] = useState(initialRoute.cancel); // { bookingId, token } fra mailen
+  const [searchQuery, setSearchQuery] = useState(initialRoute.search); // { text, from, to }
 
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // Offline: ændringer der venter på forbindelse, og konflikter fundet da de blev afspillet
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [pendingOps, setPendingOps] = useState(loadPendingOps);
+  const [syncIssues, setSyncIssues] = useState([]); // [{ op, messageKey, params }]
+  const [syncVersion, setSyncVersion] = useState(0); // tælles op efter synk, så bookinger hentes igen
+  const syncingRef = useRef(false);
+
+  // Forbindelsens tilstand: fejlede hentninger, afbrudt realtime og hvornår data sidst var friske
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [downChannels, setDownChannels] = useState([]); // realtime-kanaler der er afbrudt: "room", "overview" …
+  const realtimeDown = downChannels.length > 0;
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+
+  // Hvilke datoer `bookings` dækker for det valgte lokale: { roomId, from, to }
+  const loadedWindowRef = useRef(null);
+
+  // Denne browsers ejer-hash (så vi kan vise, hvilke bookinger man selv kan slette)
+  const [ownerHash, setOwnerHash] = useState(null);
+  useEffect(() => {
+    getOwnerHash().then(setOwnerHash);
+  }, []);
+
+  // En admin må rette og slette alle bookinger (databasen tjekker det igen, se is_booking_admin)
+  const [isAdmin, setIsAdmin] = useState(false);
+  useEffect(() => {
+    storage.isAdmin().then(({ data }) => setIsAdmin(Boolean(data)));
+  }, []);
+
+  // Venteliste: denne browsers pladser (et tilbud vises som banner) og pladserne til det åbne tidsrum
+  const [myWaitlist, setMyWaitlist] = useState([]);
+  const [slotWaitlist, setSlotWaitlist] = useState([]);
+  const [now, setNow] = useState(() => Date.now()); // til tilbuddenes frist og dør-tablettens ur
+
   // Modal state
   const [modalOpen, setModalOpen] = useState(false);
-  const [modalMode, setModalMode] = useState("create"); // create | delete
-  const [activeCell, setActiveCell] = useState(null); // { room, date, startMins }
+  const [modalMode, setModalMode] = useState("create"); // create | created | delete | edit | history
+  const [activeCell, setActiveCell] = useState(null); // { roomId, date, startMins, endMins }
   const [nameInput, setNameInput] = useState("");
+  const [emailInput, setEmailInput] = useState(""); // valgfri: bekræftelse og påmindelse på mail
   const [errorMsg, setErrorMsg] = useState("");
 
+  // Gentagelse (kun ved create): null = enkelt booking
+  const [repeat, setRepeat] = useState(null); // { intervalWeeks, weekdays, endMode, untilDate, count }
+  const [seriesConflicts, setSeriesConflicts] = useState(null); // { total, conflicts: [{ date, booking }] }
+
+  // Redigering: de nye værdier (activeCell er stadig den oprindelige booking)
+  const [editDraft, setEditDraft] = useState(null); // { roomId, date, startMins, endMins, name }
+
+  // Historik-panel: { roomId, date?, startMins?, endMins? }
+  const [historyScope, setHistoryScope] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // Dør-tablet: fejl ved check-in (vises på skærmen, ikke i en modal)
+  const [kioskError, setKioskError] = useState("");
+
+  // Skærmlæsere: andres ændringer (realtime) læses op via en live region
+  const [announcement, setAnnouncement] = useState("");
+
+  // Modalens overskrift (aria-labelledby); hver visning sætter id'et på sin <h2>
+  const modalTitleId = useId();
+
+  // Bekræftelse efter create: de gemte bookinger (til "Tilføj til kalender")
+  const [createdBookings, setCreatedBookings] = useState([]);
+
   // Til rollback ved fejl (hvis slet fejler)
   const bookingsSnapshotRef = useRef([]);
 
+  // Det griddet viser: serverens bookinger + offline-køen (markeret med `pending`)
+  const visibleBookings = useMemo(() => applyPendingOps(bookings, pendingOps), [bookings, pendingOps]);
+
   // Index så vi kan slå op lynhurtigt: "er denne slot booket?"
+  // En booking over flere slots står under hvert slot, den dækker.
   const bookingsIndex = useMemo(() => {
     const map = new Map();
-    for (const b of bookings) {
-      map.set(bookingKey(b.room, b.date, b.startMins), b);
+    for (const b of visibleBookings) {
+      for (let m = b.startMins; m < b.endMins; m += SLOT_MINS) {
+        map.set(bookingKey(b.roomId, b.date, m), b);
+      }
     }
     return map;
-  }, [bookings]);
+  }, [visibleBookings]);
 
-  // Hent bookinger fra Supabase, når man vælger et lokale
+  const roomsById = useMemo(() => new Map(rooms.map((r) => [r.id, r])), [rooms]);
+  const selectedRoom = selectedRoomId ? roomsById.get(selectedRoomId) ?? null : null;
+
+  // Griddets tider og ugedage: lokalets egne åbningstider, i oversigten alle lokalers
+  const bounds = useMemo(
+    () => scheduleBounds(schedule, view === "calendar" && selectedRoomId ? [selectedRoomId] : rooms.map((r) => r.id)),
+    [schedule, view, selectedRoomId, rooms]
+  );
+  const slots = useMemo(() => buildSlots(bounds.openMins, bounds.closeMins), [bounds]);
+
+  // Hent lokaler (aktive) én gang
   useEffect(() => {
-    if (!selectedRoom) return;
+    let isMounted = true;
+
+    const fetchRooms = async () => {
+      const { data, error } = await storage.listRooms();
+
+      if (!isMounted) return;
+
+      if (error) {
+        console.error("Supabase fejl (lokaler):", error);
+        const cached = readCachedRooms();
+        if (cached) setRooms(cached);
+        else setRoomsError("rooms.loadError");
+      } else {
+        const fresh = normalizeRooms(data ?? []);
+        setRooms(fresh);
+        writeCachedRooms(fresh);
+      }
+      setRoomsLoading(false);
+    };
+
+    fetchRooms();
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
 
+  // Hent åbningstider og lukkeperioder én gang (helligdagene beregnes i hours.js)
+  useEffect(() => {
     let isMounted = true;
-    setLoading(true);
 
-    const fetchBookings = async () => {
-      const { data, error } = await supabase
-        .from("bookings")
-        .select("room,date,start_mins,name")
-        .eq("room", selectedRoom);
+    const fetchSchedule = async () => {
+      const [hoursResult, closuresResult] = await Promise.all([
+        storage.listOpeningHours(),
+        storage.listClosures(),
+      ]);
+
+      if (!isMounted) return;
 
+      const error = hoursResult.error ?? closuresResult.error;
       if (error) {
-        console.error("Supabase fejl (hent):", error);
-        if (isMounted) setLoading(false);
+        // Offline eller fejl: behold de sidst kendte (eller standarden)
+        console.error("Supabase fejl (åbningstider):", error);
         return;
       }
 
-      if (isMounted) {
-        setBookings(normalizeBookings(data ?? []));
-        setLoading(false);
-      }
+      const fresh = normalizeSchedule(hoursResult.data, closuresResult.data);
+      setSchedule(fresh);
+      writeCachedSchedule(fresh);
     };
 
-    fetchBookings();
-
-    // Realtime: lyt på ALLE ændringer og filtrér i callback (robust)
-    const channel = supabase
-      .channel("bookings-all")
-      .on("postgres_changes", { event: "*", schema: "public", table: "bookings" }, (payload) => {
-        const changedRoom = payload?.new?.room ?? payload?.old?.room;
-        if (changedRoom === selectedRoom) {
-          fetchBookings();
-        }
-      })
-      .subscribe();
+    fetchSchedule();
 
     return () => {
       isMounted = false;
-      supabase.removeChannel(channel);
     };
-  }, [selectedRoom]);
+  }, []);
 
-  const weekDays = useMemo(() => {
-    return Array.from({ length: 5 }, (_, i) => addDays(weekStart, i));
-  }, [weekStart]);
+  // Hent bookingreglerne én gang
+  useEffect(() => {
+    let isMounted = true;
 
-  function openCreateModal(room, date, startMins) {
-    setErrorMsg("");
-    setModalMode("create");
-    setActiveCell({ room, date, startMins });
-    setNameInput("");
-    setModalOpen(true);
-  }
+    const fetchRules = async () => {
+      const { data, error } = await storage.listRules();
 
-  function openDeleteModal(room, date, startMins) {
-    setErrorMsg("");
-    setModalMode("delete");
-    setActiveCell({ room, date, startMins });
-    setNameInput("");
-    setModalOpen(true);
-  }
+      if (!isMounted) return;
 
-  function closeModal() {
-    setModalOpen(false);
-    setActiveCell(null);
-    setNameInput("");
-    setErrorMsg("");
-  }
+      if (error) {
+        console.error("Supabase fejl (regler):", error);
+        return;
+      }
 
-  // ------------------------
-  // GEM BOOKING (CREATE)
-  // ------------------------
-  async function confirmCreate() {
-    if (!activeCell) return;
+      const fresh = normalizeRules(data ?? []);
+      setRules(fresh);
+      writeCachedRules(fresh);
+    };
 
-    const name = nameInput.trim();
-    if (!name) {
-      setErrorMsg("Indtast venligst dit navn.");
-      return;
-    }
+    fetchRules();
 
-    const key = bookingKey(activeCell.room, activeCell.date, activeCell.startMins);
-    if (bookingsIndex.has(key)) {
-      setErrorMsg("Tidsrummet er allerede booket.");
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  // Det lokalets kalender viser, og det der hentes: ugen (+ ugen før og efter), eller hele måneden
+  const showMonth = view === "calendar" && calendarMode === "month";
+  const visibleFrom = showMonth ? monthWindow(calendarDate).from : toISODate(weekStart);
+  const visibleTo = showMonth ? monthWindow(calendarDate).to : toISODate(addDays(weekStart, 6));
+  const fetchFrom = showMonth ? visibleFrom : weekWindow(weekStart).from;
+  const fetchTo = showMonth ? visibleTo : weekWindow(weekStart).to;
+
+  // Forbindelsens tilstand. En fejlet hentning prøves igen med stigende pause (se retryDelay);
+  // når realtime er tilbage efter en afbrydelse, hentes alt igen, da ændringer undervejs er gået tabt.
+  const onLoadSucceeded = useEffectEvent(() => {
+    setLoadFailed(false);
+    setLastSyncedAt(Date.now());
+  });
+  const onLoadFailed = useEffectEvent(() => setLoadFailed(true));
+  // Hver kanal har sin egen status, så én kanal der kommer tilbage ikke skjuler, at en anden er nede
+  const onRealtimeStatus = useEffectEvent((channel, status) => {
+    const wasDown = downChannels.includes(channel);
+    if (status === "disconnected") {
+      if (wasDown) return;
+      // Indtil nu kom ændringerne med realtime, så data var friske
+      if (!realtimeDown && !loadFailed) setLastSyncedAt(Date.now());
+      setDownChannels((prev) => (prev.includes(channel) ? prev : [...prev, channel]));
       return;
     }
+    if (!wasDown) return;
+    setDownChannels((prev) => prev.filter((c) => c !== channel));
+    // "closed": abonnementet er stoppet (fx nyt lokale), og den nye kanal henter selv
+    if (status === "connected") setSyncVersion((v) => v + 1);
+  });
 
-    // 1) Optimistisk UI: vis bookingen med det samme
-    setBookings((prev) => {
-      const next = prev.filter(
-        (b) =>
-          !(
-            b.room === activeCell.room &&
-            b.date === activeCell.date &&
-            b.startMins === activeCell.startMins
-          )
-      );
-      next.push({
-        room: activeCell.room,
-        date: activeCell.date,
-        startMins: activeCell.startMins,
-        name,
-      });
-      return next;
-    });
+  // Hent lokalets bookinger for det viste
+  useEffect(() => {
+    if (!selectedRoomId) return;
 
-    // 2) Gem i Supabase (uden id — Supabase har id som tal og laver det selv)
-    try {
-      const { error } = await supabase.from("bookings").insert([
-        {
-          room: activeCell.room,
-          date: activeCell.date, // skal passe til din kolonne-type (date)
-          start_mins: activeCell.startMins,
-          name,
-        },
-      ]);
+    let isMounted = true;
+    const from = fetchFrom;
+    const to = fetchTo;
 
-      if (error) throw error;
+    // Spinner kun hvis det viste ikke allerede er hentet (ved bladring er ugen typisk forhåndshentet)
+    const loaded = loadedWindowRef.current;
+    if (!loaded || loaded.roomId !== selectedRoomId || loaded.from > visibleFrom || loaded.to < visibleTo) {
+      setLoading(true);
+    }
 
-      closeModal();
-    } catch (e) {
-      console.error("Supabase fejl (gem):", e);
+    let attempt = 0;
+    let retryTimer = null;
 
-      // Rollback hvis DB-fejl
-      setBookings((prev) =>
-        prev.filter(
-          (b) =>
-            !(
-              b.room === activeCell.room &&
-              b.date === activeCell.date &&
-              b.startMins === activeCell.startMins
-            )
-        )
-      );
+    const fetchBookings = async () => {
+      const { data, error } = await fetchRoomBookings(selectedRoomId, from, to);
+
+      if (error) {
+        console.error("Supabase fejl (hent):", error);
+        // Offline: vis de sidst kendte bookinger for lokalet
+        const cached = readCachedBookings(selectedRoomId);
+        if (isMounted) {
+          if (cached) setBookings(cached);
+          setLoading(false);
+          onLoadFailed();
+          // Uden net venter vi på "online" i stedet (den henter igen)
+          if (navigator.onLine) retryTimer = setTimeout(fetchBookings, retryDelay(attempt++));
+        }
+        return;
+      }
+
+      const fresh = normalizeBookings(data ?? []);
+      writeCachedBookings(selectedRoomId, fresh);
+      if (isMounted) {
+        loadedWindowRef.current = { roomId: selectedRoomId, from, to };
+        setBookings(fresh);
+        setLoading(false);
+        onLoadSucceeded();
+      }
+    };
+
+    fetchBookings();
+
+    return () => {
+      isMounted = false;
+      clearTimeout(retryTimer);
+    };
+  }, [selectedRoomId, fetchFrom, fetchTo, visibleFrom, visibleTo, online, syncVersion]);
+
+  // Læses før ændringen flettes ind, så en aflyst/flyttet booking kan sammenlignes med den gamle
+  const announceBookingChange = useEffectEvent((payload) => {
+    const visible =
+      view === "overview"
+        ? (b) => b.date === overviewDate
+        : (b) => b.roomId === selectedRoomId && b.date >= visibleFrom && b.date <= visibleTo;
+    const message = describeRealtimeChange(payload, bookings, visible, ownerHash, roomsById, i18n);
+    if (message) setAnnouncement(message);
+  });
+
+  // Realtime for lokalet: serveren filtrerer på room_id, og ændringer flettes direkte ind.
+  // En booking flyttet til et andet lokale sendes også her (filteret ser den gamle række, se
+  // migrationen bookings_replica_identity), og applyRealtimeChange fjerner den så.
+  useEffect(() => {
+    if (!selectedRoomId) return;
+
+    const inLoadedWindow = (b) => {
+      const loaded = loadedWindowRef.current;
+      return Boolean(loaded && b.roomId === selectedRoomId && b.date >= loaded.from && b.date <= loaded.to);
+    };
+
+    return storage.subscribe(
+      "bookings",
+      { room_id: selectedRoomId },
+      (payload) => {
+        announceBookingChange(payload);
+        setBookings((prev) => applyRealtimeChange(prev, payload, inLoadedWindow));
+      },
+      (status) => onRealtimeStatus("room", status)
+    );
+  }, [selectedRoomId]);
+
+  // Dagsoversigt: alle lokalers bookinger for den valgte dag
+  useEffect(() => {
+    if (view !== "overview") return;
+
+    let isMounted = true;
+    let attempt = 0;
+    let retryTimer = null;
+    setLoading(true);
+
+    const fetchBookings = async () => {
+      const { data, error } = await fetchDayBookings(overviewDate);
+
+      if (error) {
+        console.error("Supabase fejl (hent dag):", error);
+        if (isMounted) {
+          setLoading(false);
+          onLoadFailed();
+          if (navigator.onLine) retryTimer = setTimeout(fetchBookings, retryDelay(attempt++));
+        }
+        return;
+      }
+
+      if (isMounted) {
+        setBookings(normalizeBookings(data ?? []));
+        setLoading(false);
+        onLoadSucceeded();
+      }
+    };
+
+    fetchBookings();
+
+    const unsubscribe = storage.subscribe(
+      "bookings",
+      { date: overviewDate },
+      (payload) => {
+        announceBookingChange(payload);
+        setBookings((prev) => applyRealtimeChange(prev, payload, (b) => b.date === overviewDate));
+      },
+      (status) => onRealtimeStatus("overview", status)
+    );
+
+    return () => {
+      isMounted = false;
+      clearTimeout(retryTimer);
+      unsubscribe();
+    };
+  }, [view, overviewDate, online, syncVersion]);
+
+  // Mine ventelistepladser: hent dem, og lyt efter ændringer (fx "tidsrummet er ledigt nu")
+  const onWaitlistChange = useEffectEvent((payload) => {
+    const [entry] = payload.eventType === "DELETE" ? [] : normalizeWaitlist([payload.new]);
+    const alreadyOffered = myWaitlist.some((w) => w.id === entry?.id && w.status === "offered");
+    if (entry && isActiveOffer(entry, Date.now()) && !alreadyOffered) notifyWaitlistOffer(entry);
+    setMyWaitlist((prev) => applyWaitlistChange(prev, payload));
+  });
+  useEffect(() => {
+    if (!ownerHash) return;
+
+    let isMounted = true;
+
+    const fetchWaitlist = async () => {
+      const { data, error } = await fetchMyWaitlist(ownerHash);
+
+      if (!isMounted) return;
+
+      if (error) {
+        console.error("Supabase fejl (venteliste):", error);
+        return;
+      }
+
+      setMyWaitlist(normalizeWaitlist(data));
+    };
+
+    fetchWaitlist();
+
+    const unsubscribe = storage.subscribe(
+      "booking_waitlist",
+      { owner_hash: ownerHash },
+      (payload) => onWaitlistChange(payload),
+      (status) => onRealtimeStatus("waitlist", status)
+    );
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [ownerHash, online, syncVersion]);
+
+  // Uret går kun, når noget afhænger af det: et tilbud med frist, dør-tabletten eller dagsvisningens tidslinje
+  const hasWaitlistOffer = myWaitlist.some((w) => w.status === "offered");
+  const clockRunning = hasWaitlistOffer || view === "kiosk" || (view === "calendar" && calendarMode === "day");
+  useEffect(() => {
+    if (!clockRunning) return;
+    const tick = () => setNow(Date.now());
+    const first = setTimeout(tick, 0); // uret kan have stået stille længe
+    const timer = setInterval(tick, 15 * 1000);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+  }, [clockRunning]);
+  const waitlistOffers = myWaitlist.filter((w) => isActiveOffer(w, now));
+
+  // Dør-tablet: frigiv bookinger uden check-in (databasen gør det også selv med pg_cron),
+  // og flyt ugen med, da skærmen står tændt i ugevis. Bookingerne kommer fra lokalets realtime ovenfor.
+  useEffect(() => {
+    if (view !== "kiosk") return;
+
+    const releaseNoShows = async () => {
+      const { error } = await storage.releaseNoShows();
+      if (error) console.error("Supabase fejl (frigiv):", error);
+    };
+
+    releaseNoShows();
+    const timer = setInterval(() => {
+      setWeekStart((prev) => {
+        const current = startOfWeekMonday(todayISO());
+        return toISODate(current) === toISODate(prev) ? prev : current;
+      });
+      releaseNoShows();
+    }, 60 * 1000);
+
+    return () => clearInterval(timer);
+  }, [view]);
+
+  // Hold øje med forbindelsen (bygningens Wi-Fi falder ud)
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  // Hent igen, når fanen kommer frem efter lang tid i baggrunden (browseren kan have lukket forbindelsen)
+  useEffect(() => {
+    let hiddenAt = null;
+    const onVisibilityChange = () => {
+      if (document.hidden) {
+        hiddenAt = Date.now();
+      } else if (hiddenAt !== null && Date.now() - hiddenAt >= BACKGROUND_RESYNC_MS) {
+        hiddenAt = null;
+        setSyncVersion((v) => v + 1);
+      }
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", onVisibilityChange);
+  }, []);
+
+  // Køen gemmes i localStorage, så den overlever en genindlæsning
+  useEffect(() => {
+    savePendingOps(pendingOps);
+  }, [pendingOps]);
+
+  // Afspil køen, når vi er online (også ved opstart, hvis der ligger noget fra sidst)
+  useEffect(() => {
+    if (!online || pendingOps.length === 0 || syncingRef.current) return;
+    syncingRef.current = true;
+
+    const sync = async () => {
+      const { doneIds, issues } = await replayPendingOps(pendingOps);
+      syncingRef.current = false;
+      setPendingOps((prev) => prev.filter((op) => !doneIds.has(op.id)));
+      if (issues.length > 0) setSyncIssues((prev) => [...prev, ...issues]);
+      if (doneIds.size > 0) setSyncVersion((v) => v + 1);
+    };
+
+    sync();
+  }, [online, pendingOps]);
+
+  // State -> URL. Nyt lokale/uge/dag giver et nyt punkt i historikken; åben modal skrives som ?tid=
+  useEffect(() => {
+    const slot =
+      view === "calendar" && modalOpen && activeCell && modalMode !== "history"
+        ? { date: activeCell.date, startMins: activeCell.startMins }
+        : null;
+    const path = buildPath({
+      view,
+      roomId: selectedRoomId,
+      weekStart,
+      date: overviewDate,
+      calendar: { mode: calendarMode, date: calendarDate },
+      slot,
+      cancel: cancelLink,
+      search: searchQuery,
+    });
+    if (path === window.location.pathname + window.location.search) return;
+
+    if (path.split("?")[0] === window.location.pathname) window.history.replaceState(null, "", path);
+    else window.history.pushState(null, "", path);
+  }, [
+    view,
+    selectedRoomId,
+    weekStart,
+    calendarMode,
+    calendarDate,
+    overviewDate,
+    cancelLink,
+    searchQuery,
+    modalOpen,
+    modalMode,
+    activeCell,
+  ]);
+
+  // Tilbage/frem i browseren: læs URL'en igen
+  useEffect(() => {
+    function onPopState() {
+      const route = parseRoute(window.location);
+      setView(route.view);
+      setSelectedRoomId(route.roomId);
+      setWeekStart(route.weekStart);
+      setCalendarMode(route.calendar.mode);
+      setCalendarDate(route.calendar.date);
+      setOverviewDate(route.date);
+      setSlotFromUrl(route.slot);
+      setCancelLink(route.cancel);
+      setSearchQuery(route.search);
+      setModalOpen(false);
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // ?tid= i URL'en: åbn booking/slet, når vi ved om tidsrummet er optaget
+  const openSlotFromUrl = useEffectEvent((slot) => {
+    setSlotFromUrl(null);
+    openSlot(selectedRoomId, slot.date, slot.startMins);
+  });
+  useEffect(() => {
+    if (!slotFromUrl || view !== "calendar" || !selectedRoom || loading) return;
+    openSlotFromUrl(slotFromUrl);
+  }, [slotFromUrl, view, selectedRoom, loading]);
+
+  // Man–Fre, plus weekenddage hvis lokalet har åbent
+  const weekDays = useMemo(() => bounds.weekdays.map((wd) => addDays(weekStart, wd)), [bounds, weekStart]);
+
+  // Lukketid den dag (eller standarden, hvis lokalet har lukket), så en ny sluttid ikke går ud over den
+  function closeMinsFor(roomId, date) {
+    return openingHoursFor(schedule, roomId, date)?.closeMins ?? DEFAULT_CLOSE_MINS;
+  }
+
+  function openCreateModal(roomId, date, startMins, endMins = defaultEndMins(roomId, date, startMins)) {
+    setErrorMsg("");
+    setModalMode("create");
+    setActiveCell({ roomId, date, startMins, endMins });
+    // Dør-tabletten deles af alle, så der huskes intet navn
+    setNameInput(view === "kiosk" ? "" : readBookerName());
+    setEmailInput("");
+    setRepeat(null);
+    setSeriesConflicts(null);
+    setModalOpen(true);
+  }
+
+  function openDeleteModal(booking) {
+    setErrorMsg("");
+    setModalMode("delete");
+    setActiveCell({
+      roomId: booking.roomId,
+      date: booking.date,
+      startMins: booking.startMins,
+      endMins: booking.endMins,
+      seriesId: booking.seriesId,
+      ownerHash: booking.ownerHash,
+    });
+    setNameInput("");
+    setModalOpen(true);
+    setSlotWaitlist([]);
+    if (!canModify(booking) && !booking.pending) loadSlotWaitlist(booking);
+  }
+
+  // Standard-sluttid: en time frem, men aldrig ind i næste booking eller efter lukketid
+  function defaultEndMins(roomId, date, startMins) {
+    let end = Math.min(startMins + DEFAULT_BOOKING_MINS, closeMinsFor(roomId, date));
+    for (const b of bookings) {
+      if (b.roomId === roomId && b.date === date && b.startMins >= startMins + SLOT_MINS && b.startMins < end) {
+        end = b.startMins;
+      }
+    }
+    return end;
+  }
+
+  function setDraftStart(startMins) {
+    setErrorMsg("");
+    setSeriesConflicts(null);
+    setActiveCell((c) => ({
+      ...c,
+      startMins,
+      endMins:
+        c.endMins > startMins ? c.endMins : Math.min(startMins + DEFAULT_BOOKING_MINS, closeMinsFor(c.roomId, c.date)),
+    }));
+  }
 
-      setErrorMsg(`Kunne ikke gemme booking: ${e?.message ?? "ukendt fejl"}`);
+  function setDraftEnd(endMins) {
+    setErrorMsg("");
+    setSeriesConflicts(null);
+    setActiveCell((c) => ({ ...c, endMins }));
+  }
+
+  function toggleRepeat(enabled) {
+    setErrorMsg("");
+    setSeriesConflicts(null);
+    if (!enabled) {
+      setRepeat(null);
+      return;
     }
+    const first = parseISODate(activeCell.date);
+    setRepeat({
+      intervalWeeks: 1,
+      weekdays: [weekdayIndex(first)],
+      endMode: "count", // count | until
+      count: 10,
+      untilDate: toISODate(addDays(first, 7 * 12)),
+    });
+  }
+
+  function updateRepeat(patch) {
+    setErrorMsg("");
+    setSeriesConflicts(null);
+    setRepeat((r) => ({ ...r, ...patch }));
+  }
+
+  function toggleRepeatWeekday(wd) {
+    updateRepeat({
+      weekdays: repeat.weekdays.includes(wd) ? repeat.weekdays.filter((d) => d !== wd) : [...repeat.weekdays, wd],
+    });
+  }
+
+  function closeModal() {
+    setModalOpen(false);
+    setActiveCell(null);
+    setNameInput("");
+    setEmailInput("");
+    setErrorMsg("");
+    setRepeat(null);
+    setSeriesConflicts(null);
+    setCreatedBookings([]);
+    setEditDraft(null);
+    setHistoryScope(null);
+    setHistoryEntries([]);
+    setSlotWaitlist([]);
+  }
+
+  function openEditModal(booking, draft = booking, message = "") {
+    setErrorMsg(message);
+    setModalMode("edit");
+    setActiveCell({
+      roomId: booking.roomId,
+      date: booking.date,
+      startMins: booking.startMins,
+      endMins: booking.endMins,
+      seriesId: booking.seriesId,
+      ownerHash: booking.ownerHash,
+    });
+    setEditDraft({
+      roomId: draft.roomId,
+      date: draft.date,
+      startMins: draft.startMins,
+      endMins: draft.endMins,
+      name: draft.name ?? booking.name,
+    });
+    setModalOpen(true);
+  }
+
+  function updateEditDraft(patch) {
+    setErrorMsg("");
+    setEditDraft((d) => {
+      const next = { ...d, ...patch };
+      // Ny starttid efter sluttid: behold varigheden
+      if (next.endMins <= next.startMins) {
+        next.endMins = Math.min(next.startMins + (d.endMins - d.startMins), closeMinsFor(next.roomId, next.date));
+      }
+      return next;
+    });
   }
 
   // ------------------------
-  // SLET BOOKING (DELETE)
+  // HISTORIK (AUDIT LOG) OG GENDAN
+  // ------------------------
+  async function openHistory(scope) {
+    setErrorMsg("");
+    setModalMode("history");
+    setHistoryScope(scope);
+    setModalOpen(true);
+    await loadHistory(scope);
+  }
+
+  async function loadHistory(scope) {
+    setHistoryLoading(true);
+    const { data, error } = await fetchBookingHistory(scope);
+    setHistoryLoading(false);
+
+    if (error) {
+      console.error("Supabase fejl (historik):", error);
+      setErrorMsg(t("error.historyLoad"));
+      return;
+    }
+
+    let entries = normalizeHistory(data ?? []);
+
+    // Ét tidsrum: kun hændelser hvor bookingen før eller efter rørte tidsrummet
+    if (scope.startMins != null) {
+      const touches = (b) =>
+        b &&
+        b.roomId === scope.roomId &&
+        b.date === scope.date &&
+        rangesOverlap(b.startMins, b.endMins, scope.startMins, scope.endMins);
+      entries = entries.filter((h) => touches(h.before) || touches(h.after));
+    }
+
+    setHistoryEntries(entries);
+  }
+
+  async function restoreBooking(entry) {
+    setErrorMsg("");
+
+    const { error } = await storage.restoreBooking(entry.bookingId, getOwnerToken());
+
+    if (error) {
+      if (error.code === PG_UNIQUE_VIOLATION || error.code === PG_EXCLUSION_VIOLATION) {
+        setErrorMsg(t("error.restoreTaken"));
+      } else if (error.code === PG_CHECK_VIOLATION) {
+        setErrorMsg(t("error.closedServer"));
+      } else if (error.code === PG_RAISE_EXCEPTION && error.hint) {
+        setErrorMsg(serverPolicyMessage(error, entry.after?.roomId ?? entry.before?.roomId));
+      } else if (error.code === PG_INSUFFICIENT_PRIVILEGE) {
+        setErrorMsg(t("error.restoreDenied"));
+      } else if (error.code === PG_NO_DATA_FOUND) {
+        setErrorMsg(t("error.restoreAlready"));
+      } else {
+        console.error("Supabase fejl (gendan):", error);
+        setErrorMsg(t("error.restoreFailed", { message: error.message ?? t("common.unknownError") }));
+      }
+      return;
+    }
+
+    await reloadBookings();
+    await loadHistory(historyScope);
+  }
+
+  // Efter gem: skift modalen til en bekræftelse i stedet for at lukke den.
+  // message: fejl der ikke gjorde bookingen ugyldig (fx at e-mailen ikke kunne gemmes)
+  function showCreated(created, message = "") {
+    setErrorMsg(message);
+    setCreatedBookings(created);
+    setModalMode("created");
+  }
+
+  // Knyt e-mailen til de gemte bookinger. Returnerer en fejltekst, eller "" hvis alt gik godt
+  async function attachEmail(bookingIds, email) {
+    const ids = bookingIds.filter(Boolean);
+    if (!email || ids.length === 0) return "";
+    const { error } = await saveBookingEmail(ids, email, locale);
+    if (!error) return "";
+    console.error("Supabase fejl (e-mail):", error);
+    return t("error.emailSaveFailed", { message: error.message ?? t("common.unknownError") });
+  }
+
+  function downloadCreatedICS() {
+    const events = createdBookings.map((b) => {
+      const roomName = roomsById.get(b.roomId)?.name ?? b.roomId;
+      return {
+        uid: b.id ? bookingUID(b.id) : `${b.roomId}-${b.date}-${b.startMins}@isk-booking`,
+        date: b.date,
+        startMins: b.startMins,
+        endMins: b.endMins,
+        summary: `${roomName}: ${b.name}`,
+        location: roomName,
+        description: t("ics.description", { name: b.name }),
+      };
+    });
+    const first = createdBookings[0];
+    downloadICS(`booking-${first.roomId}-${first.date}.ics`, buildICalendar(events));
+  }
+
+  // Databasen sender kun reglens navn (hint); grænserne står i de regler, app'en har hentet
+  function serverPolicyMessage(error, roomId) {
+    const r = rulesFor(rules, roomId);
+    return policyMessage(
+      { rule: error.hint, days: r.maxDaysAhead, mins: r.maxDurationMins, hours: r.maxHoursPerWeek },
+      i18n
+    );
+  }
+
+  // Læg en ændring i offline-køen; den vises som "afventer" indtil den er gemt
+  function queueOffline(type, booking) {
+    setPendingOps((prev) => [...prev, createPendingOp(type, booking)]);
+  }
+
+  // ------------------------
+  // GEM BOOKING (CREATE)
   // ------------------------
-  async function confirmDelete() {
+  async function confirmCreate() {
     if (!activeCell) return;
 
-    // Snapshot til rollback
-    bookingsSnapshotRef.current = bookings;
+    const name = nameInput.trim();
+    if (!name) {
+      setErrorMsg(t("error.nameRequired"));
+      return;
+    }
 
-    // Optimistisk UI: fjern med det samme
-    setBookings((prev) =>
-      prev.filter(
+    const email = emailInput.trim();
+    if (email && !isValidEmail(email)) {
+      setErrorMsg(t("error.emailInvalid"));
+      return;
+    }
+
+    if (view !== "kiosk") storeBookerName(name);
+
+    if (activeCell.endMins <= activeCell.startMins) {
+      setErrorMsg(t("error.endBeforeStart"));
+      return;
+    }
+
+    if (repeat) {
+      if (!navigator.onLine) {
+        setErrorMsg(t("error.seriesOffline"));
+        return;
+      }
+      await confirmCreateSeries(name, email);
+      return;
+    }
+
+    const closed = closedReason(schedule, activeCell.roomId, activeCell.date, activeCell.startMins, activeCell.endMins);
+    if (closed) {
+      setErrorMsg(closedMessage(closed, activeCell.date, i18n));
+      return;
+    }
+
+    const broken = checkPolicy(rules, { ...activeCell, name }, visibleBookings);
+    if (broken) {
+      setErrorMsg(policyMessage(broken, i18n));
+      return;
+    }
+
+    const overlap = findOverlappingBooking(
+      visibleBookings,
+      activeCell.roomId,
+      activeCell.date,
+      activeCell.startMins,
+      activeCell.endMins
+    );
+    if (overlap) {
+      setErrorMsg(t("error.overlap", { name: overlap.name, slot: formatSlotLabel(overlap.startMins, overlap.endMins) }));
+      return;
+    }
+
+    const owner = await getOwnerHash();
+    const draft = {
+      roomId: activeCell.roomId,
+      date: activeCell.date,
+      startMins: activeCell.startMins,
+      endMins: activeCell.endMins,
+      name,
+      ownerHash: owner,
+      // Gemmes sammen med bookingen, når køen afspilles
+      ...(email ? { email, locale } : {}),
+    };
+
+    // Offline: gem i køen i stedet for at prøve Supabase
+    if (!navigator.onLine) {
+      queueOffline("create", draft);
+      closeModal();
+      return;
+    }
+
+    // 1) Optimistisk UI: vis bookingen med det samme
+    setBookings((prev) => {
+      const next = prev.filter(
         (b) =>
           !(
-            b.room === activeCell.room &&
+            b.roomId === activeCell.roomId &&
             b.date === activeCell.date &&
             b.startMins === activeCell.startMins
           )
-      )
+      );
+      next.push({
+        roomId: activeCell.roomId,
+        date: activeCell.date,
+        startMins: activeCell.startMins,
+        endMins: activeCell.endMins,
+        name,
+        seriesId: null,
+        ownerHash: owner,
+      });
+      return next;
+    });
+
+    // Et tilbud fra ventelisten på tidsrummet bookes gennem tilbuddet (holdet gælder alle andre)
+    const offer = waitlistOffers.find(
+      (w) =>
+        w.roomId === activeCell.roomId &&
+        w.date === activeCell.date &&
+        rangesOverlap(w.startMins, w.endMins, activeCell.startMins, activeCell.endMins)
     );
 
+    // 2) Gem (uden id — databasen laver det selv)
     try {
-      // Vi sletter ved at matche de 3 felter (room, date, start_mins)
-      const { error } = await supabase
-        .from("bookings")
-        .delete()
-        .eq("room", activeCell.room)
-        .eq("date", activeCell.date)
-        .eq("start_mins", activeCell.startMins);
+      const { data, error } = offer
+        ? await storage.claimWaitlistOffer({
+            id: offer.id,
+            ownerToken: getOwnerToken(),
+            name,
+            startMins: activeCell.startMins,
+            endMins: activeCell.endMins,
+          })
+        : await storage.createBookings([
+            {
+              room_id: activeCell.roomId,
+              date: activeCell.date, // skal passe til din kolonne-type (date)
+              start_mins: activeCell.startMins,
+              end_mins: activeCell.endMins,
+              name,
+              owner_hash: owner,
+            },
+          ]);
 
       if (error) throw error;
+      if (offer) setMyWaitlist((prev) => prev.filter((w) => w.id !== offer.id));
+
+      // Booket på dør-tabletten: man står ved lokalet, så bookingen tjekkes ind med det samme
+      if (view === "kiosk") {
+        closeModal();
+        await checkInBooking(activeCell);
+        return;
+      }
+
+      const emailError = await attachEmail([data?.[0]?.id], email);
+      showCreated([{ ...activeCell, id: data?.[0]?.id, name, email }], emailError);
+    } catch (e) {
+      // Konflikt: en anden nåede at booke tidsrummet først (constraint i databasen)
+      if (e?.code === PG_UNIQUE_VIOLATION || e?.code === PG_EXCLUSION_VIOLATION) {
+        await handleCreateConflict(activeCell);
+        return;
+      }
+
+      // Rollback (også når forbindelsen røg undervejs; så overtager køen)
+      setBookings((prev) =>
+        prev.filter(
+          (b) =>
+            !(
+              b.roomId === activeCell.roomId &&
+              b.date === activeCell.date &&
+              b.startMins === activeCell.startMins
+            )
+        )
+      );
+
+      if (isNetworkError(e)) {
+        queueOffline("create", draft);
+        closeModal();
+        return;
+      }
+
+      // Tilbuddet udløb (eller blev givet videre), mens modalen stod åben
+      if (offer && e?.code === PG_NO_DATA_FOUND) {
+        setErrorMsg(t("waitlist.offerExpired"));
+        return;
+      }
+
+      // Lukket ifølge serveren (fx en lukkeperiode oprettet, efter siden blev hentet)
+      if (e?.code === PG_CHECK_VIOLATION) {
+        setErrorMsg(t("error.closedServer"));
+        return;
+      }
+      // Brudt regel ifølge serveren (typisk ugekvoten, der tæller bookinger app'en ikke har hentet)
+      if (e?.code === PG_RAISE_EXCEPTION && e.hint) {
+        setErrorMsg(serverPolicyMessage(e, activeCell.roomId));
+        return;
+      }
+
+      console.error("Supabase fejl (gem):", e);
+      setErrorMsg(t("error.saveFailed", { message: e?.message ?? t("common.unknownError") }));
+    }
+  }
+
+  // Hent det aktuelle views bookinger igen (lokalets kalender eller dagsoversigten)
+  async function reloadBookings() {
+    const { data, error } =
+      view === "overview"
+        ? await fetchDayBookings(overviewDate)
+        : await fetchRoomBookings(selectedRoomId, fetchFrom, fetchTo);
+
+    if (error) {
+      console.error("Supabase fejl (genindlæs):", error);
+      return null;
+    }
+
+    const fresh = normalizeBookings(data ?? []);
+    setBookings(fresh);
+    return fresh;
+  }
+
+  // Hent bookingerne igen, så griddet viser vinderen i stedet for vores optimistiske booking
+  async function handleCreateConflict(cell) {
+    const fresh = await reloadBookings();
+
+    if (!fresh) {
+      setBookings((prev) =>
+        prev.filter((b) => !(b.roomId === cell.roomId && b.date === cell.date && b.startMins === cell.startMins))
+      );
+      setErrorMsg(t("error.takenJustBefore"));
+      return;
+    }
+
+    const winner = findOverlappingBooking(fresh, cell.roomId, cell.date, cell.startMins, cell.endMins);
+    setErrorMsg(
+      winner
+        ? t("error.takenBy", { slot: formatSlotLabel(winner.startMins, winner.endMins), name: winner.name })
+        : t("error.takenJustBefore")
+    );
+  }
+
+  // ------------------------
+  // GEM SERIE (GENTAGNE BOOKINGER)
+  // ------------------------
+  async function confirmCreateSeries(name, email) {
+    const cell = activeCell;
+
+    const dates = buildSeriesDates({
+      startDate: cell.date,
+      intervalWeeks: repeat.intervalWeeks,
+      weekdays: repeat.weekdays,
+      untilDate: repeat.endMode === "until" ? repeat.untilDate : null,
+      count: repeat.endMode === "count" ? repeat.count : null,
+    });
+
+    if (dates.length === 0) {
+      setErrorMsg(t("error.seriesNoDates"));
+      return;
+    }
+
+    // 1) Konfliktrapport: tjek hele serien mod lokalets bookinger i databasen
+    // (state har ikke nødvendigvis alle uger med), og vis optagne datoer før noget gemmes
+    const { data: roomData, error: roomError } = await fetchRoomBookings(cell.roomId, dates[0], dates[dates.length - 1]);
+    if (roomError) {
+      console.error("Supabase fejl (tjek serie):", roomError);
+      setErrorMsg(t("error.seriesCheckFailed", { message: roomError.message ?? t("common.unknownError") }));
+      return;
+    }
+
+    const conflicts = findSeriesConflicts(normalizeBookings(roomData ?? []), cell, dates, { schedule, rules, name });
+    if (conflicts.length > 0 && !seriesConflicts) {
+      setSeriesConflicts({ total: dates.length, conflicts });
+      return;
+    }
+
+    const taken = new Set(conflicts.map((c) => c.date));
+    const freeDates = dates.filter((d) => !taken.has(d));
+    if (freeDates.length === 0) {
+      setErrorMsg(t("error.seriesAllTaken"));
+      return;
+    }
+
+    const owner = await getOwnerHash();
+
+    // 2) Gem selve serien (definitionen), så forekomsterne kan pege på den
+    const { data: series, error: seriesError } = await storage.createSeries({
+      room_id: cell.roomId,
+      start_mins: cell.startMins,
+      end_mins: cell.endMins,
+      name,
+      interval_weeks: repeat.intervalWeeks,
+      weekdays: repeat.weekdays.map((wd) => wd + 1), // ISO: Man=1
+      start_date: cell.date,
+      until_date: repeat.endMode === "until" ? repeat.untilDate : null,
+      occurrence_count: repeat.endMode === "count" ? repeat.count : null,
+      owner_hash: owner,
+    });
+
+    if (seriesError) {
+      console.error("Supabase fejl (gem serie):", seriesError);
+      setErrorMsg(t("error.seriesSaveFailed", { message: seriesError.message ?? t("common.unknownError") }));
+      return;
+    }
+
+    const occurrences = freeDates.map((date) => ({
+      roomId: cell.roomId,
+      date,
+      startMins: cell.startMins,
+      endMins: cell.endMins,
+      name,
+      seriesId: series.id,
+      ownerHash: owner,
+    }));
+
+    // 3) Optimistisk UI: vis alle forekomster med det samme
+    setBookings((prev) => [...prev, ...occurrences]);
+
+    // 4) Gem forekomsterne i ét insert (alt eller intet)
+    try {
+      const { data, error } = await storage.createBookings(
+        occurrences.map((b) => ({
+          room_id: b.roomId,
+          date: b.date,
+          start_mins: b.startMins,
+          end_mins: b.endMins,
+          name: b.name,
+          series_id: b.seriesId,
+          owner_hash: b.ownerHash,
+        }))
+      );
+
+      if (error) throw error;
+
+      const idByDate = new Map((data ?? []).map((row) => [row.date, row.id]));
+      const emailError = await attachEmail([...idByDate.values()], email);
+      showCreated(
+        occurrences.map((b) => ({ ...b, id: idByDate.get(b.date), email })),
+        emailError
+      );
+    } catch (e) {
+      // Rollback: fjern forekomsterne og den tomme serie igen
+      setBookings((prev) => prev.filter((b) => b.seriesId !== series.id));
+      await storage.deleteSeries(series.id);
+
+      // Nogen nåede at booke en af datoerne imens: vis en opdateret konfliktrapport
+      if (e?.code === PG_UNIQUE_VIOLATION || e?.code === PG_EXCLUSION_VIOLATION) {
+        const { data, error: fetchError } = await fetchRoomBookings(cell.roomId, dates[0], dates[dates.length - 1]);
+        if (!fetchError) {
+          const fresh = normalizeBookings(data ?? []);
+          setSeriesConflicts({
+            total: dates.length,
+            conflicts: findSeriesConflicts(fresh, cell, dates, { schedule, rules, name }),
+          });
+        }
+        await reloadBookings();
+        setErrorMsg(t("error.seriesRace"));
+        return;
+      }
+
+      if (e?.code === PG_CHECK_VIOLATION) {
+        setErrorMsg(t("error.closedServer"));
+        return;
+      }
+      if (e?.code === PG_RAISE_EXCEPTION && e.hint) {
+        setErrorMsg(serverPolicyMessage(e, cell.roomId));
+        return;
+      }
+
+      console.error("Supabase fejl (gem serie):", e);
+      setErrorMsg(t("error.seriesSaveFailed", { message: e?.message ?? t("common.unknownError") }));
+    }
+  }
+
+  // ------------------------
+  // SLET BOOKING (DELETE)
+  // ------------------------
+  // scope: "one" = kun denne booking, "following" = denne og alle følgende i samme serie
+  async function confirmDelete(scope = "one") {
+    if (!activeCell) return;
+
+    // En booking der kun ligger i offline-køen: fjern den bare fra køen
+    const target = bookingsIndex.get(bookingKey(activeCell.roomId, activeCell.date, activeCell.startMins));
+    if (target?.pending === "create") {
+      setPendingOps((prev) => prev.filter((op) => op.id !== target.pendingId));
+      closeModal();
+      return;
+    }
+
+    const deleteFollowing = scope === "following" && activeCell.seriesId;
+
+    if (!navigator.onLine) {
+      if (deleteFollowing) {
+        setErrorMsg(t("error.deleteSeriesOffline"));
+        return;
+      }
+      queueOffline("delete", target ?? activeCell);
+      closeModal();
+      return;
+    }
+
+    const isDeleted = deleteFollowing
+      ? (b) => b.seriesId === activeCell.seriesId && b.date >= activeCell.date
+      : (b) => b.roomId === activeCell.roomId && b.date === activeCell.date && b.startMins === activeCell.startMins;
+
+    // Snapshot til rollback
+    bookingsSnapshotRef.current = bookings;
+
+    // Optimistisk UI: fjern med det samme
+    setBookings((prev) => prev.filter((b) => !isDeleted(b)));
+
+    try {
+      // Databasen tjekker ejer-nøglen (eller admin) og sletter evt. resten af serien
+      const { error } = await storage.cancelBooking({
+        roomId: activeCell.roomId,
+        date: activeCell.date,
+        startMins: activeCell.startMins,
+        ownerToken: getOwnerToken(),
+        scope: deleteFollowing ? "following" : "one",
+      });
+
+      if (error) throw error;
+
+      closeModal();
+    } catch (e) {
+      // Rollback
+      setBookings(bookingsSnapshotRef.current);
+
+      if (e?.code === PG_INSUFFICIENT_PRIVILEGE) {
+        setErrorMsg(t("error.deleteDenied"));
+        return;
+      }
+
+      if (isNetworkError(e) && !deleteFollowing) {
+        queueOffline("delete", target ?? activeCell);
+        closeModal();
+        return;
+      }
+
+      console.error("Supabase fejl (slet):", e);
+      setErrorMsg(t("error.deleteFailed", { message: e?.message ?? t("common.unknownError") }));
+    }
+  }
+
+  // ------------------------
+  // VENTELISTE
+  // ------------------------
+  async function loadSlotWaitlist(cell) {
+    const { data, error } = await fetchSlotWaitlist(cell);
+    if (error) {
+      console.error("Supabase fejl (venteliste):", error);
+      return;
+    }
+    setSlotWaitlist(normalizeWaitlist(data));
+  }
+
+  async function joinWaitlist() {
+    if (!activeCell) return;
+
+    const name = nameInput.trim();
+    if (!name) {
+      setErrorMsg(t("error.nameRequired"));
+      return;
+    }
+
+    if (!navigator.onLine) {
+      setErrorMsg(t("waitlist.offline"));
+      return;
+    }
+
+    // Spørg om lov til notifikationer nu, hvor brugeren selv har klikket
+    if ("Notification" in window && Notification.permission === "default") Notification.requestPermission();
+
+    const { data, error } = await storage.joinWaitlist({
+      room_id: activeCell.roomId,
+      date: activeCell.date,
+      start_mins: activeCell.startMins,
+      end_mins: activeCell.endMins,
+      name,
+      owner_hash: await getOwnerHash(),
+    });
+
+    if (error) {
+      if (error.code === PG_UNIQUE_VIOLATION) {
+        setErrorMsg(t("waitlist.already"));
+      } else if (isNetworkError(error)) {
+        setErrorMsg(t("waitlist.offline"));
+      } else {
+        console.error("Supabase fejl (venteliste):", error);
+        setErrorMsg(t("waitlist.joinFailed", { message: error.message ?? t("common.unknownError") }));
+      }
+      return;
+    }
+
+    const [entry] = normalizeWaitlist([data]);
+    setErrorMsg("");
+    setNameInput("");
+    setSlotWaitlist((prev) => [...prev.filter((w) => w.id !== entry.id), entry]);
+    setMyWaitlist((prev) => [...prev.filter((w) => w.id !== entry.id), entry]);
+  }
+
+  // Afmeld en plads (også "Nej tak" til et tilbud; så går tilbuddet videre til den næste).
+  // Returnerer en fejltekst, eller "" når det lykkedes.
+  async function leaveWaitlist(entry) {
+    const { error } = await storage.leaveWaitlist(entry.id, getOwnerToken());
+
+    // P0002: pladsen er allerede afsluttet (fx udløbet eller brugt), så den kan bare fjernes
+    if (error && error.code !== PG_NO_DATA_FOUND) {
+      console.error("Supabase fejl (forlad venteliste):", error);
+      return t("waitlist.leaveFailed", { message: error.message ?? t("common.unknownError") });
+    }
+
+    setMyWaitlist((prev) => prev.filter((w) => w.id !== entry.id));
+    setSlotWaitlist((prev) => prev.filter((w) => w.id !== entry.id));
+    return "";
+  }
+
+  // "Book nu": gå til lokalets uge og åbn bookingen med navnet fra ventelisten
+  function bookWaitlistOffer(entry) {
+    setSelectedRoomId(entry.roomId);
+    setView("calendar");
+    setWeekStart(startOfWeekMonday(parseISODate(entry.date)));
+    openCreateModal(entry.roomId, entry.date, entry.startMins, entry.endMins);
+    setNameInput(entry.name);
+  }
+
+  // Browser-notifikation, hvis brugeren har sagt ja; banneret vises under alle omstændigheder
+  function notifyWaitlistOffer(entry) {
+    if (!("Notification" in window) || Notification.permission !== "granted") return;
+    new Notification(t("waitlist.offerTitle"), {
+      body: waitlistOfferText(entry, roomsById, i18n),
+      tag: `waitlist-${entry.id}`,
+    });
+  }
+
+  // ------------------------
+  // DØR-TABLET (KIOSK)
+  // ------------------------
+  // Alle ved døren må tjekke ind; databasen tjekker, at bookingen er i gang (eller lige om lidt)
+  async function checkInBooking(booking) {
+    setKioskError("");
+
+    const { data, error } = await storage.checkInBooking(booking);
+
+    if (error) {
+      console.error("Supabase fejl (tjek ind):", error);
+      setKioskError(
+        error.code === PG_NO_DATA_FOUND
+          ? t("kiosk.checkInGone")
+          : t("kiosk.checkInFailed", { message: error.message ?? t("common.unknownError") })
+      );
+      return;
+    }
+
+    const [updated] = normalizeBookings([data]);
+    if (updated) setBookings((prev) => prev.map((b) => (b.id === updated.id ? updated : b)));
+  }
+
+  function openSlot(roomId, date, startMins) {
+    const existing = bookingsIndex.get(bookingKey(roomId, date, startMins));
+
+    if (existing) {
+      openDeleteModal(existing);
+    } else if (!closedReason(schedule, roomId, date, startMins, startMins + SLOT_MINS)) {
+      openCreateModal(roomId, date, startMins);
+    }
+  }
+
+  // ------------------------
+  // RET / FLYT BOOKING (UPDATE)
+  // ------------------------
+  // Bruges af både edit-modalen og drag-and-drop. Returnerer en fejltekst eller null.
+  async function saveBookingUpdate(original, next) {
+    const name = next.name.trim();
+    if (!name) return t("error.nameRequiredEdit");
+    if (next.endMins <= next.startMins) return t("error.endBeforeStart");
+    const closed = closedReason(schedule, next.roomId, next.date, next.startMins, next.endMins);
+    if (closed) return closedMessage(closed, next.date, i18n);
+    const broken = checkPolicy(rules, { ...next, name }, visibleBookings, { ignore: original });
+    if (broken) return policyMessage(broken, i18n);
+    if (!navigator.onLine) return t("error.editOffline");
+
+    const overlap = findOverlappingBooking(visibleBookings, next.roomId, next.date, next.startMins, next.endMins, original);
+    if (overlap) {
+      return t("error.overlap", { name: overlap.name, slot: formatSlotLabel(overlap.startMins, overlap.endMins) });
+    }
+
+    // Snapshot til rollback
+    bookingsSnapshotRef.current = bookings;
+
+    // Optimistisk UI: flyt/ret med det samme
+    setBookings((prev) =>
+      prev.map((b) =>
+        isSameBooking(b, original)
+          ? { ...b, roomId: next.roomId, date: next.date, startMins: next.startMins, endMins: next.endMins, name }
+          : b
+      )
+    );
+
+    try {
+      // Én UPDATE i databasen: tidsrummet er aldrig ledigt undervejs
+      const { error } = await storage.updateBooking(
+        { roomId: original.roomId, date: original.date, startMins: original.startMins, ownerToken: getOwnerToken() },
+        { ...next, name }
+      );
+
+      if (error) throw error;
+
+      return null;
+    } catch (e) {
+      // Rollback
+      setBookings(bookingsSnapshotRef.current);
+
+      if (e?.code === PG_UNIQUE_VIOLATION || e?.code === PG_EXCLUSION_VIOLATION) {
+        await reloadBookings();
+        return t("error.takenJustBefore");
+      }
+      if (e?.code === PG_INSUFFICIENT_PRIVILEGE) return t("error.editDenied");
+      if (e?.code === PG_CHECK_VIOLATION) return t("error.closedServer");
+      if (e?.code === PG_RAISE_EXCEPTION && e.hint) return serverPolicyMessage(e, next.roomId);
+      if (e?.code === PG_NO_DATA_FOUND) {
+        await reloadBookings();
+        return t("error.notFound");
+      }
+
+      console.error("Supabase fejl (ret):", e);
+      return t("error.updateFailed", { message: e?.message ?? t("common.unknownError") });
+    }
+  }
+
+  async function confirmEdit() {
+    if (!activeCell || !editDraft) return;
+
+    const message = await saveBookingUpdate(activeCell, editDraft);
+    if (message) {
+      setErrorMsg(message);
+    } else {
+      closeModal();
+    }
+  }
+
+  // Drag-and-drop i ugekalenderen: flyt til ny dag/tid og behold varigheden.
+  // Fejler flytningen, åbnes edit-modalen med forsøget og fejlen.
+  async function moveBooking(booking, dateObj, startMins) {
+    const next = {
+      roomId: booking.roomId,
+      date: toISODate(dateObj),
+      startMins,
+      endMins: startMins + (booking.endMins - booking.startMins),
+      name: booking.name,
+    };
+    if (isSameBooking(next, booking)) return;
+
+    const message = await saveBookingUpdate(booking, next);
+    if (message) openEditModal(booking, next, message);
+  }
+
+  function canModify(booking) {
+    if (!booking) return false;
+    return isAdmin || Boolean(booking.ownerHash && booking.ownerHash === ownerHash);
+  }
+
+  function onClickSlot(dateObj, startMins) {
+    if (!selectedRoomId) return;
+    openSlot(selectedRoomId, toISODate(dateObj), startMins);
+  }
+
+  function selectRoom(roomId) {
+    setSelectedRoomId(roomId);
+    setView("calendar");
+  }
+
+  // Uge/måned/dag: lokalet og datoen bevares (fra ugen: i dag, hvis den er i ugen, ellers mandag)
+  function changeCalendarMode(mode) {
+    const date =
+      calendarMode === "week" ? anchorDate(toISODate(weekStart), toISODate(addDays(weekStart, 6))) : calendarDate;
+    setCalendarDate(date);
+    setWeekStart(startOfWeekMonday(parseISODate(date)));
+    setCalendarMode(mode);
+  }
+
+  // Pilene flytter én uge, én måned eller én (åben) dag
+  function shiftCalendar(step) {
+    if (calendarMode === "week") {
+      setWeekStart(addDays(weekStart, 7 * step));
+      return;
+    }
+
+    if (calendarMode === "month") {
+      const month = addMonths(calendarDate.slice(0, 7), step);
+      setCalendarDate(anchorDate(`${month}-01`, lastDayOfMonth(month)));
+      return;
+    }
+
+    // Dage uden kolonne i ugen (weekend uden åbent) springes over
+    let d = parseISODate(calendarDate);
+    do {
+      d = addDays(d, step);
+    } while (!bounds.weekdays.includes(weekdayIndex(d)));
+    setCalendarDate(toISODate(d));
+    setWeekStart(startOfWeekMonday(d));
+  }
+
+  // Fra månedsvisningen: dagen
+  function openCalendarDay(date) {
+    setCalendarDate(date);
+    setWeekStart(startOfWeekMonday(parseISODate(date)));
+    setCalendarMode("day");
+  }
+
+  function openOverview() {
+    setSelectedRoomId(null);
+    setView("overview");
+  }
+
+  function openReport() {
+    setSelectedRoomId(null);
+    setView("report");
+  }
+
+  function openMyBookings() {
+    setSelectedRoomId(null);
+    setView("mine");
+  }
+
+  function openSearch() {
+    setSelectedRoomId(null);
+    setView("search");
+  }
+
+  // Fra "Mine bookinger" og søgningen: lokalets kalender i bookingens uge
+  function openBookingWeek(booking) {
+    setSelectedRoomId(booking.roomId);
+    setWeekStart(startOfWeekMonday(parseISODate(booking.date)));
+    setCalendarMode("week");
+    setView("calendar");
+  }
+
+  function resetToRoomSelection() {
+    setView("rooms");
+    setSelectedRoomId(null);
+    setWeekStart(startOfWeekMonday(todayISO()));
+    setCalendarDate(todayISO());
+  }
+
+  // Kun bookinger lavet fra denne browser kan slettes/rettes (databasen tjekker det igen)
+  const canDeleteActive = canModify(activeCell);
+  const activeBooking = activeCell
+    ? bookingsIndex.get(bookingKey(activeCell.roomId, activeCell.date, activeCell.startMins))
+    : null;
+  const myWaitlistEntry = ownerHash ? slotWaitlist.find((w) => w.ownerHash === ownerHash) ?? null : null;
+
+  const calendarRangeLabel =
+    calendarMode === "month"
+      ? formatMonth(calendarDate)
+      : calendarMode === "day"
+        ? formatDay(calendarDate)
+        : formatWeekRange(weekStart, bounds.weekdays.at(-1));
+
+  const headerSubtitle =
+    view === "overview"
+      ? t("header.overview", { day: formatDay(overviewDate) })
+      : view === "report"
+        ? t("header.report")
+        : view === "mine"
+          ? t("header.mine")
+          : view === "search"
+            ? t("header.search")
+            : view === "cancel"
+              ? t("header.cancelLink")
+              : selectedRoom
+                ? t("header.calendar", { room: formatRoomLabel(selectedRoom, i18n), range: calendarRangeLabel })
+                : null;
+
+  return (
+    <I18nContext value={i18n}>
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50 text-slate-900">
+        {view === "kiosk" ? null : (
+          <header className="sticky top-0 z-20 border-b border-slate-200/50 bg-white/80 backdrop-blur-md shadow-sm">
+            <div className="mx-auto flex max-w-7xl items-center justify-between gap-3 px-6 py-5">
+              <div className="min-w-0">
+                <h1 className="text-2xl font-bold tracking-tight sm:text-2xl">{t("app.title")}</h1>
+                {headerSubtitle ? (
+                  <p className="mt-1 truncate text-sm text-slate-500">{headerSubtitle}</p>
+                ) : (
+                  <p className="mt-1 text-sm text-slate-500">{t("app.chooseRoomHint")}</p>
+                )}
+              </div>
+
+              <div className="flex shrink-0 items-center gap-2">
+                <select
+                  value={locale}
+                  onChange={(e) => changeLocale(e.target.value)}
+                  aria-label={t("app.language")}
+                  title={t("app.language")}
+                  className="rounded-lg border border-slate-300 bg-white px-2 py-2 text-sm font-medium shadow-sm transition hover:border-slate-400 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                >
+                  {LOCALES.map((l) => (
+                    <option key={l.code} value={l.code}>
+                      {l.name}
+                    </option>
+                  ))}
+                </select>
+                {view !== "rooms" ? (
+                  <button
+                    onClick={resetToRoomSelection}
+                    className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400"
+                  >
+                    {t("app.back")}
+                  </button>
+                ) : null}
+              </div>
+            </div>
+          </header>
+        )}
+
+        <main className={view === "kiosk" ? "px-6 py-6" : "mx-auto max-w-7xl px-6 py-8"}>
+          <div role="status" aria-live="polite" className="sr-only">
+            {announcement}
+          </div>
+
+          <SyncStatus
+            online={online}
+            stale={loadFailed || realtimeDown}
+            lastSyncedAt={lastSyncedAt}
+            pendingCount={pendingOps.length}
+            issues={syncIssues}
+            roomsById={roomsById}
+            onDismissIssue={(issue) => setSyncIssues((prev) => prev.filter((i) => i !== issue))}
+          />
+
+          <WaitlistOffers
+            offers={waitlistOffers}
+            roomsById={roomsById}
+            onBook={bookWaitlistOffer}
+            onDecline={leaveWaitlist}
+          />
+
+          {view === "kiosk" ? (
+            <KioskView
+              room={selectedRoom}
+              roomsLoading={roomsLoading}
+              loading={loading}
+              bookings={visibleBookings}
+              schedule={schedule}
+              now={now}
+              errorMsg={kioskError}
+              onBookNow={(date, startMins, endMins) => openCreateModal(selectedRoomId, date, startMins, endMins)}
+              onCheckIn={checkInBooking}
+            />
+          ) : view === "cancel" && cancelLink ? (
+            <EmailCancelView key={cancelLink.bookingId} link={cancelLink} roomsById={roomsById} onDone={resetToRoomSelection} />
+          ) : view === "report" ? (
+            <ReportView rooms={rooms} roomsById={roomsById} schedule={schedule} />
+          ) : view === "mine" ? (
+            <MyBookingsView roomsById={roomsById} onOpenBooking={openBookingWeek} />
+          ) : view === "search" ? (
+            <BookingSearchView
+              query={searchQuery}
+              onSearch={setSearchQuery}
+              roomsById={roomsById}
+              onOpenBooking={openBookingWeek}
+            />
+          ) : view === "overview" ? (
+            <DayOverview
+              loading={loading}
+              rooms={rooms}
+              date={overviewDate}
+              setDate={setOverviewDate}
+              slots={slots}
+              schedule={schedule}
+              bookings={visibleBookings}
+              bookingsIndex={bookingsIndex}
+              onClickSlot={(roomId, startMins) => openSlot(roomId, overviewDate, startMins)}
+              onBookFreeRoom={(roomId, startMins, endMins) => openCreateModal(roomId, overviewDate, startMins, endMins)}
+            />
+          ) : !selectedRoom ? (
+            <RoomSelection
+              rooms={rooms}
+              loading={roomsLoading}
+              error={roomsError}
+              onSelect={selectRoom}
+              onOpenOverview={openOverview}
+              onOpenReport={openReport}
+              onOpenMyBookings={openMyBookings}
+              onOpenSearch={openSearch}
+            />
+          ) : (
+            <CalendarView
+              loading={loading}
+              room={selectedRoom}
+              mode={calendarMode}
+              onChangeMode={changeCalendarMode}
+              rangeLabel={calendarRangeLabel}
+              onShift={shiftCalendar}
+              date={calendarDate}
+              onOpenDay={openCalendarDay}
+              now={now}
+              weekStart={weekStart}
+              setWeekStart={setWeekStart}
+              weekDays={weekDays}
+              slots={slots}
+              schedule={schedule}
+              bookings={visibleBookings}
+              bookingsIndex={bookingsIndex}
+              onClickSlot={onClickSlot}
+              canDrag={(b) => !b.pending && canModify(b)}
+              onMoveBooking={moveBooking}
+              onOpenHistory={() => openHistory({ roomId: selectedRoom.id })}
+            />
+          )}
+
+          <Modal open={modalOpen} onClose={closeModal} titleId={modalTitleId}>
+            {modalMode === "created" ? (
+              <div>
+                <h2 id={modalTitleId} className="text-2xl font-bold text-slate-900">{t("created.title")}</h2>
+                {createdBookings.length > 0 ? (
+                  <p className="mt-2 text-sm text-slate-600">
+                    <span className="font-bold text-slate-900">
+                      {roomsById.get(createdBookings[0].roomId)?.name ?? createdBookings[0].roomId}
+                    </span>
+                    <span className="mx-2 text-slate-400">•</span>
+                    {createdBookings.length > 1
+                      ? t("created.times", { count: createdBookings.length, day: formatDay(createdBookings[0].date) })
+                      : formatDay(createdBookings[0].date)}
+                    <span className="mx-2 text-slate-400">•</span>
+                    <span className="font-bold text-slate-900">
+                      {formatSlotLabel(createdBookings[0].startMins, createdBookings[0].endMins)}
+                    </span>
+                  </p>
+                ) : null}
+
+                {createdBookings.length > 0 && storage.features.icalFeed ? (
+                  <p className="mt-4 text-sm text-slate-600">
+                    {t("created.subscribePrompt")}{" "}
+                    <a
+                      href={toWebcalUrl(icalFeedUrl({ name: createdBookings[0].name }))}
+                      className="font-medium text-blue-600 underline hover:text-blue-700"
+                    >
+                      {t("created.subscribeLink", { name: createdBookings[0].name })}
+                    </a>
+                  </p>
+                ) : null}
+
+                {createdBookings[0]?.email ? (
+                  <p className="mt-3 text-sm text-slate-600">{t("created.emailNote", { email: createdBookings[0].email })}</p>
+                ) : null}
+
+                {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+
+                <div className="mt-6 flex items-center justify-end gap-3">
+                  <button
+                    onClick={closeModal}
+                    className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+                  >
+                    {t("common.close")}
+                  </button>
+                  <button
+                    onClick={downloadCreatedICS}
+                    className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+                  >
+                    {t("created.addToCalendar")}
+                  </button>
+                </div>
+              </div>
+            ) : modalMode === "create" ? (
+              <div>
+                <h2 id={modalTitleId} className="text-2xl font-bold text-slate-900">{t("create.title")}</h2>
+                <p className="mt-2 text-sm text-slate-600">
+                  {activeCell ? (
+                    <>
+                      <span className="font-bold text-slate-900">{roomsById.get(activeCell.roomId)?.name ?? activeCell.roomId}</span>
+                      <span className="mx-2 text-slate-400">•</span>
+                      {formatDay(activeCell.date)}
+                      <span className="mx-2 text-slate-400">•</span>
+                      <span className="font-bold text-slate-900">
+                        {formatSlotLabel(activeCell.startMins, activeCell.endMins)}
+                      </span>
+                    </>
+                  ) : null}
+                </p>
+
+                {activeCell ? (
+                  <div className="mt-6 grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-900">{t("common.from")}</label>
+                      <select
+                        value={activeCell.startMins}
+                        onChange={(e) => setDraftStart(Number(e.target.value))}
+                        className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                      >
+                        {slots.map((s) => (
+                          <option key={s.startMins} value={s.startMins}>
+                            {minutesToHHMM(s.startMins)}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-900">{t("common.to")}</label>
+                      <select
+                        value={activeCell.endMins}
+                        onChange={(e) => setDraftEnd(Number(e.target.value))}
+                        className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                      >
+                        {slots
+                          .map((s) => s.startMins + SLOT_MINS)
+                          .filter((end) => end > activeCell.startMins)
+                          .map((end) => (
+                            <option key={end} value={end}>
+                              {minutesToHHMM(end)}
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                  </div>
+                ) : null}
+
+                {activeCell ? (
+                  <div className="mt-4">
+                    <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-900">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(repeat)}
+                        onChange={(e) => toggleRepeat(e.target.checked)}
+                        className="h-4 w-4 rounded border-slate-300 text-blue-600"
+                      />
+                      {t("create.repeat")}
+                    </label>
+
+                    {repeat ? (
+                      <div className="mt-3 space-y-3 rounded-lg border border-slate-200 bg-slate-50 p-4">
+                        <select
+                          value={repeat.intervalWeeks}
+                          onChange={(e) => updateRepeat({ intervalWeeks: Number(e.target.value) })}
+                          className="w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        >
+                          <option value={1}>{t("create.everyWeek")}</option>
+                          {[2, 3, 4].map((n) => (
+                            <option key={n} value={n}>
+                              {t("create.everyNWeeks", { n })}
+                            </option>
+                          ))}
+                        </select>
+
+                        <div className="flex gap-1.5">
+                          {bounds.weekdays.map((wd) => {
+                            const on = repeat.weekdays.includes(wd);
+                            return (
+                              <button
+                                key={wd}
+                                type="button"
+                                onClick={() => toggleRepeatWeekday(wd)}
+                                aria-pressed={on}
+                                className={`flex-1 rounded-lg border px-2 py-1.5 text-xs font-semibold transition ${
+                                  on
+                                    ? "border-blue-600 bg-blue-600 text-white"
+                                    : "border-slate-300 bg-white text-slate-700 hover:border-blue-400"
+                                }`}
+                              >
+                                {i18n.weekdayName(wd, "short")}
+                              </button>
+                            );
+                          })}
+                        </div>
+
+                        <div className="space-y-2 text-sm text-slate-700">
+                          <label className="flex items-center gap-2">
+                            <input
+                              type="radio"
+                              checked={repeat.endMode === "count"}
+                              onChange={() => updateRepeat({ endMode: "count" })}
+                            />
+                            <span className="w-20">{t("create.count")}</span>
+                            <input
+                              type="number"
+                              min={1}
+                              max={MAX_SERIES_OCCURRENCES}
+                              value={repeat.count}
+                              onChange={(e) =>
+                                updateRepeat({
+                                  endMode: "count",
+                                  count: Math.max(1, Math.min(MAX_SERIES_OCCURRENCES, Number(e.target.value) || 1)),
+                                })
+                              }
+                              className="w-24 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                            />
+                          </label>
+                          <label className="flex items-center gap-2">
+                            <input
+                              type="radio"
+                              checked={repeat.endMode === "until"}
+                              onChange={() => updateRepeat({ endMode: "until" })}
+                            />
+                            <span className="w-20">{t("create.until")}</span>
+                            <input
+                              type="date"
+                              min={activeCell.date}
+                              value={repeat.untilDate}
+                              onChange={(e) => updateRepeat({ endMode: "until", untilDate: e.target.value })}
+                              className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                            />
+                          </label>
+                        </div>
+                      </div>
+                    ) : null}
+
+                    {seriesConflicts ? (
+                      <div className="mt-3 rounded-lg border border-amber-300 bg-amber-50 p-4 text-sm">
+                        <div className="font-semibold text-amber-900">
+                          {t("create.conflicts", { taken: seriesConflicts.conflicts.length, total: seriesConflicts.total })}
+                        </div>
+                        <ul className="mt-2 max-h-32 space-y-1 overflow-auto text-amber-800">
+                          {seriesConflicts.conflicts.map((c) => (
+                            <li key={c.date}>
+                              {formatDay(c.date)} –{" "}
+                              {c.booking
+                                ? `${formatSlotLabel(c.booking.startMins, c.booking.endMins)} (${c.booking.name})`
+                                : c.closed
+                                  ? closedLabel(c.closed, t)
+                                  : policyLabel(c.broken, i18n)}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+
+                <div className="mt-6">
+                  <label className="block text-sm font-semibold text-slate-900">{t("create.yourName")}</label>
+                  <input
+                    value={nameInput}
+                    onChange={(e) => setNameInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") confirmCreate();
+                    }}
+                    placeholder={t("create.namePlaceholder")}
+                    className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                    autoFocus
+                  />
+                </div>
+
+                {/* Ikke på dør-tabletten: den står på gangen, og man er allerede ved lokalet.
+                    Heller ikke uden mails (lokal lagring) */}
+                {view === "kiosk" || !storage.features.email ? null : (
+                  <div className="mt-4">
+                    <label className="block text-sm font-semibold text-slate-900">{t("create.email")}</label>
+                    <input
+                      type="email"
+                      value={emailInput}
+                      onChange={(e) => setEmailInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") confirmCreate();
+                      }}
+                      placeholder={t("create.emailPlaceholder")}
+                      className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                    />
+                    <p className="mt-1 text-xs text-slate-500">{t("create.emailHint")}</p>
+                  </div>
+                )}
+
+                {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+
+                <div className="mt-6 flex items-center justify-end gap-3">
+                  <button
+                    onClick={closeModal}
+                    className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+                  >
+                    {t("common.cancel")}
+                  </button>
+                  <button
+                    onClick={confirmCreate}
+                    className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+                  >
+                    {seriesConflicts
+                      ? t("create.bookFree", { count: seriesConflicts.total - seriesConflicts.conflicts.length })
+                      : repeat
+                        ? t("create.bookSeries")
+                        : t("common.book")}
+                  </button>
+                </div>
+              </div>
+            ) : modalMode === "history" ? (
+              <HistoryPanel
+                scope={historyScope}
+                entries={historyEntries}
+                loading={historyLoading}
+                roomsById={roomsById}
+                ownerHash={ownerHash}
+                canRestore={(entry) => canModify(entry.before)}
+                onRestore={restoreBooking}
+                errorMsg={errorMsg}
+                onClose={closeModal}
+                titleId={modalTitleId}
+              />
+            ) : modalMode === "edit" ? (
+              <div>
+                <h2 id={modalTitleId} className="text-2xl font-bold text-slate-900">{t("edit.title")}</h2>
+                {activeCell ? (
+                  <p className="mt-2 text-sm text-slate-600">
+                    {t("edit.now")} {roomsById.get(activeCell.roomId)?.name ?? activeCell.roomId}
+                    <span className="mx-2 text-slate-400">•</span>
+                    {formatDay(activeCell.date)}
+                    <span className="mx-2 text-slate-400">•</span>
+                    {formatSlotLabel(activeCell.startMins, activeCell.endMins)}
+                  </p>
+                ) : null}
+
+                {editDraft ? (
+                  <div className="mt-6 space-y-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-900">{t("common.name")}</label>
+                      <input
+                        value={editDraft.name}
+                        onChange={(e) => updateEditDraft({ name: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") confirmEdit();
+                        }}
+                        className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        autoFocus
+                      />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-900">{t("common.room")}</label>
+                        <select
+                          value={editDraft.roomId}
+                          onChange={(e) => updateEditDraft({ roomId: e.target.value })}
+                          className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        >
+                          {rooms.map((r) => (
+                            <option key={r.id} value={r.id}>
+                              {r.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-900">{t("common.date")}</label>
+                        <input
+                          type="date"
+                          value={editDraft.date}
+                          onChange={(e) => e.target.value && updateEditDraft({ date: e.target.value })}
+                          className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-900">{t("common.from")}</label>
+                        <select
+                          value={editDraft.startMins}
+                          onChange={(e) => updateEditDraft({ startMins: Number(e.target.value) })}
+                          className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        >
+                          {slots.map((s) => (
+                            <option key={s.startMins} value={s.startMins}>
+                              {minutesToHHMM(s.startMins)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-900">{t("common.to")}</label>
+                        <select
+                          value={editDraft.endMins}
+                          onChange={(e) => updateEditDraft({ endMins: Number(e.target.value) })}
+                          className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-3 py-2.5 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        >
+                          {slots
+                            .map((s) => s.startMins + SLOT_MINS)
+                            .filter((end) => end > editDraft.startMins)
+                            .map((end) => (
+                              <option key={end} value={end}>
+                                {minutesToHHMM(end)}
+                              </option>
+                            ))}
+                        </select>
+                      </div>
+                    </div>
+                  </div>
+                ) : null}
+
+                {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+
+                <div className="mt-6 flex items-center justify-end gap-3">
+                  <button
+                    onClick={closeModal}
+                    className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+                  >
+                    {t("common.cancel")}
+                  </button>
+                  <button
+                    onClick={confirmEdit}
+                    className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+                  >
+                    {t("common.save")}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div>
+                <h2 id={modalTitleId} className="text-2xl font-bold text-slate-900">{canDeleteActive ? t("delete.title") : t("delete.titleReadonly")}</h2>
+                <p className="mt-2 text-sm text-slate-600">
+                  {activeCell ? (
+                    <>
+                      <span className="font-bold text-slate-900">{roomsById.get(activeCell.roomId)?.name ?? activeCell.roomId}</span>
+                      <span className="mx-2 text-slate-400">•</span>
+                      {formatDay(activeCell.date)}
+                      <span className="mx-2 text-slate-400">•</span>
+                      <span className="font-bold text-slate-900">
+                        {formatSlotLabel(activeCell.startMins, activeCell.endMins)}
+                      </span>
+                    </>
+                  ) : null}
+                </p>
+
+                <div className="mt-6 rounded-lg border border-slate-200 bg-gradient-to-br from-slate-50 to-slate-100 p-4">
+                  <div className="text-xs font-semibold uppercase tracking-wider text-slate-500">{t("delete.bookedBy")}</div>
+                  <div className="mt-2 text-lg font-bold text-slate-900">
+                    {activeCell
+                      ? bookingsIndex.get(bookingKey(activeCell.roomId, activeCell.date, activeCell.startMins))?.name ??
+                        t("delete.unknownName")
+                      : ""}
+                  </div>
+                  {activeCell?.seriesId ? (
+                    <div className="mt-1 text-xs font-medium text-slate-500">{t("delete.partOfSeries")}</div>
+                  ) : null}
+                </div>
+
+                {activeCell ? (
+                  <button
+                    onClick={() =>
+                      openHistory({
+                        roomId: activeCell.roomId,
+                        date: activeCell.date,
+                        startMins: activeCell.startMins,
+                        endMins: activeCell.endMins,
+                      })
+                    }
+                    className="mt-3 text-sm font-medium text-blue-600 underline hover:text-blue-700"
+                  >
+                    {t("delete.slotHistory")}
+                  </button>
+                ) : null}
+
+                {!canDeleteActive ? (
+                  <p className="mt-3 rounded-lg border border-amber-300 bg-amber-50 px-4 py-3 text-sm font-medium text-amber-900">
+                    {t("delete.notOwner")}
+                  </p>
+                ) : null}
+
+                {!canDeleteActive && activeBooking && !activeBooking.pending ? (
+                  <div className="mt-4 rounded-lg border border-slate-200 bg-white p-4">
+                    <div className="text-xs font-semibold uppercase tracking-wider text-slate-500">{t("waitlist.title")}</div>
+                    <p className="mt-2 text-sm text-slate-700">
+                      {slotWaitlist.length > 0 ? plural("waitlist.count", slotWaitlist.length) : t("waitlist.empty")}
+                      {myWaitlistEntry
+                        ? ` ${t("waitlist.position", { position: slotWaitlist.indexOf(myWaitlistEntry) + 1 })}`
+                        : null}
+                    </p>
+
+                    {myWaitlistEntry ? (
+                      <button
+                        onClick={async () => setErrorMsg(await leaveWaitlist(myWaitlistEntry))}
+                        className="mt-3 rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+                      >
+                        {t("waitlist.leave")}
+                      </button>
+                    ) : (
+                      <div className="mt-3 flex flex-wrap items-center gap-2">
+                        <input
+                          value={nameInput}
+                          onChange={(e) => setNameInput(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") joinWaitlist();
+                          }}
+                          placeholder={t("create.namePlaceholder")}
+                          aria-label={t("create.yourName")}
+                          className="min-w-0 flex-1 rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+                        />
+                        <button
+                          onClick={joinWaitlist}
+                          className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+                        >
+                          {t("waitlist.join")}
+                        </button>
+                      </div>
+                    )}
+
+                    <p className="mt-3 text-xs text-slate-500">{t("waitlist.explain", { minutes: WAITLIST_HOLD_MINS })}</p>
+                  </div>
+                ) : null}
+
+                {activeBooking?.pending ? (
+                  <p className="mt-3 rounded-lg border border-amber-300 bg-amber-50 px-4 py-3 text-sm font-medium text-amber-900">
+                    {activeBooking.pending === "create" ? t("delete.pendingCreate") : t("delete.pendingDelete")}
+                  </p>
+                ) : null}
+
+                {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+
+                <div className="mt-6 flex items-center justify-end gap-3">
+                  <button
+                    onClick={closeModal}
+                    className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+                  >
+                    {canDeleteActive ? t("common.undo") : t("common.close")}
+                  </button>
+                  {canDeleteActive && activeBooking && !activeBooking.pending ? (
+                    <button
+                      onClick={() => openEditModal(activeBooking)}
+                      className="rounded-lg border border-blue-300 bg-white px-4 py-2.5 text-sm font-medium text-blue-700 shadow-sm transition hover:bg-blue-50 active:scale-95"
+                    >
+                      {t("common.edit")}
+                    </button>
+                  ) : null}
+                  {!canDeleteActive || activeBooking?.pending === "delete" ? null : activeCell?.seriesId ? (
+                    <>
+                      <button
+                        onClick={() => confirmDelete("one")}
+                        className="rounded-lg border border-red-300 bg-white px-4 py-2.5 text-sm font-medium text-red-700 shadow-sm transition hover:bg-red-50 active:scale-95"
+                      >
+                        {t("delete.onlyThis")}
+                      </button>
+                      <button
+                        onClick={() => confirmDelete("following")}
+                        className="rounded-lg bg-gradient-to-r from-red-500 to-red-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-red-700 active:scale-95"
+                      >
+                        {t("delete.thisAndFollowing")}
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => confirmDelete("one")}
+                      className="rounded-lg bg-gradient-to-r from-red-500 to-red-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-red-700 active:scale-95"
+                    >
+                      {t("common.delete")}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </Modal>
+
+          {view === "kiosk" ? null : (
+            <footer className="mt-12 border-t border-slate-200/50 pt-6 text-center text-xs text-slate-500">
+              <p>
+                {t("app.footerStoredIn")}{" "}
+                <span className="font-medium text-slate-600">
+                  {storage.backend === "supabase" ? "Supabase (PostgreSQL)" : t(`app.storage.${storage.backend}`)}
+                </span>
+              </p>
+            </footer>
+          )}
+        </main>
+      </div>
+    </I18nContext>
+  );
+}
+
+// ------------------------
+// UNDERVISNING: Hvad er RoomSelection / CalendarView?
+// Det er bare "små komponenter" (= små byggeklodser) så koden er mere overskuelig.
+// ------------------------
+
+function RoomSelection({ rooms, loading, error, onSelect, onOpenOverview, onOpenReport, onOpenMyBookings, onOpenSearch }) {
+  const { t, plural } = useI18n();
+
+  return (
+    <div className="mx-auto max-w-5xl">
+      <div className="mb-8 flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h2 className="text-3xl font-bold tracking-tight">{t("rooms.title")}</h2>
+          <p className="mt-2 text-base text-slate-600">{t("rooms.subtitle")}</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onOpenMyBookings}
+            className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+          >
+            {t("rooms.myBookingsButton")}
+          </button>
+          <button
+            onClick={onOpenSearch}
+            className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+          >
+            {t("rooms.searchButton")}
+          </button>
+          <button
+            onClick={onOpenOverview}
+            className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+          >
+            {t("rooms.overviewButton")}
+          </button>
+          <button
+            onClick={onOpenReport}
+            className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+          >
+            {t("rooms.reportButton")}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-sm text-slate-500">
+          <div className="h-4 w-4 rounded-full border-2 border-blue-300 border-t-blue-600 animate-spin" />
+          {t("rooms.loading")}
+        </div>
+      ) : null}
+      {error ? <p className="text-sm font-medium text-red-600">{t(error)}</p> : null}
+
+      <div className="grid gap-6 sm:grid-cols-3">
+        {rooms.map((room) => (
+          <button
+            key={room.id}
+            onClick={() => onSelect(room.id)}
+            className="group relative overflow-hidden rounded-2xl bg-gradient-to-br from-blue-500 via-blue-600 to-blue-700 p-6 text-left shadow-lg transition-all duration-300 hover:-translate-y-1 hover:shadow-2xl focus:outline-none active:scale-95"
+          >
+            <div
+              className="absolute inset-0 opacity-0 transition-opacity duration-300 group-hover:opacity-100"
+              style={{ background: "radial-gradient(circle at 30% 20%, rgba(255,255,255,0.15), transparent 50%)" }}
+            />
+            <div className="relative">
+              <div className="text-sm font-medium text-blue-100">{t("room.meetingRoom")}</div>
+              <div className="mt-2 text-xl font-bold text-white">{room.name}</div>
+              <dl className="mt-3 space-y-1 text-sm text-blue-50">
+                {room.capacity ? (
+                  <div className="flex gap-2">
+                    <dt className="text-blue-200">{t("room.capacity")}</dt>
+                    <dd className="font-medium">{plural("room.people", room.capacity)}</dd>
+                  </div>
+                ) : null}
+                {room.floor != null ? (
+                  <div className="flex gap-2">
+                    <dt className="text-blue-200">{t("room.floorLabel")}</dt>
+                    <dd className="font-medium">{t("room.floor", { floor: room.floor })}</dd>
+                  </div>
+                ) : null}
+              </dl>
+              {room.equipment.length > 0 ? (
+                <ul className="mt-3 flex flex-wrap gap-1.5">
+                  {room.equipment.map((item) => (
+                    <li key={item} className="rounded-md bg-white/15 px-2 py-0.5 text-xs font-medium text-white ring-1 ring-white/20">
+                      {item}
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+              <div className="mt-5 inline-flex items-center gap-2 rounded-lg bg-white/15 px-4 py-2 text-sm font-medium text-white backdrop-blur-sm ring-1 ring-white/20 transition group-hover:bg-white/20">
+                {t("room.openCalendar")} <span className="transition duration-300 group-hover:translate-x-1">→</span>
+              </div>
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-10 rounded-2xl border border-slate-200/60 bg-white p-6 shadow-sm">
+        <div className="text-base font-semibold text-slate-900">{t("rooms.howTitle")}</div>
+        <ul className="mt-3 space-y-2 text-sm text-slate-600">
+          <li className="flex items-start gap-3">
+            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
+              1
+            </span>
+            <span>{t("rooms.how1")}</span>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
+              2
+            </span>
+            <span>{t("rooms.how2")}</span>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
+              3
+            </span>
+            <span>{t("rooms.how3")}</span>
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const CALENDAR_MODES = ["week", "month", "day"];
+
+// Pilene flytter én enhed af den aktive visning
+const SHIFT_LABELS = {
+  week: { prev: "calendar.prevWeek", next: "calendar.nextWeek" },
+  month: { prev: "calendar.prevMonth", next: "calendar.nextMonth" },
+  day: { prev: "calendar.prevDay", next: "calendar.nextDay" },
+};
+
+function CalendarView({
+  loading,
+  room,
+  mode,
+  onChangeMode,
+  rangeLabel,
+  onShift,
+  date,
+  onOpenDay,
+  now,
+  weekStart,
+  setWeekStart,
+  weekDays,
+  slots,
+  schedule,
+  bookings,
+  bookingsIndex,
+  onClickSlot,
+  canDrag,
+  onMoveBooking,
+  onOpenHistory,
+}) {
+  const i18n = useI18n();
+  const { t, formatDay } = i18n;
+  const gridId = useId();
+
+  // Tid + én kolonne pr. viste dag (5, eller 6-7 hvis lokalet har åbent i weekenden)
+  const columns = `repeat(${weekDays.length + 1}, minmax(0, 1fr))`;
+
+  // Tastatur (ARIA grid med "roving tabindex"): kun den aktive celle er i tab-rækkefølgen.
+  // cursor er { col, row } i weekDays/slots og følger fokus, også når der klikkes med musen.
+  const [cursor, setCursor] = useState({ col: 0, row: 0 });
+  const gridRef = useRef(null);
+  const focusAfterWeekChangeRef = useRef(false);
+
+  function cellKey(col, row) {
+    return bookingKey(room.id, toISODate(weekDays[col]), slots[row].startMins);
+  }
+
+  // Et tidsrum midt i en booking tegnes ikke selv; cellen er bookingens første række
+  function drawnRow(col, row) {
+    let r = row;
+    while (r > 0) {
+      const existing = bookingsIndex.get(cellKey(col, r));
+      if (!existing || existing.startMins >= slots[r].startMins) break;
+      r--;
+    }
+    return r;
+  }
+
+  const hasCells = weekDays.length > 0 && slots.length > 0;
+  const activeCol = Math.min(cursor.col, weekDays.length - 1);
+  const activeRow = hasCells ? drawnRow(activeCol, Math.min(cursor.row, slots.length - 1)) : 0;
+
+  function focusCell(col, row) {
+    gridRef.current?.querySelector(`[data-slot-key="${CSS.escape(cellKey(col, row))}"] > *`)?.focus();
+  }
+
+  function moveTo(col, row) {
+    const c = Math.max(0, Math.min(col, weekDays.length - 1));
+    const r = drawnRow(c, Math.max(0, Math.min(row, slots.length - 1)));
+    setCursor({ col: c, row: r });
+    focusCell(c, r);
+  }
+
+  // Efter PageUp/PageDown er cellerne tegnet forfra for den nye uge; fokus flyttes med
+  const focusActiveCell = useEffectEvent(() => focusCell(activeCol, activeRow));
+  useEffect(() => {
+    if (!focusAfterWeekChangeRef.current) return;
+    focusAfterWeekChangeRef.current = false;
+    focusActiveCell();
+  }, [weekStart]);
+
+  // Pile: dag/tidsrum. Home/End: første/sidste dag. Ctrl+Home/End: første/sidste celle. PageUp/PageDown: uge
+  function onGridKeyDown(e) {
+    if (!hasCells) return;
+    const existing = bookingsIndex.get(cellKey(activeCol, activeRow));
+    const span = existing ? slotSpan(existing) : 1;
+    const lastCol = weekDays.length - 1;
+    const lastRow = slots.length - 1;
+
+    if (e.key === "ArrowRight") moveTo(activeCol + 1, activeRow);
+    else if (e.key === "ArrowLeft") moveTo(activeCol - 1, activeRow);
+    else if (e.key === "ArrowDown") moveTo(activeCol, Math.min(activeRow + span, lastRow));
+    else if (e.key === "ArrowUp") moveTo(activeCol, activeRow - 1);
+    else if (e.key === "Home") moveTo(0, e.ctrlKey ? 0 : activeRow);
+    else if (e.key === "End") moveTo(lastCol, e.ctrlKey ? lastRow : activeRow);
+    else if (e.key === "PageUp" || e.key === "PageDown") {
+      focusAfterWeekChangeRef.current = true;
+      setWeekStart(addDays(weekStart, e.key === "PageUp" ? -7 : 7));
+    } else return;
+
+    e.preventDefault();
+  }
+
+  // Drag-and-drop (kun desktop): bookingen der trækkes, og cellen der trækkes henover
+  const draggingRef = useRef(null);
+  const [dragOverKey, setDragOverKey] = useState(null);
+
+  function dragPropsFor(existing, key) {
+    if (!existing || !canDrag(existing)) return {};
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        draggingRef.current = existing;
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", key);
+      },
+      onDragEnd: () => {
+        draggingRef.current = null;
+        setDragOverKey(null);
+      },
+    };
+  }
+
+  function dropPropsFor(d, startMins, key) {
+    return {
+      onDragOver: (e) => {
+        if (!draggingRef.current) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        setDragOverKey(key);
+      },
+      onDragLeave: () => setDragOverKey((k) => (k === key ? null : k)),
+      onDrop: (e) => {
+        e.preventDefault();
+        const booking = draggingRef.current;
+        draggingRef.current = null;
+        setDragOverKey(null);
+        if (booking) onMoveBooking(booking, d, startMins);
+      },
+    };
+  }
+
+  return (
+    <div>
+      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 id={`${gridId}-title`} className="text-3xl font-bold tracking-tight">
+            {formatRoomLabel(room, i18n)}
+          </h2>
+          <p className="mt-2 text-slate-600">{t("calendar.subtitle")}</p>
+          <div className="mt-1 flex flex-wrap gap-4">
+            {storage.features.icalFeed ? (
+              <a
+                href={toWebcalUrl(icalFeedUrl({ roomId: room.id }))}
+                className="text-sm font-medium text-blue-600 underline hover:text-blue-700"
+                title={t("calendar.subscribeTitle")}
+              >
+                {t("calendar.subscribe")}
+              </a>
+            ) : null}
+            <button
+              onClick={onOpenHistory}
+              className="text-sm font-medium text-blue-600 underline hover:text-blue-700"
+              title={t("calendar.historyTitle")}
+            >
+              {t("calendar.history")}
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div role="group" aria-label={t("calendar.modeLabel")} className="flex rounded-lg border border-slate-300 bg-white p-0.5 shadow-sm">
+            {CALENDAR_MODES.map((m) => (
+              <button
+                key={m}
+                onClick={() => onChangeMode(m)}
+                aria-pressed={mode === m}
+                className={`rounded-md px-3 py-1.5 text-sm font-medium transition ${
+                  mode === m ? "bg-blue-600 text-white shadow-sm" : "text-slate-700 hover:bg-slate-50"
+                }`}
+              >
+                {t(`calendar.mode.${m}`)}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => onShift(-1)}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+            aria-label={t(SHIFT_LABELS[mode].prev)}
+            title={t(SHIFT_LABELS[mode].prev)}
+          >
+            ←
+          </button>
+          <div className="min-w-[180px] rounded-lg border border-slate-300 bg-white px-4 py-2 text-center text-sm font-medium shadow-sm">
+            {rangeLabel}
+          </div>
+          <button
+            onClick={() => onShift(1)}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+            aria-label={t(SHIFT_LABELS[mode].next)}
+            title={t(SHIFT_LABELS[mode].next)}
+          >
+            →
+          </button>
+        </div>
+      </div>
+
+      {mode === "month" ? (
+        <MonthCalendar
+          room={room}
+          date={date}
+          weekdays={weekDays.map(weekdayIndex)}
+          schedule={schedule}
+          bookings={bookings}
+          loading={loading}
+          onOpenDay={onOpenDay}
+        />
+      ) : mode === "day" ? (
+        <>
+          <DayCalendar
+            room={room}
+            date={date}
+            slots={slots}
+            schedule={schedule}
+            bookingsIndex={bookingsIndex}
+            now={now}
+            onClickSlot={onClickSlot}
+          />
+          <div className="mt-6">
+            <Legend loading={loading} />
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="overflow-hidden rounded-2xl border border-slate-200/60 bg-white shadow-lg">
+            {/* Desktop/tablet: ARIA grid med en række pr. tidsrum (rækkerne er display: contents,
+                så cellerne stadig placeres i ét CSS-grid og en booking kan spænde over flere rækker) */}
+            <p id={`${gridId}-help`} className="sr-only">
+              {t("calendar.gridHelp")}
+            </p>
+            <div
+              ref={gridRef}
+              role="grid"
+              aria-labelledby={`${gridId}-title`}
+              aria-describedby={`${gridId}-help`}
+              aria-rowcount={slots.length + 1}
+              aria-colcount={weekDays.length + 1}
+              onKeyDown={onGridKeyDown}
+              className="hidden md:block"
+            >
+              <div role="row" className="grid border-b bg-gradient-to-r from-slate-50 to-slate-100" style={{ gridTemplateColumns: columns }}>
+                <div role="columnheader" className="px-4 py-4 text-xs font-semibold uppercase tracking-widest text-slate-500">
+                  {t("common.time")}
+                </div>
+                {weekDays.map((d) => (
+                  <div key={toISODate(d)} role="columnheader" className="px-4 py-4 text-center text-sm font-bold text-slate-900">
+                    {formatDay(d)}
+                    <DayClosureNote closure={dayClosure(schedule, room.id, toISODate(d))} />
+                  </div>
+                ))}
+              </div>
+
+              <div role="rowgroup" className="max-h-[70vh] overflow-auto">
+                {/* Ét samlet grid, så en booking kan spænde over flere rækker (gridRow: span n) */}
+                <div
+                  className="grid"
+                  style={{ gridTemplateColumns: columns, gridTemplateRows: `repeat(${slots.length}, minmax(3.5rem, auto))` }}
+                >
+                  {slots.map((s, rowIdx) => (
+                    <div key={s.startMins} role="row" aria-rowindex={rowIdx + 2} className="contents">
+                      <div
+                        role="rowheader"
+                        className="flex items-center justify-start border-b border-slate-100 bg-slate-50/30 px-4 py-3 text-sm font-semibold text-slate-700"
+                        style={{ gridRow: rowIdx + 1, gridColumn: 1 }}
+                      >
+                        {s.label}
+                      </div>
+
+                      {weekDays.map((d, colIdx) => {
+                        const date = toISODate(d);
+                        const key = bookingKey(room.id, date, s.startMins);
+                        const existing = bookingsIndex.get(key);
+
+                        // Slots midt i en booking tegnes af bookingens første række
+                        if (existing && existing.startMins < s.startMins && rowIdx > 0) return null;
+
+                        const span = existing ? Math.min(slotSpan(existing), slots.length - rowIdx) : 1;
+                        const closed = existing ? null : closedReason(schedule, room.id, date, s.startMins, s.startMins + SLOT_MINS);
+                        return (
+                          <div
+                            key={key}
+                            role="gridcell"
+                            aria-colindex={colIdx + 2}
+                            aria-rowspan={span > 1 ? span : undefined}
+                            data-slot-key={key}
+                            onFocus={() => setCursor({ col: colIdx, row: rowIdx })}
+                            className={`border-b border-slate-100 p-1.5 ${
+                              dragOverKey === key ? "rounded-lg bg-blue-100 ring-2 ring-inset ring-blue-400" : ""
+                            }`}
+                            style={{ gridRow: `${rowIdx + 1} / span ${span}`, gridColumn: colIdx + 2 }}
+                            {...(closed ? {} : dropPropsFor(d, s.startMins, key))}
+                          >
+                            <SlotCell
+                              existing={existing}
+                              closed={closed}
+                              dragProps={dragPropsFor(existing, key)}
+                              tabIndex={colIdx === activeCol && rowIdx === activeRow ? 0 : -1}
+                              onClick={() => onClickSlot(d, s.startMins)}
+                              ariaLabel={`${formatDay(d)} ${
+                                existing ? formatSlotLabel(existing.startMins, existing.endMins) : s.label
+                              }`}
+                            />
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Mobil */}
+            <div className="md:hidden">
+              <div className="px-4 py-3 text-sm text-slate-500">
+                <span className="font-medium text-slate-700">{t("calendar.tipLabel")}</span> {t("calendar.tip")}
+              </div>
+              <div className="space-y-4 p-4">
+                {weekDays.map((d) => {
+                  const date = toISODate(d);
+                  return (
+                    <div key={date} className="overflow-hidden rounded-xl border border-slate-200/60 shadow-sm">
+                      <div className="bg-gradient-to-r from-slate-50 to-slate-100 px-4 py-3 text-sm font-bold text-slate-900">
+                        {formatDay(d)}
+                        <DayClosureNote closure={dayClosure(schedule, room.id, date)} />
+                      </div>
+                      <div className="divide-y divide-slate-100">
+                        {slots.map((s, rowIdx) => {
+                          const key = bookingKey(room.id, date, s.startMins);
+                          const existing = bookingsIndex.get(key);
+                          if (existing && existing.startMins < s.startMins && rowIdx > 0) return null;
+
+                          const label = existing ? formatSlotLabel(existing.startMins, existing.endMins) : s.label;
+                          return (
+                            <div key={key} className="flex items-stretch hover:bg-slate-50/50 transition-colors">
+                              <div className="w-24 shrink-0 px-3 py-3 text-xs font-medium text-slate-600 bg-slate-50/40 flex items-center">
+                                {label}
+                              </div>
+                              <div className="flex-1 p-2">
+                                <SlotCell
+                                  existing={existing}
+                                  closed={
+                                    existing ? null : closedReason(schedule, room.id, date, s.startMins, s.startMins + SLOT_MINS)
+                                  }
+                                  onClick={() => onClickSlot(d, s.startMins)}
+                                  ariaLabel={`${formatDay(d)} ${label}`}
+                                  compact
+                                />
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-6">
+            <Legend loading={loading} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Måned for ét lokale: hvor travlt hver dag er (booket tid af åbningstiden). Et klik åbner dagen.
+// weekdays: ugedagene med en kolonne (Man=0), de samme som i ugevisningen
+function MonthCalendar({ room, date, weekdays, schedule, bookings, loading, onOpenDay }) {
+  const { t, plural, formatDay, formatPercent, weekdayName } = useI18n();
+  const month = date.slice(0, 7);
+  const today = todayISO();
+
+  const weeks = [];
+  const last = parseISODate(lastDayOfMonth(month));
+  for (let monday = startOfWeekMonday(parseISODate(`${month}-01`)); monday <= last; monday = addDays(monday, 7)) {
+    weeks.push(weekdays.map((wd) => toISODate(addDays(monday, wd))));
+  }
+  const columns = `repeat(${weekdays.length}, minmax(0, 1fr))`;
+
+  return (
+    <div>
+      <div className="overflow-hidden rounded-2xl border border-slate-200/60 bg-white shadow-lg">
+        <div className="grid border-b bg-gradient-to-r from-slate-50 to-slate-100" style={{ gridTemplateColumns: columns }}>
+          {weekdays.map((wd) => (
+            <div key={wd} className="px-2 py-3 text-center text-xs font-semibold uppercase tracking-widest text-slate-500">
+              {weekdayName(wd, "short")}
+            </div>
+          ))}
+        </div>
+
+        {weeks.map((days) => (
+          <div key={days[0]} className="grid border-b border-slate-100 last:border-b-0" style={{ gridTemplateColumns: columns }}>
+            {days.map((d) => {
+              const inMonth = d.slice(0, 7) === month;
+              const closure = dayClosure(schedule, room.id, d);
+              const usage = dayUtilization(schedule, room.id, d, bookings);
+              const ratio = usage && usage.openMins > 0 ? usage.bookedMins / usage.openMins : 0;
+              const summary = usage
+                ? t("month.dayAria", {
+                    day: formatDay(d),
+                    bookings: plural("month.bookings", usage.count),
+                    percent: formatPercent(ratio),
+                  })
+                : t("slot.closedAria", { label: formatDay(d) });
+
+              return (
+                <button
+                  key={d}
+                  onClick={() => onOpenDay(d)}
+                  aria-label={summary}
+                  title={summary}
+                  className={`flex min-h-[5.5rem] flex-col items-stretch gap-1 border-r border-slate-100 p-2 text-left transition last:border-r-0 hover:bg-blue-50 ${
+                    inMonth ? "" : "bg-slate-50/60 text-slate-400"
+                  }`}
+                >
+                  <span
+                    className={`text-sm font-bold ${
+                      d === today ? "self-start rounded-full bg-blue-600 px-2 text-white" : inMonth ? "text-slate-900" : ""
+                    }`}
+                  >
+                    {Number(d.slice(8))}
+                  </span>
+                  {usage ? (
+                    <>
+                      <span className="text-xs text-slate-600">{plural("month.bookings", usage.count)}</span>
+                      <span className="mt-auto h-1.5 overflow-hidden rounded-full bg-slate-100">
+                        <span
+                          className={`block h-full rounded-full ${
+                            ratio >= 0.8 ? "bg-blue-700" : ratio >= 0.5 ? "bg-blue-500" : "bg-blue-300"
+                          }`}
+                          style={{ width: `${Math.min(100, Math.round(ratio * 100))}%` }}
+                        />
+                      </span>
+                    </>
+                  ) : (
+                    <span className="text-xs font-medium text-slate-400">
+                      {closure ? closedLabel(closure, t) : t("common.closed")}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-6 flex flex-wrap items-center gap-5 text-sm text-slate-600">
+        <span>{t("month.legend")}</span>
+        {loading ? (
+          <div className="flex items-center gap-2">
+            <div className="h-4 w-4 rounded-full border-2 border-blue-300 border-t-blue-600 animate-spin" />
+            <span className="text-slate-500">{t("common.loading")}</span>
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// Én dag for ét lokale med store tidsrum og en linje ved det aktuelle tidspunkt (kun i dag).
+// Rækkerne har fast højde, så linjens placering kan regnes ud fra klokken.
+const DAY_ROW_REM = 4.5;
+
+function DayCalendar({ room, date, slots, schedule, bookingsIndex, now, onClickSlot }) {
+  const { formatDay } = useI18n();
+  const day = parseISODate(date);
+
+  const { date: today, mins: nowMins } = wallClock(now);
+  const firstMins = slots[0]?.startMins ?? 0;
+  const lastMins = slots.length > 0 ? slots[slots.length - 1].startMins + SLOT_MINS : 0;
+  const showNowLine = today === date && nowMins >= firstMins && nowMins < lastMins;
+
+  return (
+    <div className="overflow-hidden rounded-2xl border border-slate-200/60 bg-white shadow-lg">
+      <div className="border-b bg-gradient-to-r from-slate-50 to-slate-100 px-4 py-4 text-sm font-bold text-slate-900">
+        {formatDay(date)}
+        <DayClosureNote closure={dayClosure(schedule, room.id, date)} />
+      </div>
+
+      <div className="max-h-[75vh] overflow-auto">
+        <div
+          className="relative grid"
+          style={{ gridTemplateColumns: "6rem minmax(0, 1fr)", gridTemplateRows: `repeat(${slots.length}, ${DAY_ROW_REM}rem)` }}
+        >
+          {slots.map((s, rowIdx) => (
+            <div
+              key={s.startMins}
+              className="flex items-start border-b border-slate-100 bg-slate-50/30 px-4 py-3 text-sm font-semibold text-slate-700"
+              style={{ gridRow: rowIdx + 1, gridColumn: 1 }}
+            >
+              {s.label}
+            </div>
+          ))}
+
+          {slots.map((s, rowIdx) => {
+            const existing = bookingsIndex.get(bookingKey(room.id, date, s.startMins));
+
+            // Slots midt i en booking tegnes af bookingens første række
+            if (existing && existing.startMins < s.startMins && rowIdx > 0) return null;
+
+            const span = existing ? Math.min(slotSpan(existing), slots.length - rowIdx) : 1;
+            return (
+              <div
+                key={s.startMins}
+                className="border-b border-slate-100 p-2"
+                style={{ gridRow: `${rowIdx + 1} / span ${span}`, gridColumn: 2 }}
+              >
+                <SlotCell
+                  existing={existing}
+                  closed={existing ? null : closedReason(schedule, room.id, date, s.startMins, s.startMins + SLOT_MINS)}
+                  onClick={() => onClickSlot(day, s.startMins)}
+                  ariaLabel={`${formatDay(date)} ${
+                    existing ? formatSlotLabel(existing.startMins, existing.endMins) : s.label
+                  }`}
+                />
+              </div>
+            );
+          })}
+
+          {showNowLine ? (
+            <div
+              aria-hidden="true"
+              className="pointer-events-none absolute inset-x-0 z-10 border-t-2 border-red-500"
+              style={{ top: `${((nowMins - firstMins) / SLOT_MINS) * DAY_ROW_REM}rem` }}
+            >
+              <span className="absolute -top-2.5 left-2 rounded bg-red-500 px-1.5 text-xs font-semibold text-white">
+                {minutesToHHMM(nowMins)}
+              </span>
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DayOverview({ loading, rooms, date, setDate, slots, schedule, bookings, bookingsIndex, onClickSlot, onBookFreeRoom }) {
+  const i18n = useI18n();
+  const { t, formatDay } = i18n;
+  const shiftDay = (days) => setDate(toISODate(addDays(parseISODate(date), days)));
+  const columns = `7rem repeat(${rooms.length}, minmax(9rem, 1fr))`;
+
+  return (
+    <div>
+      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-3xl font-bold tracking-tight">{t("overview.title")}</h2>
+          <p className="mt-2 text-slate-600">{t("overview.subtitle")}</p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => shiftDay(-1)}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+            aria-label={t("overview.prevDay")}
+            title={t("overview.prevDay")}
+          >
+            ←
+          </button>
+          <div className="min-w-[180px] rounded-lg border border-slate-300 bg-white px-4 py-2 text-center text-sm font-medium shadow-sm">
+            {formatDay(date)}
+          </div>
+          <button
+            onClick={() => shiftDay(1)}
+            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+            aria-label={t("overview.nextDay")}
+            title={t("overview.nextDay")}
+          >
+            →
+          </button>
+        </div>
+      </div>
+
+      <FreeRoomSearch
+        rooms={rooms}
+        bookings={bookings}
+        date={date}
+        setDate={setDate}
+        slots={slots}
+        schedule={schedule}
+        loading={loading}
+        onBook={onBookFreeRoom}
+      />
+
+      <div className="mt-6 overflow-auto rounded-2xl border border-slate-200/60 bg-white shadow-lg">
+        <div className="grid border-b bg-gradient-to-r from-slate-50 to-slate-100" style={{ gridTemplateColumns: columns }}>
+          <div className="px-4 py-4 text-xs font-semibold uppercase tracking-widest text-slate-500">{t("common.time")}</div>
+          {rooms.map((r) => (
+            <div key={r.id} className="px-4 py-4 text-center text-sm font-bold text-slate-900">
+              {formatRoomLabel(r, i18n)}
+              <DayClosureNote closure={dayClosure(schedule, r.id, date)} />
+            </div>
+          ))}
+        </div>
+
+        <div className="max-h-[70vh] overflow-y-auto">
+          <div
+            className="grid"
+            style={{ gridTemplateColumns: columns, gridTemplateRows: `repeat(${slots.length}, minmax(3.5rem, auto))` }}
+          >
+            {slots.map((s, rowIdx) => (
+              <div
+                key={s.startMins}
+                className="flex items-center justify-start border-b border-slate-100 bg-slate-50/30 px-4 py-3 text-sm font-semibold text-slate-700"
+                style={{ gridRow: rowIdx + 1, gridColumn: 1 }}
+              >
+                {s.label}
+              </div>
+            ))}
+
+            {rooms.map((r, colIdx) =>
+              slots.map((s, rowIdx) => {
+                const key = bookingKey(r.id, date, s.startMins);
+                const existing = bookingsIndex.get(key);
+
+                // Slots midt i en booking tegnes af bookingens første række
+                if (existing && existing.startMins < s.startMins && rowIdx > 0) return null;
+
+                const span = existing ? Math.min(slotSpan(existing), slots.length - rowIdx) : 1;
+                return (
+                  <div
+                    key={key}
+                    className="border-b border-slate-100 p-1.5"
+                    style={{ gridRow: `${rowIdx + 1} / span ${span}`, gridColumn: colIdx + 2 }}
+                  >
+                    <SlotCell
+                      existing={existing}
+                      closed={existing ? null : closedReason(schedule, r.id, date, s.startMins, s.startMins + SLOT_MINS)}
+                      onClick={() => onClickSlot(r.id, s.startMins)}
+                      ariaLabel={`${r.name} ${
+                        existing ? formatSlotLabel(existing.startMins, existing.endMins) : s.label
+                      }`}
+                    />
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <Legend loading={loading} />
+      </div>
+    </div>
+  );
+}
+
+// "Find et ledigt lokale": dato, tidsrum og antal personer -> lokaler der er ledige og store nok
+function FreeRoomSearch({ rooms, bookings, date, setDate, slots, schedule, loading, onBook }) {
+  const { t, plural } = useI18n();
+  const [fromMins, setFromMins] = useState(DEFAULT_OPEN_MINS);
+  const [toMins, setToMins] = useState(Math.min(DEFAULT_OPEN_MINS + DEFAULT_BOOKING_MINS, DEFAULT_CLOSE_MINS));
+  const [people, setPeople] = useState(1);
+
+  const freeRooms = useMemo(
+    () =>
+      rooms.filter(
+        (r) =>
+          (r.capacity == null || r.capacity >= people) &&
+          !closedReason(schedule, r.id, date, fromMins, toMins) &&
+          !findOverlappingBooking(bookings, r.id, date, fromMins, toMins)
+      ),
+    [rooms, bookings, schedule, date, fromMins, toMins, people]
+  );
+
+  function changeFrom(value) {
+    setFromMins(value);
+    if (toMins <= value) setToMins(Math.min(value + DEFAULT_BOOKING_MINS, slots[slots.length - 1].startMins + SLOT_MINS));
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-200/60 bg-white p-6 shadow-sm">
+      <div className="text-base font-semibold text-slate-900">{t("free.title")}</div>
+
+      <div className="mt-4 grid gap-3 sm:grid-cols-4">
+        <label className="text-sm font-medium text-slate-700">
+          {t("common.date")}
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            className="mt-1 w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          {t("common.from")}
+          <select value={fromMins} onChange={(e) => changeFrom(Number(e.target.value))} className="mt-1 w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none">
+            {slots.map((s) => (
+              <option key={s.startMins} value={s.startMins}>
+                {minutesToHHMM(s.startMins)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          {t("common.to")}
+          <select value={toMins} onChange={(e) => setToMins(Number(e.target.value))} className="mt-1 w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none">
+            {slots
+              .map((s) => s.startMins + SLOT_MINS)
+              .filter((end) => end > fromMins)
+              .map((end) => (
+                <option key={end} value={end}>
+                  {minutesToHHMM(end)}
+                </option>
+              ))}
+          </select>
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          {t("free.people")}
+          <input
+            type="number"
+            min={1}
+            value={people}
+            onChange={(e) => setPeople(Math.max(1, Number(e.target.value) || 1))}
+            className="mt-1 w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <p className="text-sm text-slate-500">{t("common.loading")}</p>
+        ) : freeRooms.length === 0 ? (
+          <p className="text-sm text-slate-600">{t("free.none")}</p>
+        ) : (
+          <ul className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+            {freeRooms.map((r) => (
+              <li key={r.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                <div>
+                  <div className="text-sm font-semibold text-slate-900">{r.name}</div>
+                  <div className="text-xs text-slate-500">
+                    {r.capacity ? plural("room.people", r.capacity) : t("room.capacityUnknown")}
+                    {r.equipment.length > 0 ? ` • ${r.equipment.join(", ")}` : ""}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onBook(r.id, fromMins, toMins)}
+                  className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+                >
+                  {t("free.book", { slot: formatSlotLabel(fromMins, toMins) })}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Bookinger i alle lokaler, grupperet pr. dag (de kommer sorteret fra databasen).
+// Et klik åbner lokalets kalender i bookingens uge.
+function BookingList({ bookings, roomsById, onOpenBooking }) {
+  const { t, formatDay } = useI18n();
+
+  const days = [];
+  for (const b of bookings) {
+    const last = days[days.length - 1];
+    if (last && last.date === b.date) last.bookings.push(b);
+    else days.push({ date: b.date, bookings: [b] });
+  }
+
+  return (
+    <div className="space-y-4">
+      {days.map((day) => (
+        <section key={day.date} className="overflow-hidden rounded-xl border border-slate-200/60 bg-white shadow-sm">
+          <h3 className="bg-gradient-to-r from-slate-50 to-slate-100 px-4 py-3 text-sm font-bold text-slate-900">
+            {formatDay(day.date)}
+          </h3>
+          <ul className="divide-y divide-slate-100">
+            {day.bookings.map((b) => (
+              <li key={b.id}>
+                <button
+                  onClick={() => onOpenBooking(b)}
+                  title={t("bookingList.openWeek")}
+                  className="flex w-full items-center gap-4 px-4 py-3 text-left text-sm transition hover:bg-slate-50"
+                >
+                  <span className="w-28 shrink-0 font-semibold text-slate-900">{formatSlotLabel(b.startMins, b.endMins)}</span>
+                  <span className="min-w-0 flex-1 truncate text-slate-700">{roomsById.get(b.roomId)?.name ?? b.roomId}</span>
+                  <span className="shrink-0 text-slate-500">{b.name}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+// Kommende bookinger for ét navn i alle lokaler. Navnet er det, der huskes fra "Dit navn".
+function MyBookingsView({ roomsById, onOpenBooking }) {
+  const { t } = useI18n();
+  const [nameInput, setNameInput] = useState(readBookerName);
+  const [name, setName] = useState(() => readBookerName().trim()); // det navn, der er vist
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(""); // tekstnøgle
+
+  useEffect(() => {
+    if (!name) return;
+
+    let isMounted = true;
+
+    const fetchMine = async () => {
+      setLoading(true);
+      setError("");
+
+      const { date: today, mins: nowMins } = wallClock();
+      const { data, error } = await fetchBookingsByName(name, today);
+      if (!isMounted) return;
+
+      if (error) {
+        console.error("Supabase fejl (mine bookinger):", error);
+        setError("mine.loadError");
+      } else {
+        // I dag: kun dem, der ikke er slut endnu
+        setResults(normalizeBookings(data ?? []).filter((b) => b.date !== today || b.endMins > nowMins));
+      }
+      setLoading(false);
+    };
+
+    fetchMine();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [name]);
+
+  function submit(e) {
+    e.preventDefault();
+    const trimmed = nameInput.trim();
+    if (trimmed) storeBookerName(trimmed);
+    setName(trimmed);
+  }
+
+  return (
+    <div className="mx-auto max-w-3xl">
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold tracking-tight">{t("mine.title")}</h2>
+        <p className="mt-2 text-slate-600">{t("mine.subtitle")}</p>
+      </div>
+
+      <form onSubmit={submit} className="mb-6 flex flex-wrap items-end gap-3">
+        <label className="min-w-[14rem] flex-1 text-sm font-medium text-slate-700">
+          {t("create.yourName")}
+          <input
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            placeholder={t("create.namePlaceholder")}
+            className="mt-1 block w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+        <button
+          type="submit"
+          className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+        >
+          {t("mine.show")}
+        </button>
+      </form>
+
+      {!name ? (
+        <p className="text-sm text-slate-500">{t("mine.noName")}</p>
+      ) : error ? (
+        <p className="text-sm font-medium text-red-600">{t(error)}</p>
+      ) : loading ? (
+        <p className="text-sm text-slate-500">{t("common.loading")}</p>
+      ) : results.length === 0 ? (
+        <p className="text-sm text-slate-500">{t("mine.empty", { name })}</p>
+      ) : (
+        <>
+          <BookingList bookings={results} roomsById={roomsById} onOpenBooking={onOpenBooking} />
+          {results.length >= SEARCH_LIMIT ? (
+            <p className="mt-4 text-sm text-slate-500">{t("search.limited", { count: SEARCH_LIMIT })}</p>
+          ) : null}
+        </>
+      )}
+
+      {name && storage.features.icalFeed ? (
+        <p className="mt-6 text-sm text-slate-600">
+          <a
+            href={toWebcalUrl(icalFeedUrl({ name }))}
+            className="font-medium text-blue-600 underline hover:text-blue-700"
+          >
+            {t("created.subscribeLink", { name })}
+          </a>
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+// Søg i alle lokaler på (en del af) navnet og/eller en periode. Søgningen står i URL'en
+// (query), så "Tilbage" fra en kalender lander på de samme resultater.
+function BookingSearchView({ query, onSearch, roomsById, onOpenBooking }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(query);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(""); // tekstnøgle
+
+  const hasQuery = Boolean(query.text || query.from || query.to);
+  const validRange = !query.from || !query.to || query.from <= query.to;
+
+  useEffect(() => {
+    if (!hasQuery || !validRange) return;
+
+    let isMounted = true;
+
+    const fetchResults = async () => {
+      setLoading(true);
+      setError("");
+
+      const { data, error } = await searchBookings(query);
+      if (!isMounted) return;
+
+      if (error) {
+        console.error("Supabase fejl (søg):", error);
+        setError("search.loadError");
+      } else {
+        setResults(normalizeBookings(data ?? []));
+      }
+      setLoading(false);
+    };
+
+    fetchResults();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [query, hasQuery, validRange]);
+
+  function submit(e) {
+    e.preventDefault();
+    onSearch({ text: form.text.trim(), from: form.from, to: form.to });
+  }
+
+  return (
+    <div className="mx-auto max-w-3xl">
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold tracking-tight">{t("search.title")}</h2>
+        <p className="mt-2 text-slate-600">{t("search.subtitle")}</p>
+      </div>
+
+      <form onSubmit={submit} role="search" className="mb-6 flex flex-wrap items-end gap-3">
+        <label className="min-w-[14rem] flex-1 text-sm font-medium text-slate-700">
+          {t("search.name")}
+          <input
+            type="search"
+            value={form.text}
+            onChange={(e) => setForm((f) => ({ ...f, text: e.target.value }))}
+            placeholder={t("search.namePlaceholder")}
+            className="mt-1 block w-full rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          {t("common.from")}
+          <input
+            type="date"
+            value={form.from}
+            onChange={(e) => setForm((f) => ({ ...f, from: e.target.value }))}
+            className="mt-1 block rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+        <label className="text-sm font-medium text-slate-700">
+          {t("common.to")}
+          <input
+            type="date"
+            value={form.to}
+            onChange={(e) => setForm((f) => ({ ...f, to: e.target.value }))}
+            className="mt-1 block rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+          />
+        </label>
+        <button
+          type="submit"
+          className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
+        >
+          {t("search.submit")}
+        </button>
+      </form>
+
+      {!hasQuery ? (
+        <p className="text-sm text-slate-500">{t("search.prompt")}</p>
+      ) : !validRange ? (
+        <p className="text-sm font-medium text-red-600">{t("search.invalidRange")}</p>
+      ) : error ? (
+        <p className="text-sm font-medium text-red-600">{t(error)}</p>
+      ) : loading ? (
+        <p className="text-sm text-slate-500">{t("common.loading")}</p>
+      ) : results.length === 0 ? (
+        <p className="text-sm text-slate-500">{t("search.empty")}</p>
+      ) : (
+        <>
+          <BookingList bookings={results} roomsById={roomsById} onOpenBooking={onOpenBooking} />
+          {results.length >= SEARCH_LIMIT ? (
+            <p className="mt-4 text-sm text-slate-500">{t("search.limited", { count: SEARCH_LIMIT })}</p>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Dør-tablet for ét lokale: status i store farver, nuværende og næste booking, check-in og "Book nu".
+// Bookingerne er lokalets (samme hentning og realtime som kalenderen); `now` er App'ens ur.
+function KioskView({ room, roomsLoading, loading, bookings, schedule, now, errorMsg, onBookNow, onCheckIn }) {
+  const { t, formatDay } = useI18n();
+
+  if (!room) {
+    return (
+      <p className="py-24 text-center text-2xl text-slate-500">
+        {roomsLoading ? t("common.loading") : t("kiosk.unknownRoom")}
+      </p>
+    );
+  }
+
+  const { date: today, mins: nowMins } = wallClock(now);
+
+  const todays = bookings
+    .filter((b) => b.roomId === room.id && b.date === today && b.pending !== "delete")
+    .sort((a, b) => a.startMins - b.startMins);
+  const current = todays.find((b) => b.startMins <= nowMins && nowMins < b.endMins) ?? null;
+  const next = todays.find((b) => b.startMins > nowMins) ?? null;
+
+  // "Book nu": fra det igangværende slot til næste hele time (eller næste booking / lukketid)
+  const bookStart = nowMins - (nowMins % SLOT_MINS);
+  const hours = openingHoursFor(schedule, room.id, today);
+  const bookEnd = Math.min(Math.floor(nowMins / 60) * 60 + 60, next?.startMins ?? Infinity, hours?.closeMins ?? 0);
+  const closed = current ? null : closedReason(schedule, room.id, today, bookStart, bookStart + SLOT_MINS);
+
+  // Bookingen der skal tjekkes ind på nu: den igangværende, eller den næste lige før start
+  const checkInTarget =
+    room.checkInGraceMins == null
+      ? null
+      : [current, next].find(
+          (b) => b && !b.checkedInAt && !b.pending && nowMins >= b.startMins - CHECK_IN_EARLY_MINS && nowMins < b.endMins
+        ) ?? null;
+
+  const status = current ? "busy" : closed ? "closed" : "free";
+  const statusClass = {
+    busy: "bg-gradient-to-br from-red-500 to-red-600",
+    closed: "bg-gradient-to-br from-slate-400 to-slate-500",
+    free: "bg-gradient-to-br from-emerald-500 to-emerald-600",
+  }[status];
+
+  return (
+    <div className="mx-auto flex min-h-[calc(100vh-3rem)] max-w-5xl flex-col gap-6">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <h1 className="text-4xl font-bold tracking-tight text-slate-900">{room.name}</h1>
+          <p className="mt-1 text-lg text-slate-500">{formatDay(today)}</p>
+        </div>
+        <div className="text-5xl font-bold tabular-nums text-slate-900">{minutesToHHMM(nowMins)}</div>
+      </div>
+
+      <section className={`flex flex-1 flex-col justify-center rounded-3xl p-10 text-white shadow-lg ${statusClass}`}>
+        <div className="text-7xl font-extrabold uppercase tracking-wide">{t(`kiosk.${status}`)}</div>
+
+        <div className="mt-4 text-2xl font-medium">
+          {current
+            ? `${current.name} • ${formatSlotLabel(current.startMins, current.endMins)}`
+            : closed
+              ? closedLabel(closed, t)
+              : next
+                ? t("kiosk.freeUntil", { time: minutesToHHMM(next.startMins) })
+                : t("kiosk.freeRestOfDay")}
+        </div>
+
+        {current?.checkedInAt ? <div className="mt-2 text-lg font-medium opacity-90">{t("kiosk.checkedIn")}</div> : null}
+
+        {checkInTarget ? (
+          <div className="mt-8 flex flex-wrap items-center gap-4 rounded-2xl bg-white/15 p-5">
+            <p className="flex-1 text-xl font-medium">
+              {t("kiosk.checkInFor", {
+                name: checkInTarget.name,
+                time: minutesToHHMM(checkInTarget.startMins + room.checkInGraceMins),
+              })}
+            </p>
+            <button
+              onClick={() => onCheckIn(checkInTarget)}
+              className="rounded-2xl bg-white px-8 py-4 text-2xl font-bold text-slate-900 shadow-md transition active:scale-95"
+            >
+              {t("kiosk.checkIn")}
+            </button>
+          </div>
+        ) : null}
+
+        {status === "free" && bookEnd > bookStart ? (
+          <button
+            onClick={() => onBookNow(today, bookStart, bookEnd)}
+            className="mt-8 self-start rounded-2xl bg-white px-8 py-4 text-2xl font-bold text-emerald-700 shadow-md transition active:scale-95"
+          >
+            {t("kiosk.bookNow", { slot: formatSlotLabel(bookStart, bookEnd) })}
+          </button>
+        ) : null}
+
+        {errorMsg ? <p className="mt-4 rounded-lg bg-white/90 px-4 py-3 text-lg font-medium text-red-700">{errorMsg}</p> : null}
+      </section>
+
+      <section className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+        <div className="text-xs font-semibold uppercase tracking-wider text-slate-500">{t("kiosk.next")}</div>
+        <div className="mt-2 text-2xl font-bold text-slate-900">
+          {next
+            ? `${formatSlotLabel(next.startMins, next.endMins)} • ${next.name}`
+            : loading
+              ? t("common.loading")
+              : t("kiosk.noMore")}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+// Aflysningslinket fra bekræftelsesmailen. Tokenet tjekkes af edge-funktionen "booking-email",
+// så siden virker uden denne browsers ejer-token. Intet aflyses, før man trykker på knappen.
+function EmailCancelView({ link, roomsById, onDone }) {
+  const { t, plural, formatDay } = useI18n();
+  const [booking, setBooking] = useState(null);
+  const [status, setStatus] = useState("loading"); // loading | ready | cancelling | cancelled | gone | invalid | failed
+  const [cancelledCount, setCancelledCount] = useState(0);
+
+  useEffect(() => {
+    let ignore = false;
+    storage.getBooking(link.bookingId).then(({ data, error }) => {
+      if (ignore) return;
+      if (error) {
+        console.error("Supabase fejl (hent booking til aflysning):", error);
+        setStatus("failed");
+        return;
+      }
+      if (!data || data.deleted_at) {
+        setStatus("gone");
+        return;
+      }
+      setBooking(normalizeBookings([data])[0] ?? null);
+      setStatus("ready");
+    });
+    return () => {
+      ignore = true;
+    };
+  }, [link.bookingId]);
+
+  async function cancel(scope) {
+    setStatus("cancelling");
+    const { data, error } = await storage.cancelFromEmail({ bookingId: link.bookingId, token: link.token, scope });
+
+    if (error) {
+      if (error.status === 403) setStatus("invalid");
+      else if (error.status === 410) setStatus("gone");
+      else {
+        console.error("Fejl (aflys fra mail):", error);
+        setStatus("failed");
+      }
+      return;
+    }
+
+    setCancelledCount(data?.cancelled ?? 1);
+    setStatus("cancelled");
+  }
+
+  const message =
+    status === "loading"
+      ? t("common.loading")
+      : status === "cancelled"
+        ? plural("cancelLink.done", cancelledCount)
+        : status === "gone" || status === "invalid" || status === "failed"
+          ? t(`cancelLink.${status}`)
+          : null;
+
+  return (
+    <div className="mx-auto max-w-lg rounded-2xl border border-slate-200 bg-white p-8 shadow-sm">
+      <h2 className="text-2xl font-bold text-slate-900">{t("cancelLink.title")}</h2>
+
+      {booking ? (
+        <p className="mt-3 text-sm text-slate-600">
+          <span className="font-bold text-slate-900">{roomsById.get(booking.roomId)?.name ?? booking.roomId}</span>
+          <span className="mx-2 text-slate-400">•</span>
+          {formatDay(booking.date)}
+          <span className="mx-2 text-slate-400">•</span>
+          <span className="font-bold text-slate-900">{formatSlotLabel(booking.startMins, booking.endMins)}</span>
+          <span className="mx-2 text-slate-400">•</span>
+          {booking.name}
+        </p>
+      ) : null}
+
+      {message ? (
+        <p className={`mt-4 text-sm ${status === "cancelled" ? "text-slate-700" : "font-medium text-red-600"}`}>{message}</p>
+      ) : null}
+
+      {status === "ready" || status === "cancelling" ? (
+        <div className="mt-6 flex flex-wrap items-center justify-end gap-3">
+          {booking?.seriesId ? (
+            <button
+              onClick={() => cancel("following")}
+              disabled={status === "cancelling"}
+              className="rounded-lg border border-red-300 bg-white px-4 py-2.5 text-sm font-medium text-red-700 shadow-sm transition hover:bg-red-50 active:scale-95 disabled:opacity-60"
+            >
+              {t("cancelLink.cancelSeries")}
+            </button>
+          ) : null}
+          <button
+            onClick={() => cancel("one")}
+            disabled={status === "cancelling"}
+            className="rounded-lg bg-gradient-to-r from-red-500 to-red-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-red-700 active:scale-95 disabled:opacity-60"
+          >
+            {t("cancelLink.cancelOne")}
+          </button>
+        </div>
+      ) : (
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={onDone}
+            className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+          >
+            {t("cancelLink.toApp")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Standardperiode: de seneste 4 hele uger (Man–Søn)
+function defaultReportRange() {
+  const thisMonday = startOfWeekMonday(todayISO());
+  return { from: toISODate(addDays(thisMonday, -28)), to: toISODate(addDays(thisMonday, -1)) };
+}
+
+function ReportView({ rooms, roomsById, schedule }) {
+  const i18n = useI18n();
+  const { t, plural, formatPercent } = i18n;
+  const formatHours = (mins) => t("report.hours", { hours: i18n.formatNumber(mins / 60) });
+  const [range, setRange] = useState(defaultReportRange);
+  const [rangeBookings, setRangeBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(""); // tekstnøgle
 
-      closeModal();
-    } catch (e) {
-      console.error("Supabase fejl (slet):", e);
+  const validRange = Boolean(range.from && range.to && range.from <= range.to);
 
-      // Rollback
-      setBookings(bookingsSnapshotRef.current);
+  useEffect(() => {
+    if (!validRange) return;
 
-      setErrorMsg(`Kunne ikke slette booking: ${e?.message ?? "ukendt fejl"}`);
-    }
-  }
+    let isMounted = true;
 
-  function onClickSlot(dateObj, startMins) {
-    if (!selectedRoom) return;
-    const date = toISODate(dateObj);
-    const key = bookingKey(selectedRoom, date, startMins);
-    const existing = bookingsIndex.get(key);
+    const fetchReportBookings = async () => {
+      setLoading(true);
+      setError("");
 
-    if (existing) {
-      openDeleteModal(selectedRoom, date, startMins);
-    } else {
-      openCreateModal(selectedRoom, date, startMins);
-    }
-  }
+      const { data, error } = await fetchRangeBookings(range.from, range.to);
+      if (!isMounted) return;
 
-  function resetToRoomSelection() {
-    setSelectedRoom(null);
-    setWeekStart(startOfWeekMonday(new Date()));
-  }
+      if (error) {
+        console.error("Supabase fejl (rapport):", error);
+        setError("report.loadError");
+      } else {
+        setRangeBookings(normalizeBookings(data ?? []));
+      }
+      setLoading(false);
+    };
 
-  const headerSubtitle = useMemo(() => {
-    if (!selectedRoom) return null;
-    return `${selectedRoom} • Uge ${formatWeekRange(weekStart)}`;
-  }, [selectedRoom, weekStart]);
+    fetchReportBookings();
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50 text-slate-900">
-      <header className="sticky top-0 z-20 border-b border-slate-200/50 bg-white/80 backdrop-blur-md shadow-sm">
-        <div className="mx-auto flex max-w-7xl items-center justify-between gap-3 px-6 py-5">
-          <div className="min-w-0">
-            <h1 className="text-2xl font-bold tracking-tight sm:text-2xl">ISK mødelokale booking</h1>
-            {headerSubtitle ? (
-              <p className="mt-1 truncate text-sm text-slate-500">{headerSubtitle}</p>
-            ) : (
-              <p className="mt-1 text-sm text-slate-500">Vælg et lokale for at se kalenderen.</p>
-            )}
-          </div>
+    return () => {
+      isMounted = false;
+    };
+  }, [range.from, range.to, validRange]);
 
-          {selectedRoom ? (
-            <button
-              onClick={resetToRoomSelection}
-              className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400"
-            >
-              Tilbage
-            </button>
-          ) : null}
-        </div>
-      </header>
+  // Kun aktive lokaler: belægning måles mod hvert lokales åbningstider og lukkedage (se hours.js)
+  const report = useMemo(() => {
+    if (!validRange) return null;
+    return buildUtilizationReport({
+      bookings: rangeBookings.filter((b) => roomsById.has(b.roomId)),
+      rooms,
+      from: range.from,
+      to: range.to,
+      schedule,
+    });
+  }, [rangeBookings, rooms, roomsById, schedule, range.from, range.to, validRange]);
 
-      <main className="mx-auto max-w-7xl px-6 py-8">
-        {!selectedRoom ? (
-          <RoomSelection onSelect={setSelectedRoom} />
-        ) : (
-          <CalendarView
-            loading={loading}
-            room={selectedRoom}
-            weekStart={weekStart}
-            setWeekStart={setWeekStart}
-            weekDays={weekDays}
-            slots={slots}
-            bookingsIndex={bookingsIndex}
-            onClickSlot={onClickSlot}
-          />
-        )}
+  const fileSuffix = `${range.from}_${range.to}`;
 
-        <Modal open={modalOpen} onClose={closeModal}>
-          {modalMode === "create" ? (
-            <div>
-              <h2 className="text-2xl font-bold text-slate-900">Bekræft booking</h2>
-              <p className="mt-2 text-sm text-slate-600">
-                {activeCell ? (
-                  <>
-                    <span className="font-bold text-slate-900">{activeCell.room}</span>
-                    <span className="mx-2 text-slate-400">•</span>
-                    {formatDanishDayLabel(activeCell.date)}
-                    <span className="mx-2 text-slate-400">•</span>
-                    <span className="font-bold text-slate-900">{formatSlotLabel(activeCell.startMins)}</span>
-                  </>
-                ) : null}
-              </p>
+  return (
+    <div>
+      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h2 className="text-3xl font-bold tracking-tight">{t("report.title")}</h2>
+          <p className="mt-2 text-slate-600">{t("report.subtitle")}</p>
+        </div>
 
-              <div className="mt-6">
-                <label className="block text-sm font-semibold text-slate-900">Dit navn</label>
-                <input
-                  value={nameInput}
-                  onChange={(e) => setNameInput(e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === "Enter") confirmCreate();
-                  }}
-                  placeholder="Skriv dit navn"
-                  className="mt-2 w-full rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm placeholder-slate-400 transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
-                  autoFocus
-                />
-              </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm font-medium text-slate-700">
+            {t("common.from")}
+            <input
+              type="date"
+              value={range.from}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+              className="mt-1 block rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+            />
+          </label>
+          <label className="text-sm font-medium text-slate-700">
+            {t("common.to")}
+            <input
+              type="date"
+              value={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+              className="mt-1 block rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm transition focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none"
+            />
+          </label>
+        </div>
+      </div>
 
-              {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+      {!validRange ? <p className="mb-4 text-sm font-medium text-red-600">{t("report.invalidRange")}</p> : null}
+      {error ? <p className="mb-4 text-sm font-medium text-red-600">{t(error)}</p> : null}
 
-              <div className="mt-6 flex items-center justify-end gap-3">
-                <button
-                  onClick={closeModal}
-                  className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
-                >
-                  Annuller
-                </button>
-                <button
-                  onClick={confirmCreate}
-                  className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-blue-700 active:scale-95"
-                >
-                  Book
-                </button>
-              </div>
+      {report ? (
+        <>
+          <div className="mb-6 flex flex-wrap items-center gap-3">
+            <div className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm shadow-sm">
+              {t("report.total")} <span className="font-bold">{formatPercent(report.totalOccupancy)}</span>
+              <span className="ml-2 text-slate-500">
+                {plural("report.totalDetail", report.openDays, { hours: formatHours(report.totalMins) })}
+              </span>
             </div>
-          ) : (
-            <div>
-              <h2 className="text-2xl font-bold text-slate-900">Slet booking?</h2>
-              <p className="mt-2 text-sm text-slate-600">
-                {activeCell ? (
-                  <>
-                    <span className="font-bold text-slate-900">{activeCell.room}</span>
-                    <span className="mx-2 text-slate-400">•</span>
-                    {formatDanishDayLabel(activeCell.date)}
-                    <span className="mx-2 text-slate-400">•</span>
-                    <span className="font-bold text-slate-900">{formatSlotLabel(activeCell.startMins)}</span>
-                  </>
-                ) : null}
-              </p>
+            <button
+              onClick={() =>
+                downloadCSV(`${t("report.fileBookings")}_${fileSuffix}.csv`, bookingsToCSV(rangeBookings, roomsById, i18n))
+              }
+              disabled={loading}
+              className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95 disabled:opacity-50"
+            >
+              {t("report.exportBookings")}
+            </button>
+            <button
+              onClick={() => downloadCSV(`${t("report.fileSummary")}_${fileSuffix}.csv`, reportToCSV(report, i18n))}
+              disabled={loading}
+              className="rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95 disabled:opacity-50"
+            >
+              {t("report.exportSummary")}
+            </button>
+            {loading ? <span className="text-sm text-slate-500">{t("common.loading")}</span> : null}
+          </div>
 
-              <div className="mt-6 rounded-lg border border-slate-200 bg-gradient-to-br from-slate-50 to-slate-100 p-4">
-                <div className="text-xs font-semibold uppercase tracking-wider text-slate-500">Booket af</div>
-                <div className="mt-2 text-lg font-bold text-slate-900">
-                  {activeCell
-                    ? bookingsIndex.get(bookingKey(activeCell.room, activeCell.date, activeCell.startMins))?.name ??
-                      "(ukendt)"
-                    : ""}
-                </div>
-              </div>
+          <div className="grid gap-6 lg:grid-cols-2">
+            <ReportTable
+              title={t("report.byRoom")}
+              rows={report.byRoom.map((r) => ({
+                key: r.room.id,
+                label: formatRoomLabel(r.room, i18n),
+                detail: plural("report.bookings", r.count, { hours: formatHours(r.bookedMins) }),
+                ratio: r.occupancy,
+              }))}
+            />
+            <ReportTable
+              title={t("report.byWeekday")}
+              rows={report.byWeekday.map((w) => ({
+                key: w.weekday,
+                label: i18n.weekdayName(w.weekday),
+                detail: plural("report.bookings", w.count, { hours: formatHours(w.bookedMins) }),
+                ratio: w.occupancy,
+              }))}
+            />
+            <ReportTable
+              title={t("report.byHour")}
+              rows={report.byHour.map((h) => ({
+                key: h.hour,
+                label: `${pad2(h.hour)}:00`,
+                detail: formatHours(h.bookedMins),
+                ratio: h.occupancy,
+              }))}
+            />
+            <ReportTable
+              title={t("report.byBooker")}
+              rows={report.byBooker.map((b) => ({
+                key: b.name,
+                label: b.name,
+                detail: plural("report.bookings", b.count, { hours: formatHours(b.bookedMins) }),
+                ratio: b.share,
+              }))}
+              emptyText={t("report.noBookings")}
+            />
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
 
-              {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+function ReportTable({ title, rows, emptyText }) {
+  const { t, formatPercent } = useI18n();
 
-              <div className="mt-6 flex items-center justify-end gap-3">
-                <button
-                  onClick={closeModal}
-                  className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
-                >
-                  Fortryd
-                </button>
-                <button
-                  onClick={confirmDelete}
-                  className="rounded-lg bg-gradient-to-r from-red-500 to-red-600 px-4 py-2.5 text-sm font-medium text-white shadow-md transition hover:shadow-lg hover:to-red-700 active:scale-95"
-                >
-                  Slet
-                </button>
+  return (
+    <div className="rounded-2xl border border-slate-200/60 bg-white p-6 shadow-sm">
+      <div className="text-base font-semibold text-slate-900">{title}</div>
+      {rows.length === 0 ? (
+        <p className="mt-3 text-sm text-slate-500">{emptyText ?? t("report.noData")}</p>
+      ) : (
+        <ul className="mt-4 max-h-96 space-y-3 overflow-auto">
+          {rows.map((r) => (
+            <li key={r.key}>
+              <div className="flex items-baseline justify-between gap-3 text-sm">
+                <span className="font-medium text-slate-900">{r.label}</span>
+                <span className="text-slate-600">
+                  <span className="mr-2 text-xs text-slate-500">{r.detail}</span>
+                  <span className="font-semibold">{formatPercent(r.ratio)}</span>
+                </span>
               </div>
-            </div>
-          )}
-        </Modal>
-
-        <footer className="mt-12 border-t border-slate-200/50 pt-6 text-center text-xs text-slate-500">
-          <p>
-            Data er gemt i <span className="font-medium text-slate-600">Supabase (PostgreSQL)</span>
-          </p>
-        </footer>
-      </main>
+              <div className="mt-1 h-2 overflow-hidden rounded-full bg-slate-100">
+                <div
+                  className="h-full rounded-full bg-gradient-to-r from-blue-500 to-blue-600"
+                  style={{ width: `${Math.min(100, r.ratio * 100)}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-// ------------------------
-// UNDERVISNING: Hvad er RoomSelection / CalendarView?
-// Det er bare "små komponenter" (= små byggeklodser) så koden er mere overskuelig.
-// ------------------------
+function HistoryPanel({ scope, entries, loading, roomsById, ownerHash, canRestore, onRestore, errorMsg, onClose, titleId }) {
+  const { t, formatDay, formatTimestamp } = useI18n();
+  const roomName = (id) => roomsById.get(id)?.name ?? id;
+  const describe = (b) => `${roomName(b.roomId)} • ${formatDay(b.date)} ${formatSlotLabel(b.startMins, b.endMins)}`;
+
+  // "Gendan" kun på den nyeste hændelse for en booking (listen er nyeste først)
+  const latestIds = new Set();
+  const isLatest = new Set();
+  for (const h of entries) {
+    if (!latestIds.has(h.bookingId)) {
+      latestIds.add(h.bookingId);
+      isLatest.add(h.id);
+    }
+  }
 
-function RoomSelection({ onSelect }) {
   return (
-    <div className="mx-auto max-w-5xl">
-      <div className="mb-8">
-        <h2 className="text-3xl font-bold tracking-tight">Vælg lokale</h2>
-        <p className="mt-2 text-base text-slate-600">Alle bookinger er synlige for alle med linket.</p>
-      </div>
+    <div>
+      <h2 id={titleId} className="text-2xl font-bold text-slate-900">{t("history.title")}</h2>
+      {scope ? (
+        <p className="mt-2 text-sm text-slate-600">
+          <span className="font-bold text-slate-900">{roomName(scope.roomId)}</span>
+          {scope.date ? (
+            <>
+              <span className="mx-2 text-slate-400">•</span>
+              {formatDay(scope.date)}
+            </>
+          ) : null}
+          {scope.startMins != null ? (
+            <>
+              <span className="mx-2 text-slate-400">•</span>
+              {formatSlotLabel(scope.startMins, scope.endMins)}
+            </>
+          ) : null}
+        </p>
+      ) : null}
 
-      <div className="grid gap-6 sm:grid-cols-3">
-        {ROOMS.map((room) => (
-          <button
-            key={room}
-            onClick={() => onSelect(room)}
-            className="group relative overflow-hidden rounded-2xl bg-gradient-to-br from-blue-500 via-blue-600 to-blue-700 p-6 text-left shadow-lg transition-all duration-300 hover:-translate-y-1 hover:shadow-2xl focus:outline-none active:scale-95"
-          >
-            <div
-              className="absolute inset-0 opacity-0 transition-opacity duration-300 group-hover:opacity-100"
-              style={{ background: "radial-gradient(circle at 30% 20%, rgba(255,255,255,0.15), transparent 50%)" }}
-            />
-            <div className="relative">
-              <div className="text-sm font-medium text-blue-100">Mødelokale</div>
-              <div className="mt-2 text-xl font-bold text-white">{room}</div>
-              <div className="mt-5 inline-flex items-center gap-2 rounded-lg bg-white/15 px-4 py-2 text-sm font-medium text-white backdrop-blur-sm ring-1 ring-white/20 transition group-hover:bg-white/20">
-                Åbn kalender <span className="transition duration-300 group-hover:translate-x-1">→</span>
+      {loading ? <p className="mt-4 text-sm text-slate-500">{t("common.loading")}</p> : null}
+      {!loading && entries.length === 0 ? <p className="mt-4 text-sm text-slate-500">{t("history.empty")}</p> : null}
+
+      <ol className="mt-4 space-y-3 border-l-2 border-slate-200 pl-4">
+        {entries.map((h) => {
+          const b = h.after ?? h.before;
+          const changes = [];
+          if (h.action === "update" && h.before && h.after) {
+            if (h.before.name !== h.after.name) changes.push(t("history.nameChange", { from: h.before.name, to: h.after.name }));
+            if (
+              h.before.roomId !== h.after.roomId ||
+              h.before.date !== h.after.date ||
+              h.before.startMins !== h.after.startMins ||
+              h.before.endMins !== h.after.endMins
+            ) {
+              changes.push(`${describe(h.before)} → ${describe(h.after)}`);
+            }
+          }
+
+          return (
+            <li key={h.id} className="relative">
+              <span className="absolute -left-[1.4rem] top-1.5 h-3 w-3 rounded-full border-2 border-white bg-blue-500" />
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0 text-sm">
+                  <div className="font-semibold text-slate-900">
+                    {t(`history.action.${h.action}`)}
+                    {b ? <span className="font-normal text-slate-600"> – {b.name}</span> : null}
+                  </div>
+                  {b && changes.length === 0 ? <div className="text-slate-600">{describe(b)}</div> : null}
+                  {changes.map((c) => (
+                    <div key={c} className="text-slate-600">
+                      {c}
+                    </div>
+                  ))}
+                  <div className="mt-0.5 text-xs text-slate-500">
+                    {t("history.byline", { time: formatTimestamp(h.changedAt), actor: formatActor(h.actor, ownerHash, t) })}
+                  </div>
+                </div>
+                {h.action === "delete" && isLatest.has(h.id) && canRestore(h) ? (
+                  <button
+                    onClick={() => onRestore(h)}
+                    className="shrink-0 rounded-lg border border-blue-300 bg-white px-3 py-1.5 text-xs font-medium text-blue-700 shadow-sm transition hover:bg-blue-50 active:scale-95"
+                  >
+                    {t("history.restore")}
+                  </button>
+                ) : null}
               </div>
-            </div>
-          </button>
-        ))}
-      </div>
+            </li>
+          );
+        })}
+      </ol>
 
-      <div className="mt-10 rounded-2xl border border-slate-200/60 bg-white p-6 shadow-sm">
-        <div className="text-base font-semibold text-slate-900">Sådan virker det</div>
-        <ul className="mt-3 space-y-2 text-sm text-slate-600">
-          <li className="flex items-start gap-3">
-            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
-              1
-            </span>
-            <span>Klik på et ledigt tidsrum og indtast dit navn.</span>
-          </li>
-          <li className="flex items-start gap-3">
-            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
-              2
-            </span>
-            <span>Bookede tider vises med navn.</span>
-          </li>
-          <li className="flex items-start gap-3">
-            <span className="mt-1 inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-100 text-xs font-bold text-blue-600 flex-shrink-0">
-              3
-            </span>
-            <span>Klik på en booking for at slette den.</span>
-          </li>
-        </ul>
+      {errorMsg ? <p className="mt-3 text-sm font-medium text-red-600">{errorMsg}</p> : null}
+
+      <div className="mt-6 flex items-center justify-end">
+        <button
+          onClick={onClose}
+          className="rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
+        >
+          {t("common.close")}
+        </button>
       </div>
     </div>
   );
 }
 
-function CalendarView({ loading, room, weekStart, setWeekStart, weekDays, slots, bookingsIndex, onClickSlot }) {
+// Offline-banner (eller afbrudt forbindelse), antal ventende ændringer og konflikter fra sidste synkronisering
+function SyncStatus({ online, stale, lastSyncedAt, pendingCount, issues, roomsById, onDismissIssue }) {
+  const { t, plural, formatDay, formatTimestamp } = useI18n();
+  if (online && !stale && pendingCount === 0 && issues.length === 0) return null;
+
   return (
-    <div>
-      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
-        <div>
-          <h2 className="text-3xl font-bold tracking-tight">{room}</h2>
-          <p className="mt-2 text-slate-600">Klik for at booke eller slette et tidsrum.</p>
+    <div className="mb-6 space-y-3">
+      {!online || stale ? (
+        <div className="rounded-lg border border-amber-300 bg-amber-50 px-4 py-3 text-sm font-medium text-amber-900">
+          {t(online ? "sync.stale" : "sync.offline")}
+          {lastSyncedAt ? (
+            <span className="font-normal"> {t("sync.lastSynced", { time: formatTimestamp(lastSyncedAt) })}</span>
+          ) : null}
         </div>
+      ) : null}
 
-        <div className="flex items-center gap-2">
-          <button
-            onClick={() => setWeekStart(addDays(weekStart, -7))}
-            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
-            aria-label="Forrige uge"
-            title="Forrige uge"
-          >
-            ←
-          </button>
-          <div className="min-w-[180px] rounded-lg border border-slate-300 bg-white px-4 py-2 text-center text-sm font-medium shadow-sm">
-            {formatWeekRange(weekStart)}
-          </div>
-          <button
-            onClick={() => setWeekStart(addDays(weekStart, 7))}
-            className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm font-medium shadow-sm transition hover:bg-slate-50 hover:border-slate-400 active:scale-95"
-            aria-label="Næste uge"
-            title="Næste uge"
-          >
-            →
-          </button>
+      {pendingCount > 0 ? (
+        <div className="rounded-lg border border-slate-200 bg-white px-4 py-3 text-sm text-slate-700 shadow-sm">
+          {plural(online ? "sync.pendingSyncing" : "sync.pendingOffline", pendingCount)}
         </div>
-      </div>
+      ) : null}
 
-      <div className="overflow-hidden rounded-2xl border border-slate-200/60 bg-white shadow-lg">
-        {/* Desktop/tablet */}
-        <div className="hidden md:block">
-          <div className="grid grid-cols-6 border-b bg-gradient-to-r from-slate-50 to-slate-100">
-            <div className="px-4 py-4 text-xs font-semibold uppercase tracking-widest text-slate-500">Tid</div>
-            {weekDays.map((d) => (
-              <div key={toISODate(d)} className="px-4 py-4 text-center text-sm font-bold text-slate-900">
-                {formatDanishDayLabel(d)}
+      {issues.map((issue) => {
+        const b = issue.op.booking;
+        return (
+          <div
+            key={issue.op.id}
+            className="flex items-start justify-between gap-3 rounded-lg border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-900"
+          >
+            <div>
+              <div className="font-semibold">
+                {issue.op.type === "create" ? t("sync.notCreated") : t("sync.notDeleted")}: {b.name} •{" "}
+                {roomsById.get(b.roomId)?.name ?? b.roomId} • {formatDay(b.date)}{" "}
+                {formatSlotLabel(b.startMins, b.endMins)}
               </div>
-            ))}
+              <div className="mt-0.5">{t(issue.messageKey, issue.params)}</div>
+            </div>
+            <button
+              onClick={() => onDismissIssue(issue)}
+              className="shrink-0 rounded-lg border border-red-300 bg-white px-3 py-1.5 text-xs font-medium text-red-700 transition hover:bg-red-100"
+            >
+              {t("common.ok")}
+            </button>
           </div>
+        );
+      })}
+    </div>
+  );
+}
 
-          <div className="max-h-[70vh] overflow-auto">
-            {slots.map((s) => (
-              <div key={s.startMins} className="grid grid-cols-6 border-b border-slate-100 hover:bg-slate-50/50 transition-colors last:border-b-0">
-                <div className="flex items-center justify-start px-4 py-3 text-sm font-semibold text-slate-700 bg-slate-50/30">
-                  {s.label}
-                </div>
-
-                {weekDays.map((d) => {
-                  const date = toISODate(d);
-                  const key = bookingKey(room, date, s.startMins);
-                  const existing = bookingsIndex.get(key);
-                  return (
-                    <SlotCell
-                      key={key}
-                      existing={existing}
-                      onClick={() => onClickSlot(d, s.startMins)}
-                      ariaLabel={`${formatDanishDayLabel(d)} ${s.label}`}
-                    />
-                  );
-                })}
-              </div>
-            ))}
-          </div>
-        </div>
+// Tidsrum fra ventelisten, der er blevet ledige og holdes til denne browser
+function WaitlistOffers({ offers, roomsById, onBook, onDecline }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  if (offers.length === 0) return null;
 
-        {/* Mobil */}
-        <div className="md:hidden">
-          <div className="px-4 py-3 text-sm text-slate-500">
-            <span className="font-medium text-slate-700">Tip:</span> Rul ned for dage og tider.
+  return (
+    <div className="mb-6 space-y-3">
+      {offers.map((entry) => (
+        <div
+          key={entry.id}
+          className="flex flex-wrap items-start justify-between gap-3 rounded-lg border border-blue-300 bg-blue-50 px-4 py-3 text-sm text-blue-900"
+        >
+          <div>
+            <div className="font-semibold">{t("waitlist.offerTitle")}</div>
+            <div className="mt-0.5">{waitlistOfferText(entry, roomsById, i18n)}</div>
           </div>
-          <div className="space-y-4 p-4">
-            {weekDays.map((d) => {
-              const date = toISODate(d);
-              return (
-                <div key={date} className="overflow-hidden rounded-xl border border-slate-200/60 shadow-sm">
-                  <div className="bg-gradient-to-r from-slate-50 to-slate-100 px-4 py-3 text-sm font-bold text-slate-900">
-                    {formatDanishDayLabel(d)}
-                  </div>
-                  <div className="divide-y divide-slate-100">
-                    {slots.map((s) => {
-                      const key = bookingKey(room, date, s.startMins);
-                      const existing = bookingsIndex.get(key);
-                      return (
-                        <div key={key} className="flex items-stretch hover:bg-slate-50/50 transition-colors">
-                          <div className="w-24 shrink-0 px-3 py-3 text-xs font-medium text-slate-600 bg-slate-50/40 flex items-center">
-                            {s.label}
-                          </div>
-                          <div className="flex-1 p-2">
-                            <SlotCell
-                              existing={existing}
-                              onClick={() => onClickSlot(d, s.startMins)}
-                              ariaLabel={`${formatDanishDayLabel(d)} ${s.label}`}
-                              compact
-                            />
-                          </div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                </div>
-              );
-            })}
+          <div className="flex shrink-0 items-center gap-2">
+            <button
+              onClick={() => onDecline(entry)}
+              className="rounded-lg border border-blue-300 bg-white px-3 py-1.5 text-xs font-medium text-blue-700 transition hover:bg-blue-100"
+            >
+              {t("waitlist.decline")}
+            </button>
+            <button
+              onClick={() => onBook(entry)}
+              className="rounded-lg bg-gradient-to-r from-blue-500 to-blue-600 px-3 py-1.5 text-xs font-medium text-white shadow-sm transition hover:to-blue-700"
+            >
+              {t("waitlist.bookNow")}
+            </button>
           </div>
         </div>
-      </div>
-
-      <div className="mt-6">
-        <Legend loading={loading} />
-      </div>
+      ))}
     </div>
   );
 }
 
-function SlotCell({ existing, onClick, ariaLabel, compact = false }) {
+// tabIndex: sat af ugens grid (roving tabindex); ellers standard
+function SlotCell({ existing, closed = null, onClick, ariaLabel, compact = false, dragProps = {}, tabIndex }) {
+  const { t } = useI18n();
+
   if (existing) {
     return (
       <button
         onClick={onClick}
-        className={`w-full rounded-lg bg-gradient-to-br from-blue-500 to-blue-600 px-3 py-2 text-left text-sm font-semibold text-white shadow-md transition-all duration-200 hover:shadow-lg hover:to-blue-700 active:scale-95 ${
-          compact ? "min-h-[44px]" : "m-2"
-        }`}
-        aria-label={`Booket: ${ariaLabel}`}
-        title="Klik for at slette"
+        tabIndex={tabIndex}
+        {...dragProps}
+        className={`flex w-full flex-col items-start justify-start rounded-lg px-3 py-2 text-left text-sm font-semibold shadow-md transition-all duration-200 hover:shadow-lg active:scale-95 ${
+          existing.pending === "create"
+            ? "border-2 border-dashed border-amber-400 bg-amber-50 text-amber-900"
+            : existing.pending === "delete"
+              ? "bg-gradient-to-br from-slate-300 to-slate-400 text-white line-through"
+              : "bg-gradient-to-br from-blue-500 to-blue-600 text-white hover:to-blue-700"
+        } ${compact ? "min-h-[44px]" : "h-full"}`}
+        aria-label={t(existing.pending ? "slot.pendingAria" : "slot.bookedAria", { label: ariaLabel })}
+        title={dragProps.draggable ? t("slot.titleDraggable") : t("slot.titleBooked")}
       >
-        {existing.name}
+        <span>{existing.name}</span>
+        {compact ? null : (
+          <span className={`mt-0.5 text-xs font-medium ${existing.pending === "create" ? "text-amber-700" : "text-blue-100"}`}>
+            {formatSlotLabel(existing.startMins, existing.endMins)}
+          </span>
+        )}
+        {existing.pending ? (
+          <span className="mt-0.5 text-xs font-medium">
+            {existing.pending === "create" ? t("common.pending") : t("common.pendingDelete")}
+          </span>
+        ) : null}
       </button>
     );
   }
 
+  // Lukket (helligdag, lukkeperiode eller uden for åbningstiden): kan ikke klikkes
+  if (closed) {
+    const label = closedLabel(closed, t);
+    return (
+      <div
+        className={`flex w-full items-center rounded-lg bg-slate-100 px-3 py-2 text-xs font-medium text-slate-400 ${
+          compact ? "min-h-[44px]" : "h-full"
+        }`}
+        tabIndex={tabIndex}
+        aria-label={t("slot.closedAria", { label: ariaLabel })}
+        title={label}
+      >
+        {label}
+      </div>
+    );
+  }
+
   return (
     <button
       onClick={onClick}
+      tabIndex={tabIndex}
       className={`w-full rounded-lg border-2 border-dashed border-slate-300 bg-slate-50 px-3 py-2 text-left text-sm font-semibold text-slate-700 transition-all duration-200 hover:border-blue-400 hover:bg-blue-50 active:scale-95 ${
-        compact ? "min-h-[44px]" : "m-2"
+        compact ? "min-h-[44px]" : "h-full"
       }`}
-      aria-label={`Ledig: ${ariaLabel}`}
-      title="Klik for at booke"
+      aria-label={t("slot.freeAria", { label: ariaLabel })}
+      title={t("slot.titleFree")}
     >
-      Ledig
+      {t("common.free")}
     </button>
   );
 }
 
+// Helligdagens navn eller lukkeperiodens årsag under dagens/lokalets overskrift
+function DayClosureNote({ closure }) {
+  const { t } = useI18n();
+  if (!closure) return null;
+  return <div className="mt-0.5 text-xs font-medium text-slate-500">{closedLabel(closure, t)}</div>;
+}
+
 function Legend({ loading }) {
+  const { t } = useI18n();
+
   return (
     <div className="flex flex-wrap items-center gap-5">
       <div className="flex items-center gap-3">
         <div className="h-8 w-16 rounded-lg border-2 border-dashed border-slate-300 bg-slate-50" />
-        <span className="text-sm font-medium text-slate-700">Ledig</span>
+        <span className="text-sm font-medium text-slate-700">{t("common.free")}</span>
       </div>
       <div className="flex items-center gap-3">
         <div className="h-8 w-16 rounded-lg bg-gradient-to-br from-blue-500 to-blue-600 shadow-md" />
-        <span className="text-sm font-medium text-slate-700">Booket</span>
+        <span className="text-sm font-medium text-slate-700">{t("common.booked")}</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <div className="h-8 w-16 rounded-lg border-2 border-dashed border-amber-400 bg-amber-50" />
+        <span className="text-sm font-medium text-slate-700">{t("common.pendingLegend")}</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <div className="h-8 w-16 rounded-lg bg-slate-100" />
+        <span className="text-sm font-medium text-slate-700">{t("common.closed")}</span>
       </div>
       {loading ? (
         <div className="flex items-center gap-2">
           <div className="h-4 w-4 rounded-full border-2 border-blue-300 border-t-blue-600 animate-spin" />
-          <span className="text-sm text-slate-500">Indlæser…</span>
+          <span className="text-sm text-slate-500">{t("common.loading")}</span>
         </div>
       ) : null}
     </div>
   );
 }
 
-function Modal({ open, onClose, children }) {
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Dialog: fokus holdes inde i modalen (Tab/Shift+Tab går rundt), og ved luk går fokus tilbage
+// til det, der åbnede den. titleId er id'et på modalens overskrift (aria-labelledby).
+function Modal({ open, onClose, titleId, children }) {
+  const dialogRef = useRef(null);
+
+  // Sidst fokuserede element uden for en dialog; det er det, der åbnede modalen.
+  // (Et felt med autoFocus i modalen får fokus, før modalens effects kører.)
+  const returnFocusRef = useRef(null);
+  useEffect(() => {
+    function onFocusIn(e) {
+      if (!e.target.closest?.('[role="dialog"]')) returnFocusRef.current = e.target;
+    }
+    document.addEventListener("focusin", onFocusIn);
+    return () => document.removeEventListener("focusin", onFocusIn);
+  }, []);
+
   useEffect(() => {
     function onKey(e) {
       if (e.key === "Escape") onClose();
@@ -734,12 +4808,58 @@ function Modal({ open, onClose, children }) {
     return () => window.removeEventListener("keydown", onKey);
   }, [open, onClose]);
 
+  useEffect(() => {
+    if (!open) return;
+
+    const dialog = dialogRef.current;
+    if (!dialog.contains(document.activeElement)) (dialog.querySelector(FOCUSABLE) ?? dialog).focus();
+
+    // Cellen i kalenderen kan være tegnet forfra, mens modalen var åben (ledig -> booket);
+    // så findes den igen via tidsrummets nøgle
+    const opener = returnFocusRef.current;
+    const openerKey = opener?.closest?.("[data-slot-key]")?.dataset.slotKey;
+    return () => {
+      const target = opener?.isConnected
+        ? opener
+        : openerKey
+          ? document.querySelector(`[data-slot-key="${CSS.escape(openerKey)}"] > *`)
+          : null;
+      target?.focus();
+    };
+  }, [open]);
+
+  function trapTab(e) {
+    if (e.key !== "Tab") return;
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
   if (!open) return null;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 animate-fadeIn">
       <div className="absolute inset-0 bg-black/30 backdrop-blur-sm" onClick={onClose} />
-      <div className="relative w-full max-w-md rounded-2xl bg-white p-6 shadow-2xl transform transition-all duration-200 scale-100">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onKeyDown={trapTab}
+        className="relative max-h-[90vh] w-full max-w-md overflow-auto rounded-2xl bg-white p-6 shadow-2xl transform transition-all duration-200 scale-100 outline-none"
+      >
         {children}
       </div>
     </div>
@@ -0,0 +1,228 @@
+// ------------------------
+// KALENDER: DATOER, UGER OG TIDSRUM
+// ------------------------
+// Alt regnes i dansk tid (Europe/Copenhagen), uanset hvilken tidszone browseren står i,
+// så en kollega på rejse ser de samme dage og tidsrum som databasen og alle andre.
+//
+// - En dato er "YYYY-MM-DD" eller et Date-objekt ved UTC-midnat for dagen. Der regnes med
+//   dage i UTC, som ikke har sommertid, så et døgn altid er 24 timer.
+// - Et klokkeslæt er minutter efter midnat i dansk tid (som start_mins/end_mins i databasen).
+// - "Nu" og "i dag" er dansk tid, se wallClock().
+
+export const TIME_ZONE = "Europe/Copenhagen";
+
+// Booking-enhed (minutter): 15 eller 30, mindste enhed man kan booke i
+export const SLOT_MINS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function minutesToHHMM(mins) {
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return `${pad2(h)}:${pad2(m)}`;
+}
+
+export function formatSlotLabel(startMins, endMins = startMins + SLOT_MINS) {
+  return `${minutesToHHMM(startMins)}-${minutesToHHMM(endMins)}`;
+}
+
+// ------------------------
+// DATOER
+// ------------------------
+
+// "YYYY-MM-DD" => Date ved UTC-midnat
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+// Date (UTC-midnat) eller "YYYY-MM-DD" => "YYYY-MM-DD"
+export function toISODate(dateLike) {
+  if (typeof dateLike === "string") return dateLike.slice(0, 10);
+  const d = new Date(dateLike);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function toDay(dateLike) {
+  return typeof dateLike === "string" ? parseISODate(dateLike) : new Date(dateLike);
+}
+
+// Kun rigtige datoer: "2026-02-30" afvises
+export function isISODate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text ?? "") && toISODate(parseISODate(text)) === text;
+}
+
+export function addDays(dateLike, days) {
+  const d = toDay(dateLike);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+// Man=0 .. Søn=6
+export function weekdayIndex(dateLike) {
+  return (toDay(dateLike).getUTCDay() + 6) % 7;
+}
+
+export function startOfWeekMonday(dateLike) {
+  return addDays(dateLike, -weekdayIndex(dateLike));
+}
+
+// "2026-11" => "2026-11-30"
+export function lastDayOfMonth(month) {
+  return toISODate(new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 0)));
+}
+
+// "2026-11", 3 => "2027-02"
+export function addMonths(month, step) {
+  return toISODate(new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1 + step, 1))).slice(0, 7);
+}
+
+// Den viste uge plus ugen før og efter (hentet på forhånd, så det er hurtigt at bladre)
+export function weekWindow(weekStart) {
+  return { from: toISODate(addDays(weekStart, -7)), to: toISODate(addDays(weekStart, 13)) };
+}
+
+// Månedsvisningen: hele uger fra mandagen før den 1. til søndagen efter den sidste
+export function monthWindow(date) {
+  const month = date.slice(0, 7);
+  return {
+    from: toISODate(startOfWeekMonday(`${month}-01`)),
+    to: toISODate(addDays(startOfWeekMonday(lastDayOfMonth(month)), 6)),
+  };
+}
+
+// ------------------------
+// ISO-UGER
+// ------------------------
+// Uge 1 er ugen med 4. januar (= årets første torsdag), og ugen hører til det år, dens
+// torsdag ligger i. 29.–31. december kan derfor være uge 1 året efter, og 1.–3. januar
+// uge 52 eller 53 året før. Et år har 53 uger, når 28. december ligger i uge 53.
+
+function firstMondayOfIsoYear(year) {
+  return startOfWeekMonday(new Date(Date.UTC(year, 0, 4)));
+}
+
+function isoWeekParts(dateLike) {
+  const monday = startOfWeekMonday(dateLike);
+  const year = addDays(monday, 3).getUTCFullYear();
+  return { year, week: Math.round((monday - firstMondayOfIsoYear(year)) / (7 * DAY_MS)) + 1 };
+}
+
+export function isoWeeksInYear(year) {
+  return isoWeekParts(new Date(Date.UTC(year, 11, 28))).week;
+}
+
+// Date/dato => "2026-W43"
+export function isoWeekString(dateLike) {
+  const { year, week } = isoWeekParts(dateLike);
+  return `${year}-W${pad2(week)}`;
+}
+
+// "2026-W43" => mandagen i ugen, eller null (også for uge 53 i et år med 52 uger)
+export function mondayOfIsoWeek(text) {
+  const match = /^(\d{4})-W(\d{1,2})$/i.exec(text ?? "");
+  if (!match) return null;
+  const year = Number(match[1]);
+  const week = Number(match[2]);
+  if (week < 1 || week > isoWeeksInYear(year)) return null;
+  return addDays(firstMondayOfIsoYear(year), (week - 1) * 7);
+}
+
+// ------------------------
+// DANSK TID
+// ------------------------
+
+const wallClockFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// Dato og klokkeslæt i København for et tidspunkt: { date: "YYYY-MM-DD", mins }
+export function wallClock(at = Date.now()) {
+  const parts = {};
+  for (const p of wallClockFormat.formatToParts(new Date(at))) parts[p.type] = p.value;
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, mins: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+export function todayISO(at = Date.now()) {
+  return wallClock(at).date;
+}
+
+// I dag, hvis den ligger i perioden; ellers periodens første dag (datoen der bevares mellem uge/måned/dag)
+export function anchorDate(from, to) {
+  const date = todayISO();
+  return date >= from && date <= to ? date : from;
+}
+
+// Hvor mange ms dansk tid er foran UTC på tidspunktet (1 eller 2 timer)
+function utcOffsetMs(instant) {
+  const { date, mins } = wallClock(instant);
+  const wall = parseISODate(date).getTime() + mins * 60 * 1000;
+  return wall - Math.floor(instant / 60000) * 60000;
+}
+
+// Tidspunktet for et dansk klokkeslæt på en dato. Som i Postgres (AT TIME ZONE): natten til
+// sommertid findes 02:00–02:59 ikke og bliver en time senere, og natten til vintertid findes
+// 02:00–02:59 to gange, hvor den sidste (vintertid) bruges.
+export function zonedDateTime(date, mins = 0) {
+  const wall = parseISODate(date).getTime() + mins * 60 * 1000;
+  // Forskydningen ved klokkeslættet læst som UTC er højst én overgang fra den rigtige;
+  // forskydningen ved det første gæt rammer den
+  return new Date(wall - utcOffsetMs(wall - utcOffsetMs(wall)));
+}
+
+// ------------------------
+// TIDSRUM OG BOOKINGER
+// ------------------------
+
+export function buildSlots(openMins, closeMins) {
+  // Fx 08:00 til 17:00 i SLOT_MINS-blokke => 18 slots á 30 min: 08:00-08:30 ... 16:30-17:00
+  const slots = [];
+  for (let m = openMins; m < closeMins; m += SLOT_MINS) {
+    slots.push({ startMins: m, label: formatSlotLabel(m) });
+  }
+  return slots;
+}
+
+// Vi bruger en “nøgle” i app’en til hurtig opslagsværdi.
+// Den er kun til app’en (ikke databasen).
+export function bookingKey(roomId, date, startMins) {
+  return `${roomId}__${date}__${startMins}`;
+}
+
+// Antal grid-rækker en booking fylder (mindst 1)
+export function slotSpan(booking) {
+  return Math.max(1, Math.ceil((booking.endMins - booking.startMins) / SLOT_MINS));
+}
+
+// En booking identificeres af lokale + dato + starttid (samme som i databasens RPC'er)
+export function isSameBooking(a, b) {
+  return a.roomId === b.roomId && a.date === b.date && a.startMins === b.startMins;
+}
+
+// To tidsrum [start, slut) overlapper, hvis hver starter før den anden slutter
+export function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+// `ignore`: bookingen der flyttes/rettes, så den ikke overlapper sig selv
+export function findOverlappingBooking(bookings, roomId, date, startMins, endMins, ignore = null) {
+  return (
+    bookings.find(
+      (b) =>
+        b.roomId === roomId &&
+        b.date === date &&
+        rangesOverlap(startMins, endMins, b.startMins, b.endMins) &&
+        !(ignore && isSameBooking(b, ignore))
+    ) ?? null
+  );
+}
@@ -0,0 +1,118 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+  addDays,
+  addMonths,
+  isoWeekString,
+  isoWeeksInYear,
+  mondayOfIsoWeek,
+  monthWindow,
+  startOfWeekMonday,
+  toISODate,
+  todayISO,
+  wallClock,
+  zonedDateTime,
+} from "./calendar.js";
+
+// Browserens tidszone må ikke gøre en forskel, så alt køres i flere zoner end den danske.
+// Node læser process.env.TZ igen, når den ændres. Den første vinter-offset bekræfter, at skiftet virkede.
+const ZONES = [
+  { zone: "UTC", januaryOffset: 0 },
+  { zone: "America/Los_Angeles", januaryOffset: 480 },
+  { zone: "Pacific/Kiritimati", januaryOffset: -840 },
+  { zone: "Europe/Copenhagen", januaryOffset: -60 },
+];
+
+const iso = (date) => date.toISOString();
+
+describe.each(ZONES)("kalender i tidszonen $zone", ({ zone, januaryOffset }) => {
+  const originalTZ = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = zone;
+  });
+  afterAll(() => {
+    process.env.TZ = originalTZ;
+  });
+
+  it("kører i den valgte tidszone", () => {
+    expect(new Date(2026, 0, 15).getTimezoneOffset()).toBe(januaryOffset);
+  });
+
+  describe("sommertid (29. marts 2026: 02:00 => 03:00)", () => {
+    it("regner klokkeslæt før og efter overgangen om", () => {
+      expect(iso(zonedDateTime("2026-03-29", 60))).toBe("2026-03-29T00:00:00.000Z");
+      expect(iso(zonedDateTime("2026-03-29", 180))).toBe("2026-03-29T01:00:00.000Z");
+    });
+
+    it("flytter 02:30, som ikke findes, en time frem som Postgres", () => {
+      expect(iso(zonedDateTime("2026-03-29", 150))).toBe("2026-03-29T01:30:00.000Z");
+      expect(wallClock(zonedDateTime("2026-03-29", 150))).toEqual({ date: "2026-03-29", mins: 210 });
+    });
+
+    it("læser klokken omkring overgangen", () => {
+      expect(wallClock(Date.UTC(2026, 2, 29, 0, 59))).toEqual({ date: "2026-03-29", mins: 119 });
+      expect(wallClock(Date.UTC(2026, 2, 29, 1, 0))).toEqual({ date: "2026-03-29", mins: 180 });
+    });
+  });
+
+  describe("vintertid (25. oktober 2026: 03:00 => 02:00)", () => {
+    it("bruger den sidste 02:30 (vintertid) som Postgres", () => {
+      expect(iso(zonedDateTime("2026-10-25", 150))).toBe("2026-10-25T01:30:00.000Z");
+    });
+
+    it("viser 02:30 for begge tidspunkter", () => {
+      expect(wallClock(Date.UTC(2026, 9, 25, 0, 30))).toEqual({ date: "2026-10-25", mins: 150 });
+      expect(wallClock(Date.UTC(2026, 9, 25, 1, 30))).toEqual({ date: "2026-10-25", mins: 150 });
+    });
+
+    it("regner klokkeslæt før og efter overgangen om", () => {
+      expect(iso(zonedDateTime("2026-10-25", 60))).toBe("2026-10-24T23:00:00.000Z");
+      expect(iso(zonedDateTime("2026-10-25", 240))).toBe("2026-10-25T03:00:00.000Z");
+    });
+  });
+
+  describe("årsskifte", () => {
+    it("er i dag i dansk tid", () => {
+      expect(todayISO(Date.UTC(2026, 11, 31, 22, 59))).toBe("2026-12-31");
+      expect(todayISO(Date.UTC(2026, 11, 31, 23, 0))).toBe("2027-01-01");
+    });
+
+    it("lægger dage, uger og måneder til over nytår", () => {
+      expect(toISODate(addDays("2026-12-31", 1))).toBe("2027-01-01");
+      expect(toISODate(startOfWeekMonday("2027-01-01"))).toBe("2026-12-28");
+      expect(addMonths("2026-11", 3)).toBe("2027-02");
+      expect(addMonths("2027-01", -1)).toBe("2026-12");
+      expect(monthWindow("2026-12-15")).toEqual({ from: "2026-11-30", to: "2027-01-03" });
+    });
+  });
+
+  describe("ISO-uger", () => {
+    it("giver uge 53 omkring nytår", () => {
+      expect(isoWeekString("2026-12-31")).toBe("2026-W53");
+      expect(isoWeekString("2027-01-01")).toBe("2026-W53");
+      expect(isoWeekString("2027-01-04")).toBe("2027-W01");
+      expect(isoWeekString("2020-12-31")).toBe("2020-W53");
+      expect(isoWeekString("2021-01-03")).toBe("2020-W53");
+    });
+
+    it("lægger sidst i december i næste års uge 1", () => {
+      expect(isoWeekString("2025-12-29")).toBe("2026-W01");
+      expect(isoWeekString("2024-12-30")).toBe("2025-W01");
+    });
+
+    it("tæller årets uger", () => {
+      expect(isoWeeksInYear(2020)).toBe(53);
+      expect(isoWeeksInYear(2024)).toBe(52);
+      expect(isoWeeksInYear(2025)).toBe(52);
+      expect(isoWeeksInYear(2026)).toBe(53);
+    });
+
+    it("finder mandagen i ugen og afviser uge 53 i et år med 52 uger", () => {
+      expect(toISODate(mondayOfIsoWeek("2026-W53"))).toBe("2026-12-28");
+      expect(toISODate(mondayOfIsoWeek("2026-W01"))).toBe("2025-12-29");
+      expect(toISODate(mondayOfIsoWeek("2026-w43"))).toBe("2026-10-19");
+      expect(mondayOfIsoWeek("2025-W53")).toBeNull();
+      expect(mondayOfIsoWeek("2026-W00")).toBeNull();
+      expect(mondayOfIsoWeek("2026-43")).toBeNull();
+    });
+  });
+});
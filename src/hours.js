@@ -0,0 +1,149 @@
+// ------------------------
+// ÅBNINGSTIDER OG LUKKEDAGE
+// ------------------------
+// Samme regler som booking_closed_reason() i databasen: helligdage (beregnet ud fra påske),
+// lukkeperioder fra `closures` og åbningstider pr. ugedag fra `opening_hours`.
+// Ugedage er Man=0..Søn=6 som resten af app'en (databasen bruger ISO 1..7).
+
+import { toISODate, weekdayIndex } from "./calendar.js";
+
+// Bruges indtil åbningstiderne er hentet, og hvis tabellen er tom: Man–Fre 08–17
+export const DEFAULT_OPEN_MINS = 8 * 60;
+export const DEFAULT_CLOSE_MINS = 17 * 60;
+
+const DEFAULT_WEEK = Array.from({ length: 7 }, (_, wd) =>
+  wd < 5 ? { openMins: DEFAULT_OPEN_MINS, closeMins: DEFAULT_CLOSE_MINS } : null
+);
+
+export const DEFAULT_SCHEDULE = { defaultWeek: DEFAULT_WEEK, roomWeeks: {}, closures: [] };
+
+// Dagen må gerne løbe over (fx påskedag + 49), Date.UTC ruller til næste måned
+function isoDate(y, monthIndex, day) {
+  return toISODate(new Date(Date.UTC(y, monthIndex, day)));
+}
+
+// Påskedag (gregoriansk, "anonymous algorithm"); måned er 0-baseret som i Date
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month: month - 1, day };
+}
+
+// Danske helligdage i et år: Map "YYYY-MM-DD" -> tekstnøgle (holiday.*)
+const holidayCache = new Map();
+export function danishHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const easter = easterSunday(year);
+  const fromEaster = (days) => isoDate(year, easter.month, easter.day + days);
+  const holidays = new Map([
+    [isoDate(year, 0, 1), "holiday.newYear"],
+    [fromEaster(-3), "holiday.maundyThursday"],
+    [fromEaster(-2), "holiday.goodFriday"],
+    [fromEaster(0), "holiday.easterSunday"],
+    [fromEaster(1), "holiday.easterMonday"],
+    [fromEaster(39), "holiday.ascension"],
+    [fromEaster(49), "holiday.whitSunday"],
+    [fromEaster(50), "holiday.whitMonday"],
+    [isoDate(year, 11, 25), "holiday.christmasDay"],
+    [isoDate(year, 11, 26), "holiday.boxingDay"],
+  ]);
+  // Store bededag blev afskaffet som helligdag fra 2024
+  if (year < 2024) holidays.set(fromEaster(26), "holiday.greatPrayerDay");
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Rækker fra opening_hours / closures -> { defaultWeek, roomWeeks, closures }
+export function normalizeSchedule(hourRows, closureRows) {
+  const hours = Array.isArray(hourRows) ? hourRows : [];
+  const weekFor = (rows) => {
+    const week = Array(7).fill(null);
+    for (const r of rows) week[r.weekday - 1] = { openMins: r.open_mins, closeMins: r.close_mins };
+    return week;
+  };
+
+  const defaultRows = hours.filter((r) => r.room_id == null);
+  const roomWeeks = {};
+  for (const roomId of new Set(hours.filter((r) => r.room_id != null).map((r) => r.room_id))) {
+    roomWeeks[roomId] = weekFor(hours.filter((r) => r.room_id === roomId));
+  }
+
+  return {
+    defaultWeek: defaultRows.length > 0 ? weekFor(defaultRows) : DEFAULT_WEEK,
+    roomWeeks,
+    closures: (Array.isArray(closureRows) ? closureRows : []).map((c) => ({
+      roomId: c.room_id ?? null,
+      from: c.start_date,
+      to: c.end_date,
+      reason: c.reason ?? "",
+    })),
+  };
+}
+
+// Et lokale med egne rækker bruger kun dem; ellers standarden
+export function roomWeek(schedule, roomId) {
+  return schedule.roomWeeks[roomId] ?? schedule.defaultWeek;
+}
+
+// { openMins, closeMins } for lokalet den dag, eller null hvis ugedagen er lukket
+export function openingHoursFor(schedule, roomId, date) {
+  return roomWeek(schedule, roomId)[weekdayIndex(date)];
+}
+
+// Hele dagen lukket? { holidayKey } for en helligdag, { reason } for en lukkeperiode, ellers null
+export function dayClosure(schedule, roomId, date) {
+  const holidayKey = danishHolidays(Number(date.slice(0, 4))).get(date);
+  if (holidayKey) return { holidayKey };
+
+  const closure = schedule.closures.find(
+    (c) => (c.roomId == null || c.roomId === roomId) && c.from <= date && date <= c.to
+  );
+  return closure ? { reason: closure.reason } : null;
+}
+
+// Hvorfor tidsrummet ikke kan bookes, eller null hvis lokalet har åbent hele vejen:
+// { holidayKey } | { reason } | { weekdayClosed: true } | { outsideHours: { openMins, closeMins } }
+export function closedReason(schedule, roomId, date, startMins, endMins) {
+  const closure = dayClosure(schedule, roomId, date);
+  if (closure) return closure;
+
+  const hours = openingHoursFor(schedule, roomId, date);
+  if (!hours) return { weekdayClosed: true };
+  if (startMins < hours.openMins || endMins > hours.closeMins) return { outsideHours: hours };
+  return null;
+}
+
+// Tidligste åbning og seneste lukning for lokalerne (griddets rækker) og de ugedage,
+// hvor mindst ét af dem har åbent (griddets kolonner; Man–Fre vises altid)
+export function scheduleBounds(schedule, roomIds) {
+  let openMins = Infinity;
+  let closeMins = -Infinity;
+  const weekdays = new Set([0, 1, 2, 3, 4]);
+
+  const weeks = roomIds.length > 0 ? roomIds.map((id) => roomWeek(schedule, id)) : [schedule.defaultWeek];
+  for (const week of weeks) {
+    week.forEach((hours, wd) => {
+      if (!hours) return;
+      openMins = Math.min(openMins, hours.openMins);
+      closeMins = Math.max(closeMins, hours.closeMins);
+      weekdays.add(wd);
+    });
+  }
+
+  if (openMins >= closeMins) return { openMins: DEFAULT_OPEN_MINS, closeMins: DEFAULT_CLOSE_MINS, weekdays: [0, 1, 2, 3, 4] };
+  return { openMins, closeMins, weekdays: [...weekdays].sort((a, b) => a - b) };
+}
@@ -0,0 +1,129 @@
+// ------------------------
+// SPROG (i18n)
+// ------------------------
+// Tekster ligger i src/locales/<sprog>.js. createI18n() giver t() og dato-/tal-
+// formattering for ét sprog; komponenter henter det med useI18n().
+
+import { createContext, useContext } from "react";
+import { minutesToHHMM, parseISODate, wallClock } from "./calendar.js";
+import da from "./locales/da.js";
+import en from "./locales/en.js";
+
+const CATALOGS = { da, en };
+const DEFAULT_LOCALE = "da";
+const LOCALE_STORAGE_KEY = "isk-booking-locale";
+
+// Sprogene i vælgeren, hver med sit eget navn
+export const LOCALES = [
+  { code: "da", name: "Dansk" },
+  { code: "en", name: "English" },
+];
+
+// Intl-tags: en-GB giver mandag som første ugedag, 24-timers ur og dag før måned
+const INTL_TAGS = { da: "da-DK", en: "en-GB" };
+
+export function getStoredLocale() {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return stored && CATALOGS[stored] ? stored : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+export function storeLocale(locale) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch {
+    // Blokeret localStorage: valget gælder bare indtil næste genindlæsning
+  }
+}
+
+// Datoer er UTC-midnat (se calendar.js), så de formateres i UTC for at give samme dag overalt
+function toDate(dateLike) {
+  if (typeof dateLike === "string" && /^\d{4}-\d{2}-\d{2}$/.test(dateLike)) return parseISODate(dateLike);
+  return new Date(dateLike);
+}
+
+export function createI18n(locale) {
+  const code = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const catalog = CATALOGS[code];
+  const tag = INTL_TAGS[code];
+
+  const pluralRules = new Intl.PluralRules(tag);
+  const dayFormat = new Intl.DateTimeFormat(tag, { weekday: "short", day: "numeric", month: "short", timeZone: "UTC" });
+  const rangeFormat = new Intl.DateTimeFormat(tag, { day: "numeric", month: "short", timeZone: "UTC" });
+  const monthFormat = new Intl.DateTimeFormat(tag, { month: "long", year: "numeric", timeZone: "UTC" });
+  const percentFormat = new Intl.NumberFormat(tag, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+  // t("error.overlap", { name, slot }) => tekst med {name} og {slot} udfyldt
+  function t(key, params = {}) {
+    const text = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  // plural("room.people", 3) bruger "room.people.one" / "room.people.other"
+  function plural(key, count, params = {}) {
+    return t(`${key}.${pluralRules.select(count)}`, { count, ...params });
+  }
+
+  // Man 19. okt / Mon 19 Oct
+  function formatDay(dateLike) {
+    return dayFormat.format(toDate(dateLike));
+  }
+
+  // Ugen fra mandag til den sidste viste ugedag (Man=0 .. Søn=6): "19.–23. okt." / "19–24 Oct"
+  function formatWeekRange(mondayLike, lastWeekday = 4) {
+    const start = toDate(mondayLike);
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + lastWeekday);
+    return rangeFormat.formatRange(start, end);
+  }
+
+  // oktober 2026 / October 2026
+  function formatMonth(dateLike) {
+    return monthFormat.format(toDate(dateLike));
+  }
+
+  // Et tidspunkt (fx changed_at) som dansk dato og klokkeslæt
+  function formatTimestamp(date) {
+    const { date: day, mins } = wallClock(date);
+    return t("history.timestamp", { day: formatDay(day), time: minutesToHHMM(mins) });
+  }
+
+  // Man=0 .. Søn=6 (1. januar 2024 var en mandag)
+  function weekdayName(index, width = "long") {
+    return new Intl.DateTimeFormat(tag, { weekday: width, timeZone: "UTC" }).format(new Date(Date.UTC(2024, 0, 1 + index)));
+  }
+
+  function formatNumber(n, decimals = 1) {
+    return new Intl.NumberFormat(tag, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(n);
+  }
+
+  function formatPercent(ratio) {
+    return percentFormat.format(ratio);
+  }
+
+  // CSV til Excel: dansk Excel vil have semikolon og decimalkomma, engelsk komma og punktum
+  const csv = code === "da" ? { separator: ";", decimal: "," } : { separator: ",", decimal: "." };
+
+  return {
+    locale: code,
+    t,
+    plural,
+    formatDay,
+    formatWeekRange,
+    formatMonth,
+    formatTimestamp,
+    weekdayName,
+    formatNumber,
+    formatPercent,
+    csv,
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
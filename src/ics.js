@@ -0,0 +1,133 @@
+// ------------------------
+// ICALENDAR (.ics)
+// ------------------------
+// Små hjælpefunktioner til at lave en .ics-fil med bookinger, som kan åbnes i
+// Outlook / Google Calendar. Samme format som edge-funktionen "ical-feed".
+
+export const ICAL_TZID = "Europe/Copenhagen";
+
+// Sommertid: sidste søndag i marts -> sidste søndag i oktober
+const VTIMEZONE_COPENHAGEN = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${ICAL_TZID}`,
+  `X-LIC-LOCATION:${ICAL_TZID}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// "2026-10-19" + 510 min => "20261019T083000" (lokal tid i ICAL_TZID)
+function formatLocalDateTime(isoDate, mins) {
+  return `${isoDate.replaceAll("-", "")}T${pad2(Math.floor(mins / 60))}${pad2(mins % 60)}00`;
+}
+
+function formatUTCDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: linjer må højst være 75 oktetter; resten fortsættes med et mellemrum
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const chBytes = new TextEncoder().encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + chBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// event: { uid, date, startMins, endMins, summary, location?, description?, stamp? }
+export function buildICalendar(events, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ISK//Mødelokale booking//DA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${ICAL_TZID}`] : []),
+    ...VTIMEZONE_COPENHAGEN,
+  ];
+
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${formatUTCDateTime(e.stamp ?? new Date())}`,
+      `DTSTART;TZID=${ICAL_TZID}:${formatLocalDateTime(e.date, e.startMins)}`,
+      `DTEND;TZID=${ICAL_TZID}:${formatLocalDateTime(e.date, e.endMins)}`,
+      `SUMMARY:${escapeText(e.summary)}`
+    );
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// UID skal være den samme her og i feedet, så kalenderen ikke får dubletter
+export function bookingUID(bookingId) {
+  return `booking-${bookingId}@isk-booking`;
+}
+
+// URL til edge-funktionen "ical-feed" for et lokale ({ roomId }) eller en person ({ name })
+export function icalFeedUrl({ roomId, name }) {
+  const params = new URLSearchParams();
+  if (roomId) params.set("room", roomId);
+  if (name) params.set("name", name);
+  return `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/ical-feed?${params}`;
+}
+
+// webcal:// får Outlook/Apple Kalender til at abonnere i stedet for at downloade
+export function toWebcalUrl(url) {
+  return url.replace(/^https?:\/\//, "webcal://");
+}
+
+export function downloadICS(filename, text) {
+  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
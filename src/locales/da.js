@@ -0,0 +1,366 @@
+// Dansk (standardsprog). Nøgler grupperet efter skærm; {navn} udfyldes af t().
+// Nøgler der slutter på .one/.other bruges af plural() (Intl.PluralRules).
+
+export default {
+  // Fælles
+  "common.cancel": "Annuller",
+  "common.close": "Luk",
+  "common.save": "Gem",
+  "common.book": "Book",
+  "common.from": "Fra",
+  "common.to": "Til",
+  "common.date": "Dato",
+  "common.name": "Navn",
+  "common.room": "Lokale",
+  "common.time": "Tid",
+  "common.loading": "Indlæser…",
+  "common.undo": "Fortryd",
+  "common.edit": "Redigér",
+  "common.delete": "Slet",
+  "common.ok": "OK",
+  "common.unknownError": "ukendt fejl",
+  "common.free": "Ledig",
+  "common.booked": "Booket",
+  "common.pending": "Afventer",
+  "common.pendingDelete": "Afventer sletning",
+  "common.pendingLegend": "Afventer (offline)",
+  "common.closed": "Lukket",
+
+  // Ramme
+  "app.title": "ISK mødelokale booking",
+  "app.chooseRoomHint": "Vælg et lokale for at se kalenderen.",
+  "app.back": "Tilbage",
+  "app.language": "Sprog",
+  "app.footerStoredIn": "Data er gemt i",
+  "app.storage.local": "denne browser (lokal demo)",
+  "app.storage.memory": "hukommelsen (test, slettes ved genindlæsning)",
+  "header.overview": "Dagsoversigt • {day}",
+  "header.report": "Udnyttelse af lokaler",
+  "header.mine": "Mine bookinger",
+  "header.search": "Søg i bookinger",
+  "header.cancelLink": "Aflys booking",
+  "header.calendar": "{room} • Uge {range}",
+
+  // Lokaler
+  "room.people.one": "{count} person",
+  "room.people.other": "{count} personer",
+  "room.withCapacity": "{name} ({people})",
+  "room.meetingRoom": "Mødelokale",
+  "room.capacity": "Kapacitet",
+  "room.capacityUnknown": "Kapacitet ukendt",
+  "room.floorLabel": "Etage",
+  "room.floor": "{floor}. sal",
+  "room.openCalendar": "Åbn kalender",
+  "rooms.title": "Vælg lokale",
+  "rooms.subtitle": "Alle bookinger er synlige for alle med linket.",
+  "rooms.overviewButton": "Dagsoversigt og find ledigt lokale",
+  "rooms.reportButton": "Rapport",
+  "rooms.myBookingsButton": "Mine bookinger",
+  "rooms.searchButton": "Søg",
+  "rooms.loading": "Henter lokaler…",
+  "rooms.loadError": "Kunne ikke hente lokaler.",
+  "rooms.howTitle": "Sådan virker det",
+  "rooms.how1": "Klik på et ledigt tidsrum, vælg start- og sluttid og indtast dit navn.",
+  "rooms.how2": "Bookede tider vises med navn.",
+  "rooms.how3": "Klik på din egen booking for at slette den.",
+
+  // Ugekalender
+  "calendar.subtitle": "Klik for at booke eller slette et tidsrum.",
+  "calendar.subscribe": "Abonnér på kalender",
+  "calendar.subscribeTitle": "Abonnér på lokalets bookinger i Outlook / Google Calendar",
+  "calendar.history": "Historik",
+  "calendar.historyTitle": "Se hvem der har oprettet, ændret og slettet bookinger",
+  "calendar.prevWeek": "Forrige uge",
+  "calendar.nextWeek": "Næste uge",
+  "calendar.prevMonth": "Forrige måned",
+  "calendar.nextMonth": "Næste måned",
+  "calendar.prevDay": "Forrige dag",
+  "calendar.nextDay": "Næste dag",
+  "calendar.modeLabel": "Visning",
+  "calendar.mode.week": "Uge",
+  "calendar.mode.month": "Måned",
+  "calendar.mode.day": "Dag",
+  "month.bookings.one": "{count} booking",
+  "month.bookings.other": "{count} bookinger",
+  "month.dayAria": "{day}: {bookings}, {percent} booket",
+  "month.legend": "Bjælken viser, hvor stor en del af åbningstiden der er booket. Klik på en dag for at se den.",
+  "calendar.tipLabel": "Tip:",
+  "calendar.tip": "Rul ned for dage og tider.",
+  "calendar.gridHelp": "Brug piletasterne til at gå mellem dage og tider, Home og End til første og sidste dag, Page Up og Page Down til forrige og næste uge. Enter åbner tidsrummet.",
+
+  // Tidsrum
+  "slot.bookedAria": "Booket: {label}",
+  "slot.pendingAria": "Afventer: {label}",
+  "slot.freeAria": "Ledig: {label}",
+  "slot.titleDraggable": "Klik for at se, rette eller slette – træk for at flytte",
+  "slot.titleBooked": "Klik for at se eller slette",
+  "slot.titleFree": "Klik for at booke",
+  "slot.closedAria": "Lukket: {label}",
+
+  // Dagsoversigt og ledige lokaler
+  "overview.title": "Dagsoversigt",
+  "overview.subtitle": "Alle lokaler på én dag. Klik for at booke eller se et tidsrum.",
+  "overview.prevDay": "Forrige dag",
+  "overview.nextDay": "Næste dag",
+  "free.title": "Find ledigt lokale",
+  "free.people": "Antal personer",
+  "free.none": "Ingen ledige lokaler i det tidsrum.",
+  "free.book": "Book {slot}",
+
+  // Mine bookinger og søgning
+  "mine.title": "Mine bookinger",
+  "mine.subtitle": "Dine kommende bookinger i alle lokaler.",
+  "mine.show": "Vis",
+  "mine.noName": "Skriv dit navn for at se dine bookinger.",
+  "mine.empty": "Ingen kommende bookinger for {name}.",
+  "mine.loadError": "Kunne ikke hente dine bookinger.",
+  "search.title": "Søg i bookinger",
+  "search.subtitle": "Find bookinger i alle lokaler på navn og/eller periode.",
+  "search.name": "Navn",
+  "search.namePlaceholder": "Hele eller en del af navnet",
+  "search.submit": "Søg",
+  "search.prompt": "Skriv et navn eller vælg en periode.",
+  "search.invalidRange": "Fra-datoen skal ligge før til-datoen.",
+  "search.empty": "Ingen bookinger fundet.",
+  "search.loadError": "Kunne ikke søge lige nu.",
+  "search.limited": "Viser de første {count}. Gør søgningen smallere for at se resten.",
+  "bookingList.openWeek": "Åbn lokalets kalender i den uge",
+
+  // Rapport
+  "report.title": "Udnyttelse af lokaler",
+  "report.subtitle": "Belægning i forhold til lokalernes åbningstider. Helligdage og lukkeperioder tæller ikke med.",
+  "report.invalidRange": "Vælg en gyldig periode.",
+  "report.loadError": "Kunne ikke hente bookinger til rapporten.",
+  "report.total": "Samlet belægning:",
+  "report.totalDetail.one": "({hours} over {count} åbningsdag)",
+  "report.totalDetail.other": "({hours} over {count} åbningsdage)",
+  "report.exportBookings": "Eksportér bookinger (CSV)",
+  "report.exportSummary": "Eksportér opsummering (CSV)",
+  "report.byRoom": "Pr. lokale",
+  "report.byWeekday": "Pr. ugedag",
+  "report.byHour": "Pr. time",
+  "report.byBooker": "Pr. booker (andel af booket tid)",
+  "report.bookings.one": "{count} booking • {hours}",
+  "report.bookings.other": "{count} bookinger • {hours}",
+  "report.noBookings": "Ingen bookinger i perioden.",
+  "report.noData": "Ingen data.",
+  "report.hours": "{hours} t",
+  "report.fileBookings": "bookinger",
+  "report.fileSummary": "udnyttelse",
+
+  // CSV-eksport
+  "csv.room": "Lokale",
+  "csv.date": "Dato",
+  "csv.weekday": "Ugedag",
+  "csv.start": "Start",
+  "csv.end": "Slut",
+  "csv.minutes": "Minutter",
+  "csv.bookedBy": "Booket af",
+  "csv.group": "Gruppe",
+  "csv.key": "Nøgle",
+  "csv.count": "Antal bookinger",
+  "csv.bookedHours": "Booket (timer)",
+  "csv.openHours": "Åbent (timer)",
+  "csv.occupancy": "Belægning (%)",
+  "csv.groupRoom": "Lokale",
+  "csv.groupWeekday": "Ugedag",
+  "csv.groupHour": "Time",
+  "csv.groupBooker": "Booker",
+
+  // Booking gemt
+  "created.title": "Booking gemt",
+  "created.times": "{count} gange fra {day}",
+  "created.subscribePrompt": "Vil du altid have dine bookinger i din kalender?",
+  "created.subscribeLink": "Abonnér på bookinger for {name}",
+  "created.addToCalendar": "Tilføj til kalender",
+  "created.emailNote": "Vi sender en bekræftelse til {email} og minder dig om bookingen, før den starter.",
+  "ics.description": "Booket af {name}",
+
+  // Ny booking
+  "create.title": "Bekræft booking",
+  "create.repeat": "Gentag booking",
+  "create.everyWeek": "Hver uge",
+  "create.everyNWeeks": "Hver {n}. uge",
+  "create.count": "Antal gange",
+  "create.until": "Indtil",
+  "create.conflicts": "{taken} af {total} datoer er optaget eller lukket og springes over:",
+  "create.yourName": "Dit navn",
+  "create.namePlaceholder": "Skriv dit navn",
+  "create.email": "E-mail (valgfri)",
+  "create.emailPlaceholder": "navn@eksempel.dk",
+  "create.emailHint": "Få en bekræftelse med kalenderfil, en påmindelse og et link til at aflyse.",
+  "create.bookFree": "Book {count} ledige",
+  "create.bookSeries": "Book serie",
+
+  // Ret booking
+  "edit.title": "Redigér booking",
+  "edit.now": "Nu:",
+
+  // Se / slet booking
+  "delete.title": "Slet booking?",
+  "delete.titleReadonly": "Booking",
+  "delete.bookedBy": "Booket af",
+  "delete.unknownName": "(ukendt)",
+  "delete.partOfSeries": "Del af en gentagende serie",
+  "delete.slotHistory": "Se historik for tidsrummet",
+  "delete.notOwner": "Du kan ikke slette denne booking. Kun den, der har booket, kan slette den.",
+  "delete.pendingCreate": "Afventer forbindelse. Bookingen gemmes, når du er online igen.",
+  "delete.pendingDelete": "Afventer forbindelse. Bookingen slettes, når du er online igen.",
+  "delete.onlyThis": "Kun denne",
+  "delete.thisAndFollowing": "Denne og alle følgende",
+
+  // Historik
+  "history.title": "Historik",
+  "history.empty": "Ingen hændelser endnu.",
+  "history.action.insert": "Oprettet",
+  "history.action.update": "Ændret",
+  "history.action.delete": "Slettet",
+  "history.action.restore": "Gendannet",
+  "history.action.purge": "Slettet permanent",
+  "history.action.checkin": "Tjekket ind",
+  "history.nameChange": "Navn: {from} → {to}",
+  "history.byline": "{time} af {actor}",
+  "history.timestamp": "{day} kl. {time}",
+  "history.restore": "Gendan",
+  "actor.unknown": "ukendt",
+  "actor.you": "dig (denne browser)",
+  "actor.otherBrowser": "en anden browser ({id})",
+  "actor.kiosk": "dør-tabletten",
+  "actor.autoRelease": "automatisk (ingen check-in)",
+  "actor.emailLink": "aflyst via link i mail",
+
+  // Offline / synkronisering
+  "sync.offline":
+    "Du er offline. Kalenderen viser de sidst kendte bookinger, og nye bookinger og sletninger gemmes, når forbindelsen er tilbage.",
+  "sync.stale": "Forbindelsen er afbrudt – data kan være forældede. Vi prøver igen automatisk.",
+  "sync.lastSynced": "Sidst opdateret {time}.",
+  "sync.pendingSyncing.one": "1 ændring afventer – synkroniserer…",
+  "sync.pendingSyncing.other": "{count} ændringer afventer – synkroniserer…",
+  "sync.pendingOffline.one": "1 ændring afventer forbindelse.",
+  "sync.pendingOffline.other": "{count} ændringer afventer forbindelse.",
+  "sync.notCreated": "Booking ikke gemt",
+  "sync.notDeleted": "Booking ikke slettet",
+  "sync.conflictWinner": "{slot} blev booket af {name}, mens du var offline.",
+  "sync.conflict": "Tidsrummet blev booket af en anden, mens du var offline.",
+  "sync.failed": "Kunne ikke gemme: {message}",
+  "sync.emailFailed": "Bookingen er gemt, men e-mailen kunne ikke knyttes til den.",
+  "sync.closed": "Lokalet er lukket i tidsrummet, så bookingen blev ikke gemt.",
+  "sync.policy": "Bookingen bryder en bookingregel og blev ikke gemt.",
+
+  // Fejl
+  "error.nameRequired": "Indtast venligst dit navn.",
+  "error.emailInvalid": "E-mailadressen ser ikke rigtig ud.",
+  "error.emailSaveFailed": "Bookingen er gemt, men e-mailen kunne ikke gemmes: {message}",
+  "error.nameRequiredEdit": "Indtast venligst et navn.",
+  "error.endBeforeStart": "Sluttid skal være efter starttid.",
+  "error.outsideHours": "Bookingen skal ligge mellem {open} og {close}.",
+  "error.closedDay": "Lokalet er lukket {day} ({reason}).",
+  "error.closedWeekday": "Lokalet har ikke åbent {day}.",
+  "error.closedServer": "Lokalet er lukket i det tidsrum.",
+  "error.overlap": "Tidsrummet overlapper {name}s booking {slot}.",
+  "error.saveFailed": "Kunne ikke gemme booking: {message}",
+  "error.takenJustBefore": "Tidsrummet blev booket af en anden lige før dig.",
+  "error.takenBy": "{slot} blev booket af {name} lige før dig.",
+  "error.seriesOffline": "Gentagne bookinger kræver forbindelse. Prøv igen, når du er online.",
+  "error.seriesNoDates": "Gentagelsen giver ingen datoer. Tjek ugedage og slutdato.",
+  "error.seriesCheckFailed": "Kunne ikke tjekke serien for konflikter: {message}",
+  "error.seriesAllTaken": "Alle datoer i serien er optaget.",
+  "error.seriesSaveFailed": "Kunne ikke gemme serien: {message}",
+  "error.seriesRace": "Nogle af tiderne blev booket af andre imens. Tjek listen og prøv igen.",
+  "error.deleteSeriesOffline": "Sletning af en hel serie kræver forbindelse. Prøv igen, når du er online.",
+  "error.deleteDenied": "Du kan ikke slette denne booking.",
+  "error.deleteFailed": "Kunne ikke slette booking: {message}",
+  "error.editOffline": "Du er offline. Ændringer kan først gemmes, når forbindelsen er tilbage.",
+  "error.editDenied": "Du kan ikke ændre denne booking.",
+  "error.notFound": "Bookingen findes ikke længere.",
+  "error.updateFailed": "Kunne ikke gemme ændringen: {message}",
+  "error.historyLoad": "Kunne ikke hente historik.",
+  "error.restoreTaken": "Tidsrummet er booket igen, så bookingen kan ikke gendannes.",
+  "error.restoreDenied": "Du kan ikke gendanne denne booking.",
+  "error.restoreAlready": "Bookingen er allerede gendannet.",
+  "error.restoreFailed": "Kunne ikke gendanne booking: {message}",
+
+  // Bookingregler
+  "policy.past": "Tidsrummet er allerede gået. Der kan ikke bookes bagud i tid.",
+  "policy.horizon": "Der kan højst bookes {days} dage frem.",
+  "policy.duration": "Du kan højst booke {duration} i træk i samme lokale (inkl. dine bookinger lige før og efter).",
+  "policy.quota": "Du kan højst booke {hours} pr. uge, og denne booking ville gå over.",
+  "policy.broken": "Bookingen bryder en bookingregel.",
+  "policy.hours.one": "{count} time",
+  "policy.hours.other": "{count} timer",
+  "policy.pastShort": "allerede gået",
+  "policy.horizonShort": "mere end {days} dage frem",
+  "policy.durationShort": "for lang i træk",
+  "policy.quotaShort": "over ugekvoten på {hours}",
+
+  // Venteliste
+  "waitlist.title": "Venteliste",
+  "waitlist.empty": "Ingen venter på tidsrummet endnu.",
+  "waitlist.count.one": "1 venter på tidsrummet.",
+  "waitlist.count.other": "{count} venter på tidsrummet.",
+  "waitlist.position": "Du er nr. {position} på listen.",
+  "waitlist.join": "Skriv mig på venteliste",
+  "waitlist.leave": "Forlad venteliste",
+  "waitlist.explain":
+    "Bliver tidsrummet ledigt, får den første på listen besked og {minutes} minutter til at booke det, før det er ledigt for alle.",
+  "waitlist.already": "Du står allerede på ventelisten til dette tidsrum.",
+  "waitlist.offline": "Du er offline. Ventelisten kræver forbindelse.",
+  "waitlist.joinFailed": "Kunne ikke skrive dig på ventelisten: {message}",
+  "waitlist.leaveFailed": "Kunne ikke fjerne dig fra ventelisten: {message}",
+  "waitlist.held": "Tidsrummet er lige blevet ledigt og holdes et øjeblik til den første på ventelisten. Prøv igen om lidt.",
+  "waitlist.offerTitle": "Et tidsrum, du venter på, er blevet ledigt",
+  "waitlist.offerBody": "{room} • {day} {slot}. Det holdes til dig til kl. {until}.",
+  "waitlist.offerExpired": "Tilbuddet fra ventelisten er udløbet. Tidsrummet kan være booket af en anden nu.",
+  "waitlist.bookNow": "Book nu",
+  "waitlist.decline": "Nej tak",
+
+  // Dør-tablet (kiosk)
+  "kiosk.free": "Ledig",
+  "kiosk.busy": "Optaget",
+  "kiosk.closed": "Lukket",
+  "kiosk.freeUntil": "Ledig indtil kl. {time}",
+  "kiosk.freeRestOfDay": "Ledig resten af dagen",
+  "kiosk.bookNow": "Book nu ({slot})",
+  "kiosk.next": "Næste booking",
+  "kiosk.noMore": "Ikke flere bookinger i dag",
+  "kiosk.checkIn": "Tjek ind",
+  "kiosk.checkInFor": "{name}: tjek ind senest kl. {time}, ellers bliver lokalet ledigt.",
+  "kiosk.checkedIn": "Tjekket ind",
+  "kiosk.checkInGone": "Bookingen findes ikke længere.",
+  "kiosk.checkInFailed": "Kunne ikke tjekke ind: {message}",
+  "kiosk.unknownRoom": "Lokalet findes ikke.",
+
+  // Live region (realtime-ændringer fra andre)
+  "live.booked": "Ny booking: {room}, {day} {slot}, {name}",
+  "live.changed": "Booking ændret: {room}, {day} {slot}, {name}",
+  "live.cancelled": "Booking aflyst: {room}, {day} {slot}, {name}",
+
+  // Aflysning fra mail
+  "cancelLink.title": "Aflys booking",
+  "cancelLink.cancelOne": "Aflys bookingen",
+  "cancelLink.cancelSeries": "Aflys denne og alle følgende",
+  "cancelLink.done.one": "Bookingen er aflyst. Du får en bekræftelse på mail.",
+  "cancelLink.done.other": "{count} bookinger er aflyst. Du får en bekræftelse på mail.",
+  "cancelLink.gone": "Bookingen findes ikke længere. Den er måske allerede aflyst.",
+  "cancelLink.invalid": "Linket er ugyldigt. Brug linket fra din seneste mail.",
+  "cancelLink.failed": "Kunne ikke aflyse lige nu. Prøv igen om lidt.",
+  "cancelLink.toApp": "Gå til bookingsiden",
+
+  // Helligdage (beregnes i hours.js)
+  "holiday.newYear": "Nytårsdag",
+  "holiday.maundyThursday": "Skærtorsdag",
+  "holiday.goodFriday": "Langfredag",
+  "holiday.easterSunday": "Påskedag",
+  "holiday.easterMonday": "2. påskedag",
+  "holiday.greatPrayerDay": "Store bededag",
+  "holiday.ascension": "Kristi himmelfartsdag",
+  "holiday.whitSunday": "Pinsedag",
+  "holiday.whitMonday": "2. pinsedag",
+  "holiday.christmasDay": "Juledag",
+  "holiday.boxingDay": "2. juledag",
+
+  // main.jsx
+  "errorBoundary.title": "Noget gik galt",
+  "errorBoundary.body": "Prøv at genindlæse siden.",
+  "errorBoundary.reload": "Genindlæs",
+};
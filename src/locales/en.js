@@ -0,0 +1,365 @@
+// English. Same keys as da.js; missing keys fall back to Danish.
+
+export default {
+  // Common
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.save": "Save",
+  "common.book": "Book",
+  "common.from": "From",
+  "common.to": "To",
+  "common.date": "Date",
+  "common.name": "Name",
+  "common.room": "Room",
+  "common.time": "Time",
+  "common.loading": "Loading…",
+  "common.undo": "Cancel",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.ok": "OK",
+  "common.unknownError": "unknown error",
+  "common.free": "Free",
+  "common.booked": "Booked",
+  "common.pending": "Pending",
+  "common.pendingDelete": "Pending deletion",
+  "common.pendingLegend": "Pending (offline)",
+  "common.closed": "Closed",
+
+  // Frame
+  "app.title": "ISK meeting room booking",
+  "app.chooseRoomHint": "Choose a room to see its calendar.",
+  "app.back": "Back",
+  "app.language": "Language",
+  "app.footerStoredIn": "Data is stored in",
+  "app.storage.local": "this browser (local demo)",
+  "app.storage.memory": "memory (test, cleared on reload)",
+  "header.overview": "Day overview • {day}",
+  "header.report": "Room utilization",
+  "header.mine": "My bookings",
+  "header.search": "Search bookings",
+  "header.cancelLink": "Cancel booking",
+  "header.calendar": "{room} • Week {range}",
+
+  // Rooms
+  "room.people.one": "{count} person",
+  "room.people.other": "{count} people",
+  "room.withCapacity": "{name} ({people})",
+  "room.meetingRoom": "Meeting room",
+  "room.capacity": "Capacity",
+  "room.capacityUnknown": "Capacity unknown",
+  "room.floorLabel": "Floor",
+  "room.floor": "Floor {floor}",
+  "room.openCalendar": "Open calendar",
+  "rooms.title": "Choose a room",
+  "rooms.subtitle": "All bookings are visible to everyone with the link.",
+  "rooms.overviewButton": "Day overview and find a free room",
+  "rooms.reportButton": "Report",
+  "rooms.myBookingsButton": "My bookings",
+  "rooms.searchButton": "Search",
+  "rooms.loading": "Loading rooms…",
+  "rooms.loadError": "Could not load rooms.",
+  "rooms.howTitle": "How it works",
+  "rooms.how1": "Click a free time slot, choose start and end time, and enter your name.",
+  "rooms.how2": "Booked times are shown with the booker's name.",
+  "rooms.how3": "Click your own booking to delete it.",
+
+  // Week calendar
+  "calendar.subtitle": "Click to book or delete a time slot.",
+  "calendar.subscribe": "Subscribe to calendar",
+  "calendar.subscribeTitle": "Subscribe to the room's bookings in Outlook / Google Calendar",
+  "calendar.history": "History",
+  "calendar.historyTitle": "See who created, changed and deleted bookings",
+  "calendar.prevWeek": "Previous week",
+  "calendar.nextWeek": "Next week",
+  "calendar.prevMonth": "Previous month",
+  "calendar.nextMonth": "Next month",
+  "calendar.prevDay": "Previous day",
+  "calendar.nextDay": "Next day",
+  "calendar.modeLabel": "View",
+  "calendar.mode.week": "Week",
+  "calendar.mode.month": "Month",
+  "calendar.mode.day": "Day",
+  "month.bookings.one": "{count} booking",
+  "month.bookings.other": "{count} bookings",
+  "month.dayAria": "{day}: {bookings}, {percent} booked",
+  "month.legend": "The bar shows how much of the opening hours is booked. Click a day to open it.",
+  "calendar.tipLabel": "Tip:",
+  "calendar.tip": "Scroll down for days and times.",
+  "calendar.gridHelp": "Use the arrow keys to move between days and times, Home and End for the first and last day, Page Up and Page Down for the previous and next week. Enter opens the time slot.",
+
+  // Slots
+  "slot.bookedAria": "Booked: {label}",
+  "slot.pendingAria": "Pending: {label}",
+  "slot.freeAria": "Free: {label}",
+  "slot.titleDraggable": "Click to view, edit or delete – drag to move",
+  "slot.titleBooked": "Click to view or delete",
+  "slot.titleFree": "Click to book",
+  "slot.closedAria": "Closed: {label}",
+
+  // Day overview and free rooms
+  "overview.title": "Day overview",
+  "overview.subtitle": "All rooms on one day. Click to book or view a time slot.",
+  "overview.prevDay": "Previous day",
+  "overview.nextDay": "Next day",
+  "free.title": "Find a free room",
+  "free.people": "Number of people",
+  "free.none": "No free rooms in that time slot.",
+  "free.book": "Book {slot}",
+
+  // My bookings and search
+  "mine.title": "My bookings",
+  "mine.subtitle": "Your upcoming bookings in every room.",
+  "mine.show": "Show",
+  "mine.noName": "Enter your name to see your bookings.",
+  "mine.empty": "No upcoming bookings for {name}.",
+  "mine.loadError": "Could not load your bookings.",
+  "search.title": "Search bookings",
+  "search.subtitle": "Find bookings in every room by name and/or date range.",
+  "search.name": "Name",
+  "search.namePlaceholder": "All or part of the name",
+  "search.submit": "Search",
+  "search.prompt": "Enter a name or choose a date range.",
+  "search.invalidRange": "The from date must be before the to date.",
+  "search.empty": "No bookings found.",
+  "search.loadError": "Could not search right now.",
+  "search.limited": "Showing the first {count}. Narrow the search to see the rest.",
+  "bookingList.openWeek": "Open the room's calendar for that week",
+
+  // Report
+  "report.title": "Room utilization",
+  "report.subtitle": "Occupancy relative to each room's opening hours. Public holidays and closures are not counted.",
+  "report.invalidRange": "Choose a valid period.",
+  "report.loadError": "Could not load bookings for the report.",
+  "report.total": "Total occupancy:",
+  "report.totalDetail.one": "({hours} over {count} opening day)",
+  "report.totalDetail.other": "({hours} over {count} opening days)",
+  "report.exportBookings": "Export bookings (CSV)",
+  "report.exportSummary": "Export summary (CSV)",
+  "report.byRoom": "By room",
+  "report.byWeekday": "By weekday",
+  "report.byHour": "By hour",
+  "report.byBooker": "By booker (share of booked time)",
+  "report.bookings.one": "{count} booking • {hours}",
+  "report.bookings.other": "{count} bookings • {hours}",
+  "report.noBookings": "No bookings in this period.",
+  "report.noData": "No data.",
+  "report.hours": "{hours} h",
+  "report.fileBookings": "bookings",
+  "report.fileSummary": "utilization",
+
+  // CSV export
+  "csv.room": "Room",
+  "csv.date": "Date",
+  "csv.weekday": "Weekday",
+  "csv.start": "Start",
+  "csv.end": "End",
+  "csv.minutes": "Minutes",
+  "csv.bookedBy": "Booked by",
+  "csv.group": "Group",
+  "csv.key": "Key",
+  "csv.count": "Bookings",
+  "csv.bookedHours": "Booked (hours)",
+  "csv.openHours": "Open (hours)",
+  "csv.occupancy": "Occupancy (%)",
+  "csv.groupRoom": "Room",
+  "csv.groupWeekday": "Weekday",
+  "csv.groupHour": "Hour",
+  "csv.groupBooker": "Booker",
+
+  // Booking saved
+  "created.title": "Booking saved",
+  "created.times": "{count} times from {day}",
+  "created.subscribePrompt": "Want your bookings in your calendar automatically?",
+  "created.subscribeLink": "Subscribe to bookings for {name}",
+  "created.addToCalendar": "Add to calendar",
+  "created.emailNote": "We'll send a confirmation to {email} and remind you before the booking starts.",
+  "ics.description": "Booked by {name}",
+
+  // New booking
+  "create.title": "Confirm booking",
+  "create.repeat": "Repeat booking",
+  "create.everyWeek": "Every week",
+  "create.everyNWeeks": "Every {n} weeks",
+  "create.count": "Occurrences",
+  "create.until": "Until",
+  "create.conflicts": "{taken} of {total} dates are taken or closed and will be skipped:",
+  "create.yourName": "Your name",
+  "create.namePlaceholder": "Enter your name",
+  "create.email": "Email (optional)",
+  "create.emailPlaceholder": "name@example.com",
+  "create.emailHint": "Get a confirmation with a calendar file, a reminder and a link to cancel.",
+  "create.bookFree": "Book {count} free",
+  "create.bookSeries": "Book series",
+
+  // Edit booking
+  "edit.title": "Edit booking",
+  "edit.now": "Now:",
+
+  // View / delete booking
+  "delete.title": "Delete booking?",
+  "delete.titleReadonly": "Booking",
+  "delete.bookedBy": "Booked by",
+  "delete.unknownName": "(unknown)",
+  "delete.partOfSeries": "Part of a recurring series",
+  "delete.slotHistory": "See history for this time slot",
+  "delete.notOwner": "You can't delete this booking. Only the person who made it can delete it.",
+  "delete.pendingCreate": "Waiting for connection. The booking will be saved when you're back online.",
+  "delete.pendingDelete": "Waiting for connection. The booking will be deleted when you're back online.",
+  "delete.onlyThis": "Only this one",
+  "delete.thisAndFollowing": "This and all following",
+
+  // History
+  "history.title": "History",
+  "history.empty": "No events yet.",
+  "history.action.insert": "Created",
+  "history.action.update": "Changed",
+  "history.action.delete": "Deleted",
+  "history.action.restore": "Restored",
+  "history.action.purge": "Permanently deleted",
+  "history.action.checkin": "Checked in",
+  "history.nameChange": "Name: {from} → {to}",
+  "history.byline": "{time} by {actor}",
+  "history.timestamp": "{day} at {time}",
+  "history.restore": "Restore",
+  "actor.unknown": "unknown",
+  "actor.you": "you (this browser)",
+  "actor.otherBrowser": "another browser ({id})",
+  "actor.kiosk": "the door tablet",
+  "actor.autoRelease": "automatically (no check-in)",
+  "actor.emailLink": "cancelled via email link",
+
+  // Offline / sync
+  "sync.offline":
+    "You're offline. The calendar shows the last known bookings; new bookings and deletions are saved when the connection is back.",
+  "sync.stale": "The connection was lost – data may be out of date. Retrying automatically.",
+  "sync.lastSynced": "Last updated {time}.",
+  "sync.pendingSyncing.one": "1 change pending – syncing…",
+  "sync.pendingSyncing.other": "{count} changes pending – syncing…",
+  "sync.pendingOffline.one": "1 change waiting for connection.",
+  "sync.pendingOffline.other": "{count} changes waiting for connection.",
+  "sync.notCreated": "Booking not saved",
+  "sync.notDeleted": "Booking not deleted",
+  "sync.conflictWinner": "{slot} was booked by {name} while you were offline.",
+  "sync.conflict": "The time slot was booked by someone else while you were offline.",
+  "sync.failed": "Could not save: {message}",
+  "sync.emailFailed": "The booking was saved, but the email could not be attached to it.",
+  "sync.closed": "The room is closed at that time, so the booking was not saved.",
+  "sync.policy": "The booking breaks a booking rule and was not saved.",
+
+  // Errors
+  "error.nameRequired": "Please enter your name.",
+  "error.emailInvalid": "That email address doesn't look right.",
+  "error.emailSaveFailed": "The booking was saved, but the email could not be saved: {message}",
+  "error.nameRequiredEdit": "Please enter a name.",
+  "error.endBeforeStart": "End time must be after start time.",
+  "error.outsideHours": "The booking must be between {open} and {close}.",
+  "error.closedDay": "The room is closed on {day} ({reason}).",
+  "error.closedWeekday": "The room isn't open on {day}.",
+  "error.closedServer": "The room is closed at that time.",
+  "error.overlap": "The time slot overlaps {name}'s booking {slot}.",
+  "error.saveFailed": "Could not save booking: {message}",
+  "error.takenJustBefore": "Someone else booked the time slot just before you.",
+  "error.takenBy": "{slot} was booked by {name} just before you.",
+  "error.seriesOffline": "Recurring bookings need a connection. Try again when you're online.",
+  "error.seriesNoDates": "The repetition gives no dates. Check weekdays and end date.",
+  "error.seriesCheckFailed": "Could not check the series for conflicts: {message}",
+  "error.seriesAllTaken": "All dates in the series are taken.",
+  "error.seriesSaveFailed": "Could not save the series: {message}",
+  "error.seriesRace": "Some of the times were booked by others in the meantime. Check the list and try again.",
+  "error.deleteSeriesOffline": "Deleting a whole series needs a connection. Try again when you're online.",
+  "error.deleteDenied": "You can't delete this booking.",
+  "error.deleteFailed": "Could not delete booking: {message}",
+  "error.editOffline": "You're offline. Changes can be saved once the connection is back.",
+  "error.editDenied": "You can't change this booking.",
+  "error.notFound": "The booking no longer exists.",
+  "error.updateFailed": "Could not save the change: {message}",
+  "error.historyLoad": "Could not load history.",
+  "error.restoreTaken": "The time slot has been booked again, so the booking can't be restored.",
+  "error.restoreDenied": "You can't restore this booking.",
+  "error.restoreAlready": "The booking has already been restored.",
+  "error.restoreFailed": "Could not restore booking: {message}",
+
+  // Booking rules
+  "policy.past": "That time has already passed. Bookings can't be made in the past.",
+  "policy.horizon": "Bookings can be made at most {days} days ahead.",
+  "policy.duration": "You can book at most {duration} in a row in the same room (including your bookings right before and after).",
+  "policy.quota": "You can book at most {hours} per week, and this booking would go over.",
+  "policy.broken": "The booking breaks a booking rule.",
+  "policy.hours.one": "{count} hour",
+  "policy.hours.other": "{count} hours",
+  "policy.pastShort": "already passed",
+  "policy.horizonShort": "more than {days} days ahead",
+  "policy.durationShort": "too long in a row",
+  "policy.quotaShort": "over the weekly quota of {hours}",
+
+  // Waitlist
+  "waitlist.title": "Waitlist",
+  "waitlist.empty": "Nobody is waiting for this time yet.",
+  "waitlist.count.one": "1 person is waiting for this time.",
+  "waitlist.count.other": "{count} people are waiting for this time.",
+  "waitlist.position": "You are number {position} on the list.",
+  "waitlist.join": "Put me on the waitlist",
+  "waitlist.leave": "Leave waitlist",
+  "waitlist.explain":
+    "If the time frees up, the first person on the list is notified and has {minutes} minutes to book it before it opens to everyone.",
+  "waitlist.already": "You are already on the waitlist for this time.",
+  "waitlist.offline": "You are offline. The waitlist needs a connection.",
+  "waitlist.joinFailed": "Could not add you to the waitlist: {message}",
+  "waitlist.leaveFailed": "Could not remove you from the waitlist: {message}",
+  "waitlist.held": "This time just freed up and is held briefly for the first person on the waitlist. Try again shortly.",
+  "waitlist.offerTitle": "A time you are waiting for has freed up",
+  "waitlist.offerBody": "{room} • {day} {slot}. It is held for you until {until}.",
+  "waitlist.offerExpired": "The waitlist offer has expired. Someone else may have booked the time by now.",
+  "waitlist.bookNow": "Book now",
+  "waitlist.decline": "No thanks",
+
+  // Door tablet (kiosk)
+  "kiosk.free": "Free",
+  "kiosk.busy": "Busy",
+  "kiosk.closed": "Closed",
+  "kiosk.freeUntil": "Free until {time}",
+  "kiosk.freeRestOfDay": "Free for the rest of the day",
+  "kiosk.bookNow": "Book now ({slot})",
+  "kiosk.next": "Next booking",
+  "kiosk.noMore": "No more bookings today",
+  "kiosk.checkIn": "Check in",
+  "kiosk.checkInFor": "{name}: check in by {time}, or the room will be released.",
+  "kiosk.checkedIn": "Checked in",
+  "kiosk.checkInGone": "The booking no longer exists.",
+  "kiosk.checkInFailed": "Could not check in: {message}",
+  "kiosk.unknownRoom": "This room does not exist.",
+
+  // Live region (realtime changes by others)
+  "live.booked": "New booking: {room}, {day} {slot}, {name}",
+  "live.changed": "Booking changed: {room}, {day} {slot}, {name}",
+  "live.cancelled": "Booking cancelled: {room}, {day} {slot}, {name}",
+
+  // Cancelling from email
+  "cancelLink.title": "Cancel booking",
+  "cancelLink.cancelOne": "Cancel the booking",
+  "cancelLink.cancelSeries": "Cancel this and all following",
+  "cancelLink.done.one": "The booking is cancelled. You'll get a confirmation by email.",
+  "cancelLink.done.other": "{count} bookings are cancelled. You'll get a confirmation by email.",
+  "cancelLink.gone": "The booking no longer exists. It may already have been cancelled.",
+  "cancelLink.invalid": "The link is invalid. Use the link from your latest email.",
+  "cancelLink.failed": "Could not cancel right now. Please try again shortly.",
+  "cancelLink.toApp": "Go to the booking page",
+
+  // Public holidays (computed in hours.js)
+  "holiday.newYear": "New Year's Day",
+  "holiday.maundyThursday": "Maundy Thursday",
+  "holiday.goodFriday": "Good Friday",
+  "holiday.easterSunday": "Easter Sunday",
+  "holiday.easterMonday": "Easter Monday",
+  "holiday.greatPrayerDay": "Great Prayer Day",
+  "holiday.ascension": "Ascension Day",
+  "holiday.whitSunday": "Whit Sunday",
+  "holiday.whitMonday": "Whit Monday",
+  "holiday.christmasDay": "Christmas Day",
+  "holiday.boxingDay": "Boxing Day",
+
+  // main.jsx
+  "errorBoundary.title": "Something went wrong",
+  "errorBoundary.body": "Try reloading the page.",
+  "errorBoundary.reload": "Reload",
+};
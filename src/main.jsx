@@ -2,6 +2,7 @@ import React, { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { createI18n, getStoredLocale } from './i18n.js'
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -19,16 +20,18 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      // Uden for App (og dens sprog-context), så sproget læses direkte
+      const { t } = createI18n(getStoredLocale())
       return (
         <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
           <div className="max-w-md w-full bg-white rounded-2xl shadow-lg p-6 text-center">
-            <h1 className="text-xl font-bold text-slate-900 mb-2">Noget gik galt</h1>
-            <p className="text-slate-600 mb-4">Prøv at genindlæse siden.</p>
+            <h1 className="text-xl font-bold text-slate-900 mb-2">{t('errorBoundary.title')}</h1>
+            <p className="text-slate-600 mb-4">{t('errorBoundary.body')}</p>
             <button
               onClick={() => window.location.reload()}
               className="px-4 py-2 bg-blue-500 text-white rounded-lg font-medium hover:bg-blue-600 transition"
             >
-              Genindlæs
+              {t('errorBoundary.reload')}
             </button>
           </div>
         </div>
@@ -38,6 +41,13 @@ class ErrorBoundary extends React.Component {
   }
 }
 
+// PWA: kun i produktion, så dev-serveren ikke serverer gamle filer fra cachen
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.error('Service worker fejl:', err))
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <ErrorBoundary>
@@ -0,0 +1,108 @@
+// ------------------------
+// OFFLINE: CACHE OG KØ
+// ------------------------
+// Sidst kendte bookinger pr. lokale og en kø af ændringer (opret/slet) lavet
+// uden forbindelse. Alt ligger i localStorage, så det overlever en genindlæsning.
+
+const CACHE_PREFIX = "isk-booking-cache:";
+const PENDING_STORAGE_KEY = "isk-booking-pending";
+const ROOMS_CACHE_KEY = "isk-booking-cache-rooms";
+const SCHEDULE_CACHE_KEY = "isk-booking-cache-schedule";
+const RULES_CACHE_KEY = "isk-booking-cache-rules";
+
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Fuld eller blokeret localStorage: appen virker stadig, bare uden cache
+    console.warn("Kunne ikke gemme offline-data:", e);
+  }
+}
+
+// Lokalelisten skal også kunne vises uden forbindelse
+export function readCachedRooms() {
+  return readJSON(ROOMS_CACHE_KEY, null);
+}
+
+export function writeCachedRooms(rooms) {
+  writeJSON(ROOMS_CACHE_KEY, rooms);
+}
+
+// Åbningstider og lukkeperioder: samme form som normalizeSchedule() i hours.js
+export function readCachedSchedule() {
+  return readJSON(SCHEDULE_CACHE_KEY, null);
+}
+
+export function writeCachedSchedule(schedule) {
+  writeJSON(SCHEDULE_CACHE_KEY, schedule);
+}
+
+// Bookingregler: samme form som normalizeRules() i policy.js
+export function readCachedRules() {
+  return readJSON(RULES_CACHE_KEY, null);
+}
+
+export function writeCachedRules(rules) {
+  writeJSON(RULES_CACHE_KEY, rules);
+}
+
+// bookings: samme form som normalizeBookings() i App.jsx
+export function readCachedBookings(roomId) {
+  return readJSON(`${CACHE_PREFIX}${roomId}`, null);
+}
+
+export function writeCachedBookings(roomId, bookings) {
+  writeJSON(`${CACHE_PREFIX}${roomId}`, bookings);
+}
+
+// op: { id, type: "create" | "delete", booking: { roomId, date, startMins, endMins, name, ownerHash }, queuedAt }
+export function loadPendingOps() {
+  const ops = readJSON(PENDING_STORAGE_KEY, []);
+  return Array.isArray(ops) ? ops : [];
+}
+
+export function savePendingOps(ops) {
+  writeJSON(PENDING_STORAGE_KEY, ops);
+}
+
+export function createPendingOp(type, booking) {
+  return { id: crypto.randomUUID(), type, booking, queuedAt: new Date().toISOString() };
+}
+
+// Servers bookinger + køen: nye vises som "afventer", slettede markeres "afventer sletning"
+export function applyPendingOps(bookings, ops) {
+  const deleting = new Set(
+    ops.filter((op) => op.type === "delete").map((op) => `${op.booking.roomId}|${op.booking.date}|${op.booking.startMins}`)
+  );
+
+  const merged = bookings.map((b) =>
+    deleting.has(`${b.roomId}|${b.date}|${b.startMins}`) ? { ...b, pending: "delete" } : b
+  );
+  for (const op of ops) {
+    if (op.type === "create") merged.push({ ...op.booking, id: null, seriesId: null, pending: "create", pendingId: op.id });
+  }
+  return merged;
+}
+
+// supabase-js giver ingen særlig fejlkode, når netværket er væk
+export function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message ?? "");
+}
+
+// Pause før næste forsøg på en mislykket hentning: 2, 4, 8 … højst 60 sekunder
+const RETRY_BASE_MS = 2 * 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+export function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+}
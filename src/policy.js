@@ -0,0 +1,108 @@
+// ------------------------
+// BOOKINGREGLER
+// ------------------------
+// Samme regler som booking_rule_violation() i databasen, så modalen kan forklare en afvisning
+// med det samme. Serveren har sidste ord: den kender alle ugens bookinger, app'en kun dem,
+// der er hentet. En person er bookerens navn (uden forskel på store og små bogstaver).
+
+import { addDays, startOfWeekMonday, toISODate, todayISO, zonedDateTime } from "./calendar.js";
+
+// Det tidsrum, der er i gang nu, kan stadig bookes (samme grænse som i databasen)
+const PAST_GRACE_MINS = 30;
+
+// Venteliste: så længe holdes et ledigt tidsrum til den første på listen (samme som i databasen)
+export const WAITLIST_HOLD_MINS = 15;
+
+// Dør-tablet: så længe før start kan man tjekke ind (samme som check_in_booking i databasen)
+export const CHECK_IN_EARLY_MINS = 10;
+
+const NO_LIMITS = { maxDaysAhead: null, maxHoursPerWeek: null, maxDurationMins: null };
+
+export const DEFAULT_RULES = { defaultRules: NO_LIMITS, roomRules: {} };
+
+function normalizeRow(r) {
+  return {
+    maxDaysAhead: r.max_days_ahead ?? null,
+    maxHoursPerWeek: r.max_hours_per_week == null ? null : Number(r.max_hours_per_week),
+    maxDurationMins: r.max_duration_mins ?? null,
+  };
+}
+
+// Rækker fra booking_rules -> { defaultRules, roomRules }
+export function normalizeRules(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const defaultRow = list.find((r) => r.room_id == null);
+  const roomRules = {};
+  for (const r of list) {
+    if (r.room_id != null) roomRules[r.room_id] = normalizeRow(r);
+  }
+  return { defaultRules: defaultRow ? normalizeRow(defaultRow) : NO_LIMITS, roomRules };
+}
+
+// Et lokale med sin egen række bruger kun den; ellers standarden
+export function rulesFor(rules, roomId) {
+  return rules.roomRules[roomId] ?? rules.defaultRules;
+}
+
+function samePerson(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Mandag..søndag (som "YYYY-MM-DD") for ugen med `date`
+function weekRange(date) {
+  const monday = startOfWeekMonday(date);
+  return { from: toISODate(monday), to: toISODate(addDays(monday, 6)) };
+}
+
+// `ignore`: bookingen der rettes/flyttes, så den ikke tæller med to gange
+function isOther(b, ignore) {
+  return !(ignore && b.roomId === ignore.roomId && b.date === ignore.date && b.startMins === ignore.startMins);
+}
+
+// Bookingen plus personens bookinger lige før og efter i samme lokale (i minutter)
+function consecutiveMins(booking, bookings, ignore) {
+  const mine = bookings.filter(
+    (b) => b.roomId === booking.roomId && b.date === booking.date && samePerson(b.name, booking.name) && isOther(b, ignore)
+  );
+  let start = booking.startMins;
+  let end = booking.endMins;
+  for (let before = mine.find((b) => b.endMins === start); before; before = mine.find((b) => b.endMins === start)) {
+    start = before.startMins;
+  }
+  for (let after = mine.find((b) => b.startMins === end); after; after = mine.find((b) => b.startMins === end)) {
+    end = after.endMins;
+  }
+  return end - start;
+}
+
+// Den første regel bookingen bryder, eller null:
+// { rule: "past" } | { rule: "horizon", days } | { rule: "duration", mins } | { rule: "quota", hours }
+// booking: { roomId, date, startMins, endMins, name }; bookings: de kendte bookinger (alle lokaler)
+export function checkPolicy(rules, booking, bookings, { now = new Date(), ignore = null } = {}) {
+  if (zonedDateTime(booking.date, booking.startMins) < new Date(now.getTime() - PAST_GRACE_MINS * 60 * 1000)) {
+    return { rule: "past" };
+  }
+
+  const r = rulesFor(rules, booking.roomId);
+
+  if (r.maxDaysAhead != null) {
+    const latest = toISODate(addDays(todayISO(now), r.maxDaysAhead));
+    if (booking.date > latest) return { rule: "horizon", days: r.maxDaysAhead };
+  }
+
+  if (r.maxDurationMins != null && consecutiveMins(booking, bookings, ignore) > r.maxDurationMins) {
+    return { rule: "duration", mins: r.maxDurationMins };
+  }
+
+  if (r.maxHoursPerWeek != null) {
+    const { from, to } = weekRange(booking.date);
+    const usedMins = bookings
+      .filter((b) => b.date >= from && b.date <= to && samePerson(b.name, booking.name) && isOther(b, ignore))
+      .reduce((sum, b) => sum + (b.endMins - b.startMins), 0);
+    if (usedMins + (booking.endMins - booking.startMins) > r.maxHoursPerWeek * 60) {
+      return { rule: "quota", hours: r.maxHoursPerWeek };
+    }
+  }
+
+  return null;
+}
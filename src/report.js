@@ -0,0 +1,194 @@
+// ------------------------
+// RAPPORT: UDNYTTELSE AF LOKALER
+// ------------------------
+// Rene funktioner (ingen React/Supabase): samler bookinger pr. lokale, ugedag,
+// time og booker, og beregner belægning i forhold til lokalernes åbningstider.
+// Tekster (ugedage, CSV-overskrifter) kommer fra i18n-objektet fra createI18n().
+
+import { addDays, minutesToHHMM, pad2, toISODate, weekdayIndex } from "./calendar.js";
+import { dayClosure, openingHoursFor } from "./hours.js";
+
+// Alle datoer fra og med `from` til og med `to`
+export function datesInRange(from, to) {
+  const days = [];
+  for (let iso = from; iso <= to; iso = toISODate(addDays(iso, 1))) days.push(iso);
+  return days;
+}
+
+function overlapMins(aStart, aEnd, bStart, bEnd) {
+  return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+}
+
+function occupancy(booked, available) {
+  return available > 0 ? booked / available : 0;
+}
+
+// Lokalets åbningstid den dag, eller null på en helligdag, i en lukkeperiode og på en lukket ugedag
+function openWindow(schedule, roomId, date) {
+  return dayClosure(schedule, roomId, date) ? null : openingHoursFor(schedule, roomId, date);
+}
+
+// bookings: [{ roomId, date, startMins, endMins, name }] (allerede filtreret på periode)
+// rooms: [{ id, name, capacity }], schedule: åbningstider og lukkedage (se hours.js).
+// Belægning måles mod hvert lokales åbningstid dag for dag; kun tid inden for den tæller.
+export function buildUtilizationReport({ bookings, rooms, from, to, schedule }) {
+  const dates = datesInRange(from, to);
+
+  const byRoom = new Map(rooms.map((r) => [r.id, { room: r, bookedMins: 0, availableMins: 0, count: 0 }]));
+  const byWeekday = Array.from({ length: 7 }, (_, weekday) => ({ weekday, bookedMins: 0, availableMins: 0, count: 0 }));
+  const byHour = new Map(); // time -> { hour, bookedMins, availableMins }
+  const hourRow = (hour) => {
+    if (!byHour.has(hour)) byHour.set(hour, { hour, bookedMins: 0, availableMins: 0 });
+    return byHour.get(hour);
+  };
+
+  // Åbningstiden pr. dag og lokale: date -> roomId -> { openMins, closeMins } (kun åbne lokaler)
+  const windows = new Map();
+  let openDays = 0;
+  for (const date of dates) {
+    const dayWindows = new Map();
+    for (const room of rooms) {
+      const hours = openWindow(schedule, room.id, date);
+      if (!hours || hours.closeMins <= hours.openMins) continue;
+      dayWindows.set(room.id, hours);
+
+      const mins = hours.closeMins - hours.openMins;
+      byRoom.get(room.id).availableMins += mins;
+      byWeekday[weekdayIndex(date)].availableMins += mins;
+      for (let h = Math.floor(hours.openMins / 60); h * 60 < hours.closeMins; h += 1) {
+        hourRow(h).availableMins += overlapMins(h * 60, (h + 1) * 60, hours.openMins, hours.closeMins);
+      }
+    }
+    windows.set(date, dayWindows);
+    if (dayWindows.size > 0) openDays += 1;
+  }
+
+  const byBooker = new Map();
+  let totalMins = 0;
+
+  for (const b of bookings) {
+    const hours = windows.get(b.date)?.get(b.roomId);
+    if (!hours) continue;
+
+    // Kun tid inden for lokalets åbningstid tæller med
+    const mins = overlapMins(b.startMins, b.endMins, hours.openMins, hours.closeMins);
+    if (mins === 0) continue;
+    totalMins += mins;
+
+    const room = byRoom.get(b.roomId);
+    room.bookedMins += mins;
+    room.count += 1;
+
+    const wd = byWeekday[weekdayIndex(b.date)];
+    wd.bookedMins += mins;
+    wd.count += 1;
+
+    for (let h = Math.floor(hours.openMins / 60); h * 60 < hours.closeMins; h += 1) {
+      const hourStart = Math.max(h * 60, hours.openMins);
+      const hourEnd = Math.min((h + 1) * 60, hours.closeMins);
+      hourRow(h).bookedMins += overlapMins(b.startMins, b.endMins, hourStart, hourEnd);
+    }
+
+    // Navne sammenlignes uden forskel på store/små bogstaver
+    const bookerKey = b.name.trim().toLocaleLowerCase("da");
+    const booker = byBooker.get(bookerKey) ?? { name: b.name.trim(), bookedMins: 0, count: 0 };
+    booker.bookedMins += mins;
+    booker.count += 1;
+    byBooker.set(bookerKey, booker);
+  }
+
+  const availableMins = [...byRoom.values()].reduce((sum, r) => sum + r.availableMins, 0);
+  const withOccupancy = (row) => ({ ...row, occupancy: occupancy(row.bookedMins, row.availableMins) });
+
+  return {
+    from,
+    to,
+    openDays,
+    totalMins,
+    totalOccupancy: occupancy(totalMins, availableMins),
+    byRoom: [...byRoom.values()].map(withOccupancy),
+    // Hverdage altid; lørdag og søndag kun, når et lokale har haft åbent
+    byWeekday: byWeekday.filter((w) => w.weekday < 5 || w.availableMins > 0).map(withOccupancy),
+    byHour: [...byHour.values()].sort((a, b) => a.hour - b.hour).map(withOccupancy),
+    byBooker: [...byBooker.values()]
+      .map((b) => ({ ...b, share: occupancy(b.bookedMins, totalMins) }))
+      .sort((a, b) => b.bookedMins - a.bookedMins),
+  };
+}
+
+// ------------------------
+// CSV
+// ------------------------
+// Skilletegn og decimaltegn følger sproget (i18n.csv), så filen åbner korrekt i Excel:
+// dansk = semikolon og decimalkomma, engelsk = komma og punktum.
+
+function csvCell(value, separator) {
+  const text = value == null ? "" : String(value);
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvNumber(n, decimal, decimals = 1) {
+  return n.toFixed(decimals).replace(".", decimal);
+}
+
+function toCSV(rows, separator) {
+  return rows.map((row) => row.map((cell) => csvCell(cell, separator)).join(separator)).join("\r\n") + "\r\n";
+}
+
+export function bookingsToCSV(bookings, roomsById, i18n) {
+  const { t } = i18n;
+  const header = [t("csv.room"), t("csv.date"), t("csv.weekday"), t("csv.start"), t("csv.end"), t("csv.minutes"), t("csv.bookedBy")];
+  const rows = [...bookings]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMins - b.startMins || a.roomId.localeCompare(b.roomId))
+    .map((b) => [
+      roomsById.get(b.roomId)?.name ?? b.roomId,
+      b.date,
+      i18n.weekdayName(weekdayIndex(b.date)),
+      minutesToHHMM(b.startMins),
+      minutesToHHMM(b.endMins),
+      b.endMins - b.startMins,
+      b.name,
+    ]);
+  return toCSV([header, ...rows], i18n.csv.separator);
+}
+
+export function reportToCSV(report, i18n) {
+  const { t } = i18n;
+  const hours = (mins) => csvNumber(mins / 60, i18n.csv.decimal);
+  const pct = (ratio) => csvNumber(ratio * 100, i18n.csv.decimal);
+
+  const rows = [[t("csv.group"), t("csv.key"), t("csv.count"), t("csv.bookedHours"), t("csv.openHours"), t("csv.occupancy")]];
+  for (const r of report.byRoom) {
+    rows.push([t("csv.groupRoom"), r.room.name, r.count, hours(r.bookedMins), hours(r.availableMins), pct(r.occupancy)]);
+  }
+  for (const w of report.byWeekday) {
+    rows.push([
+      t("csv.groupWeekday"),
+      i18n.weekdayName(w.weekday),
+      w.count,
+      hours(w.bookedMins),
+      hours(w.availableMins),
+      pct(w.occupancy),
+    ]);
+  }
+  for (const h of report.byHour) {
+    rows.push([t("csv.groupHour"), `${pad2(h.hour)}:00`, "", hours(h.bookedMins), hours(h.availableMins), pct(h.occupancy)]);
+  }
+  for (const b of report.byBooker) {
+    rows.push([t("csv.groupBooker"), b.name, b.count, hours(b.bookedMins), "", pct(b.share)]);
+  }
+  return toCSV(rows, i18n.csv.separator);
+}
+
+export function downloadCSV(filename, text) {
+  // BOM, så Excel læser æ/ø/å som UTF-8
+  const blob = new Blob(["\uFEFF", text], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
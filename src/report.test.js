@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { normalizeSchedule } from "./hours.js";
+import { buildUtilizationReport } from "./report.js";
+
+// Standard: Man–Fre 08–17 og lørdag 10–14. Lokale B har egne tider: Man–Fre 09–12.
+// Lokale A er lukket onsdag 21. oktober.
+const schedule = normalizeSchedule(
+  [
+    ...[1, 2, 3, 4, 5].map((weekday) => ({ room_id: null, weekday, open_mins: 8 * 60, close_mins: 17 * 60 })),
+    { room_id: null, weekday: 6, open_mins: 10 * 60, close_mins: 14 * 60 },
+    ...[1, 2, 3, 4, 5].map((weekday) => ({ room_id: "b", weekday, open_mins: 9 * 60, close_mins: 12 * 60 })),
+  ],
+  [{ room_id: "a", start_date: "2026-10-21", end_date: "2026-10-21", reason: "Maling" }]
+);
+
+const rooms = [
+  { id: "a", name: "A" },
+  { id: "b", name: "B" },
+];
+
+function report(bookings, range = { from: "2026-10-19", to: "2026-10-25" }) {
+  return buildUtilizationReport({ bookings, rooms, schedule, ...range });
+}
+
+describe("buildUtilizationReport", () => {
+  const bookings = [
+    { roomId: "a", date: "2026-10-24", startMins: 10 * 60, endMins: 12 * 60, name: "Lørdag" },
+    { roomId: "a", date: "2026-10-21", startMins: 9 * 60, endMins: 10 * 60, name: "Lukket dag" },
+    { roomId: "b", date: "2026-10-19", startMins: 8 * 60, endMins: 10 * 60, name: "Tidlig" },
+  ];
+
+  it("måler hvert lokale mod dets egne åbningstider og lukkedage", () => {
+    const r = report(bookings);
+    const [a, b] = r.byRoom;
+    expect(a.availableMins).toBe(4 * 540 + 240);
+    expect(a.bookedMins).toBe(120);
+    expect(b.availableMins).toBe(5 * 180);
+    expect(b.bookedMins).toBe(60); // kun 09–10 ligger inden for B's åbningstid
+    expect(r.totalMins).toBe(180);
+    expect(r.totalOccupancy).toBeCloseTo(180 / (4 * 540 + 240 + 5 * 180));
+    expect(r.openDays).toBe(6);
+  });
+
+  it("tager lørdag med, når der er åbent, og udelader en lukket søndag", () => {
+    const weekdays = report(bookings).byWeekday;
+    expect(weekdays.map((w) => w.weekday)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(weekdays[5]).toMatchObject({ bookedMins: 120, availableMins: 240, occupancy: 0.5 });
+    expect(weekdays[2].availableMins).toBe(180); // kun B har åbent onsdag
+  });
+
+  it("fordeler åbningstiden pr. time", () => {
+    const byHour = new Map(report(bookings).byHour.map((h) => [h.hour, h]));
+    expect(byHour.get(8).availableMins).toBe(4 * 60);
+    expect(byHour.get(9)).toMatchObject({ availableMins: 4 * 60 + 5 * 60, bookedMins: 60 });
+    expect(byHour.get(10)).toMatchObject({ availableMins: 4 * 60 + 60 + 5 * 60, bookedMins: 60 });
+    expect(byHour.has(17)).toBe(false);
+  });
+
+  it("tæller ikke helligdage som åbningstid", () => {
+    // 24.–26. december 2026: torsdag, juledag (fredag) og 2. juledag (lørdag)
+    const r = report(
+      [{ roomId: "a", date: "2026-12-25", startMins: 9 * 60, endMins: 10 * 60, name: "Jul" }],
+      { from: "2026-12-24", to: "2026-12-26" }
+    );
+    expect(r.openDays).toBe(1);
+    expect(r.byRoom[0].availableMins).toBe(540);
+    expect(r.totalMins).toBe(0);
+  });
+});
@@ -0,0 +1,37 @@
+// ------------------------
+// LAGRING
+// ------------------------
+// Al læsning og skrivning af data går gennem `storage`, så app'en ikke ved, hvor data ligger.
+// Backenden vælges med VITE_STORAGE (i .env eller på kommandolinjen):
+//
+//   supabase  Supabase med VITE_SUPABASE_URL og VITE_SUPABASE_ANON_KEY (se supabase.js)
+//   local     i browserens localStorage, delt mellem faner, med demo-bookinger (se local.js)
+//   memory    kun i hukommelsen og uden demo-bookinger: starter forfra ved hver indlæsning (UI-tests)
+//
+// Uden VITE_STORAGE bruges Supabase, når nøglerne er sat, og ellers local, så app'en også
+// kan køre uden en Supabase-konto (fx `VITE_STORAGE=local npm run dev`).
+//
+// Alle metoder giver et Promise med { data, error } som Supabase: rækker i snake_case og
+// Postgres' fejlkoder i error.code. subscribe() giver en funktion, der stopper abonnementet,
+// og melder "connected"/"disconnected" til en valgfri onStatus, når kanalens forbindelse skifter,
+// og "closed", når abonnementet stoppes.
+// isAdmin() fortæller, om brugeren må rette og slette alle bookinger (databasen tjekker det igen).
+// features fortæller, hvad backenden kan ud over bookinger (e-mails, kalender-feed).
+
+import { createLocalStorage } from "./local.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+function chooseBackend(env) {
+  if (env.VITE_STORAGE) return env.VITE_STORAGE;
+  return env.VITE_SUPABASE_URL && env.VITE_SUPABASE_ANON_KEY ? "supabase" : "local";
+}
+
+function createStorage(env) {
+  const backend = chooseBackend(env);
+  if (backend === "supabase") return createSupabaseStorage(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY);
+  if (backend === "memory") return createLocalStorage();
+  if (backend !== "local") console.warn(`Ukendt VITE_STORAGE "${backend}", bruger local`);
+  return createLocalStorage({ store: window.localStorage, demo: true });
+}
+
+export const storage = createStorage(import.meta.env);
@@ -0,0 +1,653 @@
+// ------------------------
+// LAGRING: LOKALT I BROWSEREN
+// ------------------------
+// Til udvikling uden Supabase, demo og automatiske UI-tests. Tabellerne ligger som JSON i
+// localStorage (eller kun i hukommelsen), og ændringer sendes til de andre faner med
+// BroadcastChannel, så realtime virker på samme måde som med Supabase.
+//
+// Svarene har samme form som Supabase' ({ data, error }, rækker i snake_case), og databasens
+// regler efterlignes med de samme fejlkoder: overlap (23P01), lukket (23514), bookingregler og
+// venteliste-hold (P0001 med HINT), ejer-nøgle (42501) og "findes ikke" (P0002). Reglerne
+// kommer fra hours.js og policy.js, som app'en også bruger. Der sendes ingen mails, og der er
+// intet kalender-feed.
+
+import { addDays, rangesOverlap, startOfWeekMonday, toISODate, todayISO, zonedDateTime } from "../calendar.js";
+import { closedReason, normalizeSchedule } from "../hours.js";
+import { CHECK_IN_EARLY_MINS, WAITLIST_HOLD_MINS, checkPolicy, normalizeRules } from "../policy.js";
+
+const STORAGE_KEY = "isk-booking-local-db";
+const CHANNEL_NAME = "isk-booking-local";
+
+const OPEN_WAITLIST_STATUSES = ["waiting", "offered"];
+
+// Samme lokaler som migrationen opretter
+const ROOMS = [
+  { id: "lokale-301", name: "Lokale 301", capacity: 22, floor: 3, equipment: [], active: true, sort_order: 1, check_in_grace_mins: 10 },
+  { id: "lokale-308", name: "Lokale 308", capacity: 6, floor: 3, equipment: [], active: true, sort_order: 2, check_in_grace_mins: 10 },
+  { id: "lokale-315", name: "Lokale 315", capacity: 6, floor: 3, equipment: [], active: true, sort_order: 3, check_in_grace_mins: 10 },
+];
+
+// Demo: lidt at se på i denne uge (uden ejer, så de ikke kan slettes)
+const DEMO_BOOKINGS = [
+  { room_id: "lokale-301", weekday: 0, start_mins: 9 * 60, end_mins: 10 * 60, name: "Morgenmøde" },
+  { room_id: "lokale-301", weekday: 2, start_mins: 13 * 60, end_mins: 15 * 60, name: "Afdelingsmøde" },
+  { room_id: "lokale-308", weekday: 1, start_mins: 10 * 60, end_mins: 11 * 60 + 30, name: "Anna" },
+  { room_id: "lokale-308", weekday: 3, start_mins: 8 * 60 + 30, end_mins: 9 * 60, name: "Jens" },
+  { room_id: "lokale-315", weekday: 4, start_mins: 14 * 60, end_mins: 16 * 60, name: "Projektgruppe" },
+];
+
+function emptyDb() {
+  return {
+    rooms: ROOMS,
+    opening_hours: [],
+    closures: [],
+    booking_rules: [],
+    bookings: [],
+    booking_series: [],
+    booking_audit: [],
+    booking_waitlist: [],
+    booking_contacts: [],
+    next_id: 1,
+  };
+}
+
+function demoBookings(now) {
+  const monday = startOfWeekMonday(todayISO(now));
+  return DEMO_BOOKINGS.map(({ weekday, ...b }) => ({
+    ...b,
+    id: crypto.randomUUID(),
+    date: toISODate(addDays(monday, weekday)),
+    series_id: null,
+    owner_hash: null,
+    checked_in_at: null,
+    deleted_at: null,
+    created_at: now.toISOString(),
+    updated_at: null,
+  }));
+}
+
+// Som fejlene fra PostgREST
+function fail(code, message, hint = null) {
+  return { data: null, error: { code, message, hint } };
+}
+
+function ok(data) {
+  return { data, error: null };
+}
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBooking(row) {
+  return { roomId: row.room_id, date: row.date, startMins: row.start_mins, endMins: row.end_mins, name: row.name };
+}
+
+function isOpen(w) {
+  return OPEN_WAITLIST_STATUSES.includes(w.status);
+}
+
+// store: localStorage eller null (kun i hukommelsen, fx til tests). demo: læg demo-bookinger ind
+// første gang. now: uret (en test kan give et fast tidspunkt).
+export function createLocalStorage({ store = null, demo = false, now = () => new Date() } = {}) {
+  let memoryDb = null;
+  const listeners = new Set();
+  const channel = store && typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  function load() {
+    if (!store) {
+      memoryDb ??= { ...emptyDb(), bookings: demo ? demoBookings(now()) : [] };
+      return memoryDb;
+    }
+    try {
+      const saved = JSON.parse(store.getItem(STORAGE_KEY));
+      if (saved) return saved;
+    } catch {
+      // Ødelagt JSON: start forfra
+    }
+    const fresh = { ...emptyDb(), bookings: demo ? demoBookings(now()) : [] };
+    store.setItem(STORAGE_KEY, JSON.stringify(fresh));
+    return fresh;
+  }
+
+  // Ændringerne gemmes samlet og sendes bagefter, så en fane aldrig ser en halv ændring
+  function commit(db, changes) {
+    if (store) store.setItem(STORAGE_KEY, JSON.stringify(db));
+    for (const change of changes) {
+      notify(change);
+      channel?.postMessage(change);
+    }
+  }
+
+  function notify({ table, payload }) {
+    for (const l of listeners) {
+      if (l.table !== table) continue;
+      // Som REPLICA IDENTITY FULL i databasen: en ændring matcher filteret på den nye eller den gamle række,
+      // så en booking flyttet til et andet lokale også når dem, der ser det gamle
+      const matches = (row) => l.filter.every(([column, value]) => row?.[column] === value);
+      if (matches(payload.new) || matches(payload.old)) l.onChange(payload);
+    }
+  }
+
+  channel?.addEventListener("message", (e) => notify(e.data));
+
+  function nextId(db) {
+    return db.next_id++;
+  }
+
+  // Samme som app.actor i databasen: browser:<starten af owner_hash>
+  function browserActor(ownerHash) {
+    return ownerHash ? `browser:${ownerHash.slice(0, 8)}` : "ukendt";
+  }
+
+  function audit(db, changes, action, oldRow, newRow, actor) {
+    const row = newRow ?? oldRow;
+    db.booking_audit.push({
+      id: nextId(db),
+      booking_id: row.id,
+      room_id: row.room_id,
+      date: row.date,
+      action,
+      old_data: oldRow,
+      new_data: newRow,
+      actor,
+      changed_at: now().toISOString(),
+    });
+    changes.push({
+      table: "bookings",
+      payload: { eventType: action === "insert" ? "INSERT" : "UPDATE", new: newRow, old: oldRow ?? {} },
+    });
+  }
+
+  function setWaitlist(db, changes, entry, fields) {
+    const old = { ...entry };
+    Object.assign(entry, fields);
+    changes.push({ table: "booking_waitlist", payload: { eventType: "UPDATE", new: { ...entry }, old } });
+  }
+
+  function activeOffers(db, roomId, date, startMins, endMins) {
+    const at = now().toISOString();
+    return db.booking_waitlist.filter(
+      (w) =>
+        w.room_id === roomId &&
+        w.date === date &&
+        w.status === "offered" &&
+        w.offer_expires_at > at &&
+        rangesOverlap(w.start_mins, w.end_mins, startMins, endMins)
+    );
+  }
+
+  // offer_waitlist_slot(): den første på listen, hvis hele dens tidsrum nu er ledigt
+  function offerSlot(db, changes, roomId, date, startMins, endMins) {
+    const entry = db.booking_waitlist
+      .filter(
+        (w) =>
+          w.room_id === roomId &&
+          w.date === date &&
+          w.status === "waiting" &&
+          rangesOverlap(w.start_mins, w.end_mins, startMins, endMins) &&
+          !db.bookings.some(
+            (b) =>
+              !b.deleted_at &&
+              b.room_id === w.room_id &&
+              b.date === w.date &&
+              rangesOverlap(b.start_mins, b.end_mins, w.start_mins, w.end_mins)
+          ) &&
+          activeOffers(db, w.room_id, w.date, w.start_mins, w.end_mins).length === 0
+      )
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+    if (!entry) return;
+
+    const at = now();
+    setWaitlist(db, changes, entry, {
+      status: "offered",
+      offered_at: at.toISOString(),
+      offer_expires_at: new Date(at.getTime() + WAITLIST_HOLD_MINS * 60 * 1000).toISOString(),
+    });
+  }
+
+  // Databasens tjek før en booking gemmes (lukket, regler, venteliste-hold, overlap).
+  // planned: bookinger fra samme insert, der endnu ikke er gemt. ownerProven: ejer-nøglen er
+  // tjekket (ret, gendan, tilbud fra ventelisten), så bookerens eget tilbud holder ikke tidsrummet
+  function violation(db, row, { ignoreId = null, planned = [], ownerProven = false } = {}) {
+    if (!row.name?.trim()) return fail("23514", "Navn mangler");
+
+    const schedule = normalizeSchedule(db.opening_hours, db.closures);
+    if (closedReason(schedule, row.room_id, row.date, row.start_mins, row.end_mins)) {
+      return fail("23514", "Lokalet er lukket");
+    }
+
+    const broken = policyViolation(db, row, { ignoreId, planned });
+    if (broken) return broken;
+
+    const others = db.bookings.filter((b) => !b.deleted_at && b.id !== ignoreId);
+    const held = activeOffers(db, row.room_id, row.date, row.start_mins, row.end_mins);
+    if (held.some((w) => !ownerProven || w.owner_hash !== row.owner_hash)) {
+      return fail("P0001", "Tidsrummet er holdt til den første på ventelisten", "held");
+    }
+
+    const overlap = [...others, ...planned].some(
+      (b) => b.room_id === row.room_id && b.date === row.date && rangesOverlap(b.start_mins, b.end_mins, row.start_mins, row.end_mins)
+    );
+    if (overlap) return fail("23P01", 'conflicting key value violates exclusion constraint "bookings_no_overlap"');
+
+    return null;
+  }
+
+  // Kun bookingreglerne (check_booking_policy): også når en booking får et andet navn, da
+  // kvoten og længden tælles pr. person
+  function policyViolation(db, row, { ignoreId = null, planned = [] } = {}) {
+    const others = db.bookings.filter((b) => !b.deleted_at && b.id !== ignoreId);
+    const broken = checkPolicy(normalizeRules(db.booking_rules), toBooking(row), [...others, ...planned].map(toBooking), {
+      now: now(),
+    });
+    return broken ? fail("P0001", `Bookingen bryder en bookingregel (${broken.rule})`, broken.rule) : null;
+  }
+
+  // Bookerens egne pladser på ventelisten for tidsrummet er brugt (kun når ejer-nøglen er tjekket)
+  function claimWaitlist(db, changes, row) {
+    for (const w of db.booking_waitlist) {
+      if (
+        w.room_id === row.room_id &&
+        w.date === row.date &&
+        isOpen(w) &&
+        w.owner_hash === row.owner_hash &&
+        rangesOverlap(w.start_mins, w.end_mins, row.start_mins, row.end_mins)
+      ) {
+        setWaitlist(db, changes, w, { status: "claimed" });
+      }
+    }
+  }
+
+  function newBookingRow(fields) {
+    return {
+      id: crypto.randomUUID(),
+      series_id: null,
+      owner_hash: null,
+      checked_in_at: null,
+      deleted_at: null,
+      updated_at: null,
+      ...fields,
+      created_at: now().toISOString(),
+    };
+  }
+
+  function softDelete(db, changes, target, actor) {
+    const old = { ...target };
+    target.deleted_at = now().toISOString();
+    audit(db, changes, "delete", old, { ...target }, actor);
+    offerSlot(db, changes, old.room_id, old.date, old.start_mins, old.end_mins);
+  }
+
+  function findActive(db, roomId, date, startMins) {
+    return db.bookings.find((b) => !b.deleted_at && b.room_id === roomId && b.date === date && b.start_mins === startMins);
+  }
+
+  // tokenHash beregnes før load(), så intet venter mellem læsning og commit()
+  function ownerMatches(ownerHash, tokenHash) {
+    return Boolean(ownerHash && tokenHash && ownerHash === tokenHash);
+  }
+
+  function hashToken(ownerToken) {
+    return ownerToken ? sha256Hex(ownerToken) : Promise.resolve(null);
+  }
+
+  function byDateAndStart(a, b) {
+    return a.date.localeCompare(b.date) || a.start_mins - b.start_mins;
+  }
+
+  function pick(row, columns) {
+    return Object.fromEntries(columns.map((c) => [c, row[c] ?? null]));
+  }
+
+  const BOOKING_COLUMNS = ["id", "room_id", "date", "start_mins", "end_mins", "name", "series_id", "owner_hash", "checked_in_at"];
+  const WAITLIST_COLUMNS = ["id", "room_id", "date", "start_mins", "end_mins", "name", "owner_hash", "status", "offer_expires_at", "created_at"];
+
+  return {
+    backend: store ? "local" : "memory",
+    features: { email: false, icalFeed: false },
+
+    // Ingen logins lokalt: alle retter kun deres egne bookinger
+    async isAdmin() {
+      return ok(false);
+    },
+
+    async listRooms() {
+      return ok(load().rooms.filter((r) => r.active).sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name)));
+    },
+
+    async listOpeningHours() {
+      return ok(load().opening_hours);
+    },
+
+    async listClosures() {
+      return ok(load().closures);
+    },
+
+    async listRules() {
+      return ok(load().booking_rules);
+    },
+
+    async listBookings({ roomId, date, from, to, name, nameContains, limit } = {}) {
+      const exact = name?.toLowerCase();
+      const part = nameContains?.toLowerCase();
+      const rows = load()
+        .bookings.filter(
+          (b) =>
+            !b.deleted_at &&
+            (!roomId || b.room_id === roomId) &&
+            (!date || b.date === date) &&
+            (!from || b.date >= from) &&
+            (!to || b.date <= to) &&
+            (!exact || b.name.toLowerCase() === exact) &&
+            (!part || b.name.toLowerCase().includes(part))
+        )
+        .sort(byDateAndStart)
+        .map((b) => pick(b, BOOKING_COLUMNS));
+      return ok(limit ? rows.slice(0, limit) : rows);
+    },
+
+    async getBooking(id) {
+      const row = load().bookings.find((b) => b.id === id);
+      return ok(row ? pick(row, [...BOOKING_COLUMNS, "deleted_at"]) : null);
+    },
+
+    async createBookings(rows) {
+      const db = load();
+      const changes = [];
+      const created = [];
+      for (const r of rows) {
+        // Som policy'en "Anyone can create bookings": en ny booking er hverken tjekket ind eller aflyst
+        if (r.checked_in_at || r.deleted_at) {
+          return fail("42501", 'new row violates row-level security policy for table "bookings"');
+        }
+        const row = newBookingRow(r);
+        const broken = violation(db, row, { planned: created });
+        if (broken) return broken;
+        created.push(row);
+      }
+
+      for (const row of created) {
+        db.bookings.push(row);
+        audit(db, changes, "insert", null, { ...row }, browserActor(row.owner_hash));
+      }
+      commit(db, changes);
+      return ok(created.map((row) => ({ id: row.id, date: row.date })));
+    },
+
+    async cancelBooking({ roomId, date, startMins, ownerToken, scope = "one" }) {
+      const tokenHash = await hashToken(ownerToken);
+      const db = load();
+      const target = findActive(db, roomId, date, startMins);
+      if (!target) return ok(0);
+      if (!ownerMatches(target.owner_hash, tokenHash)) return fail("42501", "Du kan ikke slette denne booking");
+
+      const changes = [];
+      const actor = browserActor(tokenHash);
+      let deleted = 0;
+      if (scope === "following" && target.series_id) {
+        const rows = db.bookings.filter(
+          (b) => b.series_id === target.series_id && b.date >= target.date && !b.deleted_at && b.owner_hash === target.owner_hash
+        );
+        for (const b of rows) softDelete(db, changes, b, actor);
+        deleted = rows.length;
+
+        const series = db.booking_series.find((s) => s.id === target.series_id);
+        if (series) {
+          series.until_date = toISODate(addDays(target.date, -1));
+          series.occurrence_count = null;
+        }
+      } else {
+        softDelete(db, changes, target, actor);
+        deleted = 1;
+      }
+      commit(db, changes);
+      return ok(deleted);
+    },
+
+    async updateBooking({ roomId, date, startMins, ownerToken }, next) {
+      const tokenHash = await hashToken(ownerToken);
+      const db = load();
+      const target = findActive(db, roomId, date, startMins);
+      if (!target) return fail("P0002", "Bookingen findes ikke længere");
+      if (!ownerMatches(target.owner_hash, tokenHash)) return fail("42501", "Du kan ikke ændre denne booking");
+      if (!next.name?.trim()) return fail("22023", "Navn mangler");
+
+      const old = { ...target };
+      const updated = {
+        ...target,
+        room_id: next.roomId,
+        date: next.date,
+        start_mins: next.startMins,
+        end_mins: next.endMins,
+        name: next.name.trim(),
+        updated_at: now().toISOString(),
+      };
+      const moved =
+        old.room_id !== updated.room_id ||
+        old.date !== updated.date ||
+        old.start_mins !== updated.start_mins ||
+        old.end_mins !== updated.end_mins;
+      const renamed = old.name.trim().toLowerCase() !== updated.name.toLowerCase();
+      if (moved || renamed) {
+        const broken = moved
+          ? violation(db, updated, { ignoreId: target.id, ownerProven: true })
+          : policyViolation(db, updated, { ignoreId: target.id });
+        if (broken) return broken;
+      }
+
+      const changes = [];
+      Object.assign(target, updated);
+      audit(db, changes, "update", old, { ...target }, browserActor(tokenHash));
+      if (moved) {
+        claimWaitlist(db, changes, target);
+        offerSlot(db, changes, old.room_id, old.date, old.start_mins, old.end_mins);
+      }
+      commit(db, changes);
+      return ok(pick(target, BOOKING_COLUMNS));
+    },
+
+    async restoreBooking(bookingId, ownerToken) {
+      const tokenHash = await hashToken(ownerToken);
+      const db = load();
+      const target = db.bookings.find((b) => b.id === bookingId && b.deleted_at);
+      if (!target) return fail("P0002", "Bookingen kan ikke gendannes");
+      if (!ownerMatches(target.owner_hash, tokenHash)) return fail("42501", "Du kan ikke gendanne denne booking");
+
+      const broken = violation(db, { ...target, deleted_at: null }, { ignoreId: target.id, ownerProven: true });
+      if (broken) return broken;
+
+      const changes = [];
+      const old = { ...target };
+      target.deleted_at = null;
+      audit(db, changes, "restore", old, { ...target }, browserActor(tokenHash));
+      claimWaitlist(db, changes, target);
+      commit(db, changes);
+      return ok(pick(target, BOOKING_COLUMNS));
+    },
+
+    // Alle ved døren må tjekke ind: fra 10 minutter før start, til bookingen slutter
+    async checkInBooking({ roomId, date, startMins }) {
+      const db = load();
+      const target = findActive(db, roomId, date, startMins);
+      if (!target) return fail("P0002", "Bookingen findes ikke længere");
+      if (target.checked_in_at) return ok(pick(target, BOOKING_COLUMNS));
+
+      const at = now();
+      const start = zonedDateTime(target.date, target.start_mins);
+      const end = zonedDateTime(target.date, target.end_mins);
+      if (at < new Date(start.getTime() - CHECK_IN_EARLY_MINS * 60 * 1000) || at >= end) {
+        return fail("22023", "Der kan kun tjekkes ind lige før og under bookingen");
+      }
+
+      const changes = [];
+      const old = { ...target };
+      target.checked_in_at = at.toISOString();
+      audit(db, changes, "checkin", old, { ...target }, "kiosk");
+      commit(db, changes);
+      return ok(pick(target, BOOKING_COLUMNS));
+    },
+
+    // Dagens bookinger i lokaler med check-in, hvor ingen tjekkede ind inden for fristen
+    async releaseNoShows() {
+      const db = load();
+      const at = now();
+      const today = todayISO(at);
+      const changes = [];
+      let released = 0;
+      for (const b of db.bookings) {
+        const grace = db.rooms.find((r) => r.id === b.room_id)?.check_in_grace_mins;
+        if (!grace || b.deleted_at || b.checked_in_at || b.date !== today) continue;
+        const from = Math.max(zonedDateTime(b.date, b.start_mins).getTime(), Date.parse(b.created_at ?? 0) || 0);
+        if (from + grace * 60 * 1000 < at.getTime()) {
+          softDelete(db, changes, b, "auto-release");
+          released++;
+        }
+      }
+      if (released > 0) commit(db, changes);
+      return ok(released);
+    },
+
+    async createSeries(row) {
+      const db = load();
+      const series = { ...row, id: crypto.randomUUID(), created_at: now().toISOString() };
+      db.booking_series.push(series);
+      commit(db, []);
+      return ok({ id: series.id });
+    },
+
+    async deleteSeries(id) {
+      const db = load();
+      db.booking_series = db.booking_series.filter((s) => s.id !== id);
+      commit(db, []);
+      return ok(null);
+    },
+
+    async listHistory({ roomId, date, limit }) {
+      const rows = load()
+        .booking_audit.filter((h) => (h.room_id === roomId || h.old_data?.room_id === roomId) && (!date || h.date === date))
+        .sort((a, b) => b.changed_at.localeCompare(a.changed_at) || b.id - a.id);
+      return ok(rows.slice(0, limit));
+    },
+
+    async listSlotWaitlist({ roomId, date, startMins, endMins }) {
+      return ok(
+        load()
+          .booking_waitlist.filter(
+            (w) => w.room_id === roomId && w.date === date && isOpen(w) && rangesOverlap(w.start_mins, w.end_mins, startMins, endMins)
+          )
+          .sort((a, b) => a.created_at.localeCompare(b.created_at))
+          .map((w) => pick(w, WAITLIST_COLUMNS))
+      );
+    },
+
+    async listMyWaitlist(ownerHash) {
+      return ok(
+        load()
+          .booking_waitlist.filter((w) => w.owner_hash === ownerHash && isOpen(w))
+          .sort((a, b) => a.created_at.localeCompare(b.created_at))
+          .map((w) => pick(w, WAITLIST_COLUMNS))
+      );
+    },
+
+    async joinWaitlist(row) {
+      const db = load();
+      const duplicate = db.booking_waitlist.some(
+        (w) =>
+          isOpen(w) &&
+          w.room_id === row.room_id &&
+          w.date === row.date &&
+          w.start_mins === row.start_mins &&
+          w.owner_hash === row.owner_hash
+      );
+      if (duplicate) return fail("23505", 'duplicate key value violates unique constraint "booking_waitlist_open_key"');
+
+      const entry = {
+        ...row,
+        id: nextId(db),
+        status: "waiting",
+        offered_at: null,
+        offer_expires_at: null,
+        created_at: now().toISOString(),
+      };
+      db.booking_waitlist.push(entry);
+      commit(db, [{ table: "booking_waitlist", payload: { eventType: "INSERT", new: { ...entry }, old: {} } }]);
+      return ok(pick(entry, WAITLIST_COLUMNS));
+    },
+
+    // Et afslået tilbud går videre til den næste på listen
+    async leaveWaitlist(id, ownerToken) {
+      const tokenHash = await hashToken(ownerToken);
+      const db = load();
+      const target = db.booking_waitlist.find((w) => w.id === id);
+      if (!target || !isOpen(target)) return fail("P0002", "Pladsen på ventelisten findes ikke længere");
+      if (!ownerMatches(target.owner_hash, tokenHash)) {
+        return fail("42501", "Du kan ikke fjerne denne plads på ventelisten");
+      }
+
+      const changes = [];
+      const wasOffered = target.status === "offered";
+      setWaitlist(db, changes, target, { status: "cancelled" });
+      if (wasOffered) offerSlot(db, changes, target.room_id, target.date, target.start_mins, target.end_mins);
+      commit(db, changes);
+      return ok(null);
+    },
+
+    // Den med tilbuddet booker tidsrummet; ejer-nøglen tjekkes som ved aflysning. data: [{ id, date }]
+    async claimWaitlistOffer({ id, ownerToken, name, startMins, endMins }) {
+      const tokenHash = await hashToken(ownerToken);
+      const db = load();
+      const target = db.booking_waitlist.find((w) => w.id === id);
+      if (!target || target.status !== "offered" || target.offer_expires_at <= now().toISOString()) {
+        return fail("P0002", "Tilbuddet fra ventelisten er udløbet");
+      }
+      if (!ownerMatches(target.owner_hash, tokenHash)) return fail("42501", "Tilbuddet fra ventelisten er til en anden");
+      if (!rangesOverlap(target.start_mins, target.end_mins, startMins, endMins)) {
+        return fail("22023", "Tidsrummet er ikke det, der blev tilbudt");
+      }
+      if (!name?.trim()) return fail("22023", "Navn mangler");
+
+      const row = newBookingRow({
+        room_id: target.room_id,
+        date: target.date,
+        start_mins: startMins,
+        end_mins: endMins,
+        name: name.trim(),
+        owner_hash: target.owner_hash,
+      });
+      const broken = violation(db, row, { ownerProven: true });
+      if (broken) return broken;
+
+      const changes = [];
+      claimWaitlist(db, changes, row);
+      db.bookings.push(row);
+      audit(db, changes, "insert", null, { ...row }, browserActor(tokenHash));
+      commit(db, changes);
+      return ok([{ id: row.id, date: row.date }]);
+    },
+
+    // Der sendes ingen mails lokalt, så adressen gemmes ikke
+    async setBookingEmail() {
+      return ok(null);
+    },
+
+    // Lokalt findes der ingen mails og derfor ingen gyldige aflysningslinks
+    async cancelFromEmail() {
+      return { data: null, error: { message: "Aflysningslinks virker kun med Supabase", status: 403 } };
+    },
+
+    // Lokalt er der ingen forbindelse, der kan falde ud
+    subscribe(table, filter, onChange, onStatus) {
+      const listener = { table, filter: Object.entries(filter ?? {}), onChange };
+      listeners.add(listener);
+      queueMicrotask(() => {
+        if (listeners.has(listener)) onStatus?.("connected");
+      });
+      return () => {
+        onStatus?.("closed");
+        listeners.delete(listener);
+      };
+    },
+  };
+}
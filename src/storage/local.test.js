@@ -0,0 +1,221 @@
+import { createHash } from "node:crypto";
+import { beforeEach, describe, expect, it } from "vitest";
+import { createLocalStorage } from "./local.js";
+
+// Den lokale backend skal afvise det samme som databasen, med de samme fejlkoder (se supabase/migrations)
+
+const ROOM = "lokale-308";
+const DAY = "2026-10-20"; // tirsdag
+const NOW = Date.parse("2026-10-19T08:00:00Z"); // mandag kl. 10 dansk tid
+
+const tokenHash = (token) => createHash("sha256").update(token).digest("hex");
+
+function booking(fields = {}) {
+  return { room_id: ROOM, date: DAY, start_mins: 9 * 60, end_mins: 10 * 60, name: "Anna", owner_hash: tokenHash("anna"), ...fields };
+}
+
+// En store som localStorage, så testen kan lægge lukkeperioder og regler ind, som en admin ville
+async function createTestStorage({ closures = [], rules = [] } = {}) {
+  let saved = null;
+  const store = { getItem: () => saved, setItem: (_key, value) => (saved = value) };
+  const clock = { now: NOW };
+  const storage = createLocalStorage({ store, now: () => new Date(clock.now) });
+
+  await storage.listRooms(); // opretter databasen
+  saved = JSON.stringify({ ...JSON.parse(saved), closures, booking_rules: rules });
+  return { storage, clock };
+}
+
+async function listDay(storage) {
+  const { data } = await storage.listBookings({ roomId: ROOM, date: DAY });
+  return data;
+}
+
+describe("lokal lagring", () => {
+  let storage;
+  let clock;
+
+  beforeEach(async () => {
+    ({ storage, clock } = await createTestStorage({
+      closures: [{ room_id: null, start_date: "2026-10-21", end_date: "2026-10-21", reason: "Maling" }],
+      rules: [{ room_id: ROOM, max_days_ahead: null, max_hours_per_week: null, max_duration_mins: 120 }],
+    }));
+  });
+
+  describe("overlap", () => {
+    it("afviser et overlappende tidsrum med 23P01", async () => {
+      expect((await storage.createBookings([booking()])).error).toBeNull();
+      const { error } = await storage.createBookings([booking({ start_mins: 9 * 60 + 30, end_mins: 10 * 60 + 30, name: "Jens" })]);
+      expect(error.code).toBe("23P01");
+    });
+
+    it("tillader et tidsrum lige efter", async () => {
+      await storage.createBookings([booking()]);
+      const { error } = await storage.createBookings([booking({ start_mins: 10 * 60, end_mins: 11 * 60, name: "Jens" })]);
+      expect(error).toBeNull();
+    });
+
+    it("gemmer intet, når én booking i samme insert overlapper en anden", async () => {
+      const { error } = await storage.createBookings([booking(), booking({ start_mins: 9 * 60 + 30, end_mins: 11 * 60 })]);
+      expect(error.code).toBe("23P01");
+      expect(await listDay(storage)).toEqual([]);
+    });
+  });
+
+  describe("lukket", () => {
+    it.each([
+      ["weekend", { date: "2026-10-24" }],
+      ["uden for åbningstiden", { start_mins: 7 * 60, end_mins: 8 * 60 + 30 }],
+      ["helligdag", { date: "2026-12-25" }],
+      ["lukkeperiode", { date: "2026-10-21" }],
+    ])("afviser en booking på en %s med 23514", async (_label, fields) => {
+      const { error } = await storage.createBookings([booking(fields)]);
+      expect(error.code).toBe("23514");
+    });
+  });
+
+  describe("bookingregler", () => {
+    it("afviser en booking i fortiden", async () => {
+      const { error } = await storage.createBookings([booking({ date: "2026-10-16" })]);
+      expect(error).toMatchObject({ code: "P0001", hint: "past" });
+    });
+
+    it("afviser en for lang booking, også sammenhængende med en eksisterende", async () => {
+      expect((await storage.createBookings([booking({ end_mins: 12 * 60 })])).error).toMatchObject({ hint: "duration" });
+      await storage.createBookings([booking({ start_mins: 8 * 60 })]);
+      const { error } = await storage.createBookings([booking({ start_mins: 10 * 60, end_mins: 11 * 60 })]);
+      expect(error).toMatchObject({ code: "P0001", hint: "duration" });
+    });
+  });
+
+  describe("omdøbning", () => {
+    it("afviser at omdøbe en booking ind i en fuld ugekvote", async () => {
+      ({ storage } = await createTestStorage({
+        rules: [{ room_id: null, max_days_ahead: null, max_hours_per_week: 2, max_duration_mins: null }],
+      }));
+      await storage.createBookings([booking({ end_mins: 11 * 60 })]);
+      await storage.createBookings([booking({ start_mins: 13 * 60, end_mins: 14 * 60, name: "Jens" })]);
+
+      const slot = { roomId: ROOM, date: DAY, startMins: 13 * 60, ownerToken: "anna" };
+      const next = { roomId: ROOM, date: DAY, startMins: 13 * 60, endMins: 14 * 60 };
+      expect((await storage.updateBooking(slot, { ...next, name: "anna " })).error).toMatchObject({
+        code: "P0001",
+        hint: "quota",
+      });
+      expect((await storage.updateBooking(slot, { ...next, name: "JENS" })).error).toBeNull();
+    });
+  });
+
+  describe("ejer-nøgle", () => {
+    it("lader kun ejeren aflyse, rette og gendanne", async () => {
+      await storage.createBookings([booking()]);
+      const slot = { roomId: ROOM, date: DAY, startMins: 9 * 60 };
+
+      expect((await storage.cancelBooking({ ...slot, ownerToken: "jens" })).error.code).toBe("42501");
+      const next = { roomId: ROOM, date: DAY, startMins: 11 * 60, endMins: 12 * 60, name: "Jens" };
+      expect((await storage.updateBooking({ ...slot, ownerToken: "jens" }, next)).error.code).toBe("42501");
+
+      expect(await storage.cancelBooking({ ...slot, ownerToken: "anna" })).toEqual({ data: 1, error: null });
+      expect(await listDay(storage)).toEqual([]);
+
+      const [{ booking_id: id }] = (await storage.listHistory({ roomId: ROOM, limit: 10 })).data;
+      expect((await storage.restoreBooking(id, "jens")).error.code).toBe("42501");
+      expect((await storage.restoreBooking(id, "anna")).error).toBeNull();
+      expect(await listDay(storage)).toHaveLength(1);
+    });
+
+    it("afviser en ny booking, der allerede er tjekket ind eller aflyst", async () => {
+      const checkedIn = await storage.createBookings([booking({ checked_in_at: new Date(NOW).toISOString() })]);
+      expect(checkedIn.error.code).toBe("42501");
+      const deleted = await storage.createBookings([booking({ deleted_at: new Date(NOW).toISOString() })]);
+      expect(deleted.error.code).toBe("42501");
+    });
+  });
+
+  describe("venteliste-hold", () => {
+    const slot = { roomId: ROOM, date: DAY, startMins: 9 * 60 };
+
+    // Anna aflyser, så Jens (først på ventelisten) får tilbuddet
+    async function offerToJens() {
+      await storage.createBookings([booking()]);
+      const { data: entry } = await storage.joinWaitlist({
+        room_id: ROOM,
+        date: DAY,
+        start_mins: 9 * 60,
+        end_mins: 10 * 60,
+        name: "Jens",
+        owner_hash: tokenHash("jens"),
+      });
+      await storage.cancelBooking({ ...slot, ownerToken: "anna" });
+      const { data: mine } = await storage.listMyWaitlist(tokenHash("jens"));
+      expect(mine).toMatchObject([{ id: entry.id, status: "offered" }]);
+      return entry;
+    }
+
+    it("holder tidsrummet, også for en der kopierer den ventendes owner_hash", async () => {
+      await offerToJens();
+      const other = await storage.createBookings([booking({ name: "Mette", owner_hash: tokenHash("mette") })]);
+      expect(other.error).toMatchObject({ code: "P0001", hint: "held" });
+      const copied = await storage.createBookings([booking({ name: "Mette", owner_hash: tokenHash("jens") })]);
+      expect(copied.error).toMatchObject({ code: "P0001", hint: "held" });
+      expect((await storage.listMyWaitlist(tokenHash("jens"))).data).toMatchObject([{ status: "offered" }]);
+    });
+
+    it("lader den med tilbuddet booke med sin ejer-nøgle", async () => {
+      const entry = await offerToJens();
+      const claim = { id: entry.id, name: "Jens", startMins: 9 * 60, endMins: 10 * 60 };
+
+      expect((await storage.claimWaitlistOffer({ ...claim, ownerToken: "mette" })).error.code).toBe("42501");
+      const { data, error } = await storage.claimWaitlistOffer({ ...claim, ownerToken: "jens" });
+      expect(error).toBeNull();
+      expect(data).toMatchObject([{ date: DAY }]);
+
+      expect(await listDay(storage)).toMatchObject([{ name: "Jens", owner_hash: tokenHash("jens") }]);
+      expect((await storage.listMyWaitlist(tokenHash("jens"))).data).toEqual([]);
+    });
+
+    it("slipper tidsrummet, når tilbuddet er udløbet", async () => {
+      const entry = await offerToJens();
+      clock.now += 16 * 60 * 1000;
+
+      const late = await storage.claimWaitlistOffer({ id: entry.id, ownerToken: "jens", name: "Jens", startMins: 9 * 60, endMins: 10 * 60 });
+      expect(late.error.code).toBe("P0002");
+      const { error } = await storage.createBookings([booking({ name: "Mette", owner_hash: tokenHash("mette") })]);
+      expect(error).toBeNull();
+    });
+  });
+
+  describe("realtime", () => {
+    it("sender en booking flyttet til et andet lokale til dem, der ser det gamle", async () => {
+      await storage.createBookings([booking()]);
+      const oldRoom = [];
+      const newRoom = [];
+      storage.subscribe("bookings", { room_id: ROOM }, (payload) => oldRoom.push(payload));
+      storage.subscribe("bookings", { room_id: "lokale-315" }, (payload) => newRoom.push(payload));
+
+      const slot = { roomId: ROOM, date: DAY, startMins: 9 * 60, ownerToken: "anna" };
+      await storage.updateBooking(slot, { roomId: "lokale-315", date: DAY, startMins: 9 * 60, endMins: 10 * 60, name: "Anna" });
+
+      expect(oldRoom).toMatchObject([{ eventType: "UPDATE", old: { room_id: ROOM }, new: { room_id: "lokale-315" } }]);
+      expect(newRoom).toHaveLength(1);
+    });
+  });
+
+  describe("check-in", () => {
+    it("tillader check-in fra 10 minutter før start", async () => {
+      await storage.createBookings([booking({ date: "2026-10-19", start_mins: 10 * 60 + 15, end_mins: 11 * 60 })]);
+      const slot = { roomId: ROOM, date: "2026-10-19", startMins: 10 * 60 + 15 };
+
+      expect((await storage.checkInBooking(slot)).error.code).toBe("22023");
+      clock.now += 5 * 60 * 1000;
+      expect((await storage.checkInBooking(slot)).data.checked_in_at).toBe("2026-10-19T08:05:00.000Z");
+    });
+
+    it("frigiver en booking uden check-in efter fristen", async () => {
+      await storage.createBookings([booking({ date: "2026-10-19", start_mins: 10 * 60, end_mins: 11 * 60 })]);
+      clock.now += 11 * 60 * 1000;
+      expect((await storage.releaseNoShows()).data).toBe(1);
+      expect((await storage.listBookings({ roomId: ROOM, date: "2026-10-19" })).data).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+// ------------------------
+// LAGRING: SUPABASE
+// ------------------------
+// Tabeller, RPC'er og realtime i Supabase (se supabase/migrations). Reglerne håndhæves af
+// databasen; her sendes bare videre, og svarene er Supabase' egne { data, error }.
+
+import { createClient } from "@supabase/supabase-js";
+
+const BOOKING_COLUMNS = "id,room_id,date,start_mins,end_mins,name,series_id,owner_hash,checked_in_at";
+const WAITLIST_COLUMNS = "id,room_id,date,start_mins,end_mins,name,owner_hash,status,offer_expires_at,created_at";
+
+// Pladser der stadig tæller (claimed/cancelled er færdige)
+const OPEN_WAITLIST_STATUSES = ["waiting", "offered"];
+
+// % og _ er jokertegn i ILIKE
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+export function createSupabaseStorage(url, anonKey) {
+  const supabase = createClient(url, anonKey);
+
+  // Aktive bookinger (slettede ligger stadig i tabellen med deleted_at, så de kan gendannes)
+  function activeBookingsQuery() {
+    return supabase.from("bookings").select(BOOKING_COLUMNS).is("deleted_at", null);
+  }
+
+  return {
+    backend: "supabase",
+    features: { email: true, icalFeed: true },
+
+    // Admin er en bruger med app_metadata.role "admin" i sin session, som is_booking_admin() i databasen
+    async isAdmin() {
+      const { data, error } = await supabase.auth.getSession();
+      return { data: data.session?.user?.app_metadata?.role === "admin", error };
+    },
+
+    listRooms() {
+      return supabase
+        .from("rooms")
+        .select("id,name,capacity,floor,equipment,check_in_grace_mins")
+        .eq("active", true)
+        .order("sort_order")
+        .order("name");
+    },
+
+    listOpeningHours() {
+      return supabase.from("opening_hours").select("room_id,weekday,open_mins,close_mins");
+    },
+
+    listClosures() {
+      return supabase.from("closures").select("room_id,start_date,end_date,reason");
+    },
+
+    listRules() {
+      return supabase.from("booking_rules").select("room_id,max_days_ahead,max_hours_per_week,max_duration_mins");
+    },
+
+    // Aktive bookinger; alle filtre er valgfrie og datoerne inklusive.
+    // name matcher hele navnet, nameContains en del af det (begge uden forskel på store/små bogstaver)
+    listBookings({ roomId, date, from, to, name, nameContains, limit } = {}) {
+      let query = activeBookingsQuery();
+      if (roomId) query = query.eq("room_id", roomId);
+      if (date) query = query.eq("date", date);
+      if (from) query = query.gte("date", from);
+      if (to) query = query.lte("date", to);
+      if (name) query = query.ilike("name", escapeLike(name));
+      if (nameContains) query = query.ilike("name", `%${escapeLike(nameContains)}%`);
+      if (limit) query = query.order("date").order("start_mins").limit(limit);
+      return query;
+    },
+
+    // Også en aflyst booking (med deleted_at), eller data: null
+    getBooking(id) {
+      return supabase.from("bookings").select(`${BOOKING_COLUMNS},deleted_at`).eq("id", id).maybeSingle();
+    },
+
+    // Alt eller intet; data: [{ id, date }]
+    createBookings(rows) {
+      return supabase.from("bookings").insert(rows).select("id,date");
+    },
+
+    // Databasen tjekker ejer-nøglen (eller admin) og sletter evt. resten af serien
+    cancelBooking({ roomId, date, startMins, ownerToken, scope = "one" }) {
+      return supabase.rpc("cancel_booking", {
+        p_room_id: roomId,
+        p_date: date,
+        p_start_mins: startMins,
+        p_owner_token: ownerToken,
+        p_scope: scope,
+      });
+    },
+
+    // Én UPDATE i databasen: tidsrummet er aldrig ledigt undervejs
+    updateBooking({ roomId, date, startMins, ownerToken }, next) {
+      return supabase.rpc("update_booking", {
+        p_room_id: roomId,
+        p_date: date,
+        p_start_mins: startMins,
+        p_owner_token: ownerToken,
+        p_new_room_id: next.roomId,
+        p_new_date: next.date,
+        p_new_start_mins: next.startMins,
+        p_new_end_mins: next.endMins,
+        p_new_name: next.name,
+      });
+    },
+
+    restoreBooking(bookingId, ownerToken) {
+      return supabase.rpc("restore_booking", { p_booking_id: bookingId, p_owner_token: ownerToken });
+    },
+
+    checkInBooking({ roomId, date, startMins }) {
+      return supabase.rpc("check_in_booking", { p_room_id: roomId, p_date: date, p_start_mins: startMins });
+    },
+
+    releaseNoShows() {
+      return supabase.rpc("release_no_show_bookings");
+    },
+
+    // data: { id }
+    createSeries(row) {
+      return supabase.from("booking_series").insert([row]).select("id").single();
+    },
+
+    deleteSeries(id) {
+      return supabase.from("booking_series").delete().eq("id", id);
+    },
+
+    // Historik for et lokale (og evt. én dag), nyeste først. Flytninger ud af lokalet findes via old_data.
+    listHistory({ roomId, date, limit }) {
+      let query = supabase
+        .from("booking_audit")
+        .select("id,booking_id,action,old_data,new_data,actor,changed_at")
+        .or(`room_id.eq.${roomId},old_data->>room_id.eq.${roomId}`)
+        .order("changed_at", { ascending: false })
+        .limit(limit);
+      if (date) query = query.eq("date", date);
+      return query;
+    },
+
+    // Alle, der venter på (en del af) tidsrummet, i rækkefølge
+    listSlotWaitlist({ roomId, date, startMins, endMins }) {
+      return supabase
+        .from("booking_waitlist")
+        .select(WAITLIST_COLUMNS)
+        .eq("room_id", roomId)
+        .eq("date", date)
+        .in("status", OPEN_WAITLIST_STATUSES)
+        .lt("start_mins", endMins)
+        .gt("end_mins", startMins)
+        .order("created_at");
+    },
+
+    // Én browsers åbne pladser på ventelister
+    listMyWaitlist(ownerHash) {
+      return supabase
+        .from("booking_waitlist")
+        .select(WAITLIST_COLUMNS)
+        .eq("owner_hash", ownerHash)
+        .in("status", OPEN_WAITLIST_STATUSES)
+        .order("created_at");
+    },
+
+    joinWaitlist(row) {
+      return supabase.from("booking_waitlist").insert(row).select(WAITLIST_COLUMNS).single();
+    },
+
+    leaveWaitlist(id, ownerToken) {
+      return supabase.rpc("leave_waitlist", { p_id: id, p_owner_token: ownerToken });
+    },
+
+    // Den med tilbuddet booker tidsrummet; databasen tjekker ejer-nøglen. data: [{ id, date }]
+    claimWaitlistOffer({ id, ownerToken, name, startMins, endMins }) {
+      return supabase
+        .rpc("claim_waitlist_offer", {
+          p_id: id,
+          p_owner_token: ownerToken,
+          p_name: name,
+          p_start_mins: startMins,
+          p_end_mins: endMins,
+        })
+        .select("id,date");
+    },
+
+    setBookingEmail(bookingIds, ownerToken, email, locale) {
+      return supabase.rpc("set_booking_email", {
+        p_booking_ids: bookingIds,
+        p_owner_token: ownerToken,
+        p_email: email,
+        p_locale: locale,
+      });
+    },
+
+    // Aflysningslinket fra mailen (edge-funktionen "booking-email"). error.status er HTTP-status
+    async cancelFromEmail({ bookingId, token, scope }) {
+      const { data, error } = await supabase.functions.invoke("booking-email", {
+        body: { action: "cancel", bookingId, token, scope },
+      });
+      return { data, error: error ? Object.assign(error, { status: error.context?.status }) : null };
+    },
+
+    // Ændringer i en tabel ({ eventType, new, old }), evt. filtreret på én kolonne: { room_id: "..." }.
+    // bookings har REPLICA IDENTITY FULL, så en UPDATE har hele den gamle række og også når
+    // dem, der filtrerer på det gamle lokale/den gamle dag.
+    // onStatus får "connected" eller "disconnected" (Supabase forbinder selv igen efter en afbrydelse)
+    // og "closed", når abonnementet stoppes.
+    // Returnerer en funktion, der stopper abonnementet.
+    subscribe(table, filter, onChange, onStatus) {
+      const [column, value] = Object.entries(filter ?? {})[0] ?? [];
+      const channel = supabase
+        .channel(column ? `${table}-${column}-${value}` : table)
+        .on(
+          "postgres_changes",
+          { event: "*", schema: "public", table, ...(column ? { filter: `${column}=eq.${value}` } : {}) },
+          onChange
+        )
+        .subscribe((status) => {
+          // CLOSED kommer også, når vi selv stopper abonnementet
+          if (status === "SUBSCRIBED") onStatus?.("connected");
+          else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") onStatus?.("disconnected");
+        });
+      return () => {
+        onStatus?.("closed");
+        supabase.removeChannel(channel);
+      };
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// ------------------------
+// ICALENDAR (fælles for edge-funktionerne)
+// ------------------------
+// Bruges af "ical-feed" og "booking-email". Samme format som src/ics.js i app'en,
+// så UID'er og tider passer sammen, uanset hvor en kalender har bookingen fra.
+
+export const TZID = "Europe/Copenhagen";
+
+// Sommertid: sidste søndag i marts -> sidste søndag i oktober
+export const VTIMEZONE_COPENHAGEN = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  `X-LIC-LOCATION:${TZID}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const encoder = new TextEncoder();
+
+function pad2(n: number) {
+  return String(n).padStart(2, "0");
+}
+
+// "2026-10-19" + 510 min => "20261019T083000" (lokal tid i TZID)
+export function formatLocalDateTime(isoDate: string, mins: number) {
+  return `${isoDate.replaceAll("-", "")}T${pad2(Math.floor(mins / 60))}${pad2(mins % 60)}00`;
+}
+
+export function formatUTCDateTime(date: string | Date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function escapeText(value: string) {
+  return value.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: linjer må højst være 75 oktetter; resten fortsættes med et mellemrum
+export function foldLine(line: string) {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const chBytes = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + chBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// Samme UID som bookingUID() i src/ics.js, så kalenderen ikke får dubletter
+export function bookingUID(bookingId: string) {
+  return `booking-${bookingId}@isk-booking`;
+}
@@ -0,0 +1,209 @@
+// ------------------------
+// BOOKING-EMAIL (Supabase edge function)
+// ------------------------
+// Sender bekræftelse (med .ics og aflysningslink), påmindelse og aflysning til
+// bookinger, der har fået en e-mail (tabellen booking_contacts).
+//
+//   POST { "action": "run" }
+//     Sender de mails, der er klar (booking_email_queue). Kaldes hvert minut af
+//     pg_cron med service role-nøglen; andre nøgler afvises.
+//   POST { "action": "cancel", "bookingId": "...", "token": "...", "scope": "one" | "following" }
+//     Aflysningslinket fra mailen. Kaldes fra app'ens side /afmeld/:bookingId?token=...
+//     (linket peger på app'en og ikke hertil, så en mailscanner, der åbner links,
+//     ikke kommer til at aflyse noget)
+//
+// Miljøvariabler:
+//   BOOKING_EMAIL_SECRET  nøgle til at signere aflysningslinks (HMAC af booking-id'et og
+//                         modtageren), så databasen ikke skal gemme et token pr. booking
+//   APP_URL               app'ens adresse, fx https://isk-booking.netlify.app
+//   REMINDER_MINS         hvor længe før start påmindelsen sendes (standard 60)
+//   MAIL_TRANSPORT m.fl.  skal sættes, se transport.ts (lokalt fx MAIL_TRANSPORT=log)
+//
+//   supabase functions deploy booking-email
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { composeMail, type MailKind, type QueueRow } from "./messages.ts";
+import { createTransport, type MailTransport } from "./transport.ts";
+
+const DEFAULT_REMINDER_MINS = 60;
+
+const SENT_COLUMN: Record<MailKind, string> = {
+  confirmation: "confirmation_sent_at",
+  reminder: "reminder_sent_at",
+  cancellation: "cancellation_sent_at",
+};
+
+// App'en kalder funktionen fra browseren
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json" },
+  });
+}
+
+function adminClient() {
+  return createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!);
+}
+
+// ------------------------
+// AFLYSNINGSLINK
+// ------------------------
+
+// Uden nøgle kunne alle lave et gyldigt link, så hellere fejle
+function emailSecret() {
+  const secret = Deno.env.get("BOOKING_EMAIL_SECRET");
+  if (!secret) throw new Error("BOOKING_EMAIL_SECRET er ikke sat");
+  return secret;
+}
+
+// Det signerede: bookingen og adressen, linket blev sendt til. created_at sættes igen, når
+// adressen ændres eller fjernes og sættes på ny, så et gammelt link holder op med at virke
+type LinkSubject = { bookingId: string; email: string; contactCreatedAt: string };
+
+async function signCancelLink({ bookingId, email, contactCreatedAt }: LinkSubject) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(emailSecret()),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  // Tidspunktet som millisekunder, så kø-funktionens og tabellens tekstformat ikke betyder noget
+  const payload = [bookingId, email.toLowerCase(), Date.parse(contactCreatedAt)].join("\n");
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+  return Array.from(new Uint8Array(sig), (b) => b.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 32);
+}
+
+// Sammenligner uden at afsløre, hvor mange tegn der passede
+async function tokenMatches(subject: LinkSubject, token: string) {
+  const expected = await signCancelLink(subject);
+  if (token.length !== expected.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ token.charCodeAt(i);
+  return diff === 0;
+}
+
+async function cancelUrl(row: QueueRow) {
+  const appUrl = (Deno.env.get("APP_URL") ?? "").replace(/\/$/, "");
+  const token = await signCancelLink({
+    bookingId: row.booking_id,
+    email: row.email,
+    contactCreatedAt: row.contact_created_at,
+  });
+  return `${appUrl}/afmeld/${encodeURIComponent(row.booking_id)}?token=${token}`;
+}
+
+async function handleCancel(body: { bookingId?: string; token?: string; scope?: string }) {
+  if (!body.bookingId || !body.token) return json({ error: "invalid" }, 403);
+
+  const supabase = adminClient();
+
+  // Linket tjekkes mod den adresse, bookingen har nu
+  const { data: contact, error: contactError } = await supabase
+    .from("booking_contacts")
+    .select("email,created_at")
+    .eq("booking_id", body.bookingId)
+    .maybeSingle();
+  if (contactError) {
+    console.error("Supabase fejl (aflys fra mail):", contactError);
+    return json({ error: "failed" }, 500);
+  }
+
+  const subject = contact && { bookingId: body.bookingId, email: contact.email, contactCreatedAt: contact.created_at };
+  if (!subject || !(await tokenMatches(subject, body.token))) {
+    return json({ error: "invalid" }, 403);
+  }
+
+  const { data, error } = await supabase.rpc("cancel_booking_from_email", {
+    p_booking_id: body.bookingId,
+    p_scope: body.scope === "following" ? "following" : "one",
+  });
+
+  if (error?.code === "P0002") return json({ error: "gone" }, 410);
+  if (error) {
+    console.error("Supabase fejl (aflys fra mail):", error);
+    return json({ error: "failed" }, 500);
+  }
+
+  return json({ cancelled: data });
+}
+
+// ------------------------
+// UDSENDELSE
+// ------------------------
+
+// En serie samles i én mail pr. slags og modtager; enkelte bookinger får hver sin
+function groupRows(rows: QueueRow[]) {
+  const groups = new Map<string, QueueRow[]>();
+  for (const row of rows) {
+    const key = `${row.kind}|${row.email}|${row.series_id ?? row.booking_id}`;
+    groups.set(key, [...(groups.get(key) ?? []), row]);
+  }
+  return [...groups.values()];
+}
+
+async function handleRun() {
+  const supabase = adminClient();
+  const reminderMins = Number(Deno.env.get("REMINDER_MINS") ?? DEFAULT_REMINDER_MINS);
+
+  const { data, error } = await supabase.rpc("booking_email_queue", { p_reminder_mins: reminderMins });
+  if (error) {
+    console.error("Supabase fejl (mailkø):", error);
+    return json({ error: "failed" }, 500);
+  }
+
+  let transport: MailTransport;
+  try {
+    transport = createTransport();
+  } catch (e) {
+    console.error("Mails sendes ikke:", e);
+    return json({ error: "transport" }, 500);
+  }
+  let sent = 0;
+  let failed = 0;
+
+  for (const rows of groupRows((data ?? []) as QueueRow[])) {
+    const kind = rows[0].kind;
+    try {
+      await transport.send(composeMail(kind, rows, await cancelUrl(rows[0])));
+    } catch (e) {
+      // Prøves igen ved næste kørsel, da *_sent_at ikke bliver sat
+      console.error(`Kunne ikke sende ${kind} til ${rows[0].email}:`, e);
+      failed++;
+      continue;
+    }
+
+    const { error: markError } = await supabase
+      .from("booking_contacts")
+      .update({ [SENT_COLUMN[kind]]: new Date().toISOString() })
+      .in("booking_id", rows.map((r) => r.booking_id));
+    if (markError) console.error("Supabase fejl (marker sendt):", markError);
+    sent++;
+  }
+
+  return json({ sent, failed });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: CORS_HEADERS });
+  if (req.method !== "POST") return json({ error: "method" }, 405);
+
+  const body = await req.json().catch(() => ({}));
+
+  if (body.action === "cancel") return handleCancel(body);
+
+  if (body.action === "run") {
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+    if (req.headers.get("Authorization") !== `Bearer ${serviceKey}`) return json({ error: "forbidden" }, 403);
+    return handleRun();
+  }
+
+  return json({ error: "action" }, 400);
+});
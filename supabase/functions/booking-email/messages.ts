@@ -0,0 +1,161 @@
+// ------------------------
+// MAILS (tekst + .ics)
+// ------------------------
+// Én mail pr. booker og booking (eller pr. serie: alle forekomster i én mail).
+// Sproget er det, bookeren brugte i app'en (booking_contacts.locale).
+
+import {
+  TZID,
+  VTIMEZONE_COPENHAGEN,
+  bookingUID,
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUTCDateTime,
+} from "../_shared/ical.ts";
+import type { MailMessage } from "./transport.ts";
+
+export type MailKind = "confirmation" | "reminder" | "cancellation";
+export type Locale = "da" | "en";
+
+// En række fra booking_email_queue()
+export type QueueRow = {
+  kind: MailKind;
+  booking_id: string;
+  series_id: string | null;
+  room_id: string;
+  room_name: string;
+  date: string;
+  start_mins: number;
+  end_mins: number;
+  name: string;
+  email: string;
+  locale: Locale;
+  contact_created_at: string; // booking_contacts.created_at: indgår i aflysningslinkets signatur
+};
+
+const TEXTS = {
+  da: {
+    dateLocale: "da-DK",
+    subject: {
+      confirmation: (room: string) => `Booking bekræftet: ${room}`,
+      reminder: (room: string) => `Påmindelse: ${room}`,
+      cancellation: (room: string) => `Booking aflyst: ${room}`,
+    },
+    intro: {
+      confirmation: "Din booking er gemt:",
+      reminder: "Du har snart booket:",
+      cancellation: "Din booking er aflyst:",
+    },
+    greeting: (name: string) => `Hej ${name}`,
+    attached: "Kalenderfilen er vedhæftet.",
+    cancelPrompt: "Kan du ikke komme alligevel? Aflys her, så andre kan bruge lokalet:",
+    cancelledNote: "Åbn den vedhæftede fil for at fjerne den fra din kalender.",
+    signature: "Venlig hilsen\nISK Mødelokaler",
+    at: "kl.",
+  },
+  en: {
+    dateLocale: "en-GB",
+    subject: {
+      confirmation: (room: string) => `Booking confirmed: ${room}`,
+      reminder: (room: string) => `Reminder: ${room}`,
+      cancellation: (room: string) => `Booking cancelled: ${room}`,
+    },
+    intro: {
+      confirmation: "Your booking is saved:",
+      reminder: "Your booking starts soon:",
+      cancellation: "Your booking has been cancelled:",
+    },
+    greeting: (name: string) => `Hi ${name}`,
+    attached: "The calendar file is attached.",
+    cancelPrompt: "Can't make it after all? Cancel here so others can use the room:",
+    cancelledNote: "Open the attached file to remove it from your calendar.",
+    signature: "Kind regards\nISK Meeting rooms",
+    at: "at",
+  },
+};
+
+function pad2(n: number) {
+  return String(n).padStart(2, "0");
+}
+
+function formatTime(mins: number) {
+  return `${pad2(Math.floor(mins / 60))}:${pad2(mins % 60)}`;
+}
+
+// "mandag 3. november 2026 kl. 10:00–11:00"
+function formatWhen(row: QueueRow, texts: (typeof TEXTS)[Locale]) {
+  const day = new Intl.DateTimeFormat(texts.dateLocale, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  }).format(new Date(`${row.date}T00:00:00Z`));
+  return `${day} ${texts.at} ${formatTime(row.start_mins)}–${formatTime(row.end_mins)}`;
+}
+
+// Samme UID som feedet og app'ens .ics, så kalenderen opdaterer (eller fjerner) den samme aftale
+function buildCalendar(rows: QueueRow[], cancelled: boolean) {
+  const stamp = formatUTCDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ISK//Mødelokale booking//DA",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${cancelled ? "CANCEL" : "PUBLISH"}`,
+    ...VTIMEZONE_COPENHAGEN,
+  ];
+
+  for (const b of rows) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${bookingUID(b.booking_id)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${TZID}:${formatLocalDateTime(b.date, b.start_mins)}`,
+      `DTEND;TZID=${TZID}:${formatLocalDateTime(b.date, b.end_mins)}`,
+      `SUMMARY:${escapeText(`${b.room_name}: ${b.name}`)}`,
+      `LOCATION:${escapeText(b.room_name)}`,
+      `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+      ...(cancelled ? ["SEQUENCE:1"] : []),
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// rows: samme booker og booking/serie, sorteret efter dato. cancelUrl: link til den første
+export function composeMail(kind: MailKind, rows: QueueRow[], cancelUrl: string): MailMessage {
+  const first = rows[0];
+  const texts = TEXTS[first.locale] ?? TEXTS.da;
+  const cancelled = kind === "cancellation";
+
+  const body = [
+    texts.greeting(first.name),
+    "",
+    texts.intro[kind],
+    "",
+    `  ${first.room_name}`,
+    ...rows.map((r) => `  ${formatWhen(r, texts)}`),
+    "",
+    cancelled ? texts.cancelledNote : texts.attached,
+    ...(cancelled ? [] : ["", texts.cancelPrompt, cancelUrl]),
+    "",
+    texts.signature,
+  ];
+
+  return {
+    to: first.email,
+    subject: texts.subject[kind](first.room_name),
+    text: body.join("\n"),
+    attachments: [
+      {
+        filename: "booking.ics",
+        content: buildCalendar(rows, cancelled),
+        contentType: `text/calendar; charset=utf-8; method=${cancelled ? "CANCEL" : "PUBLISH"}`,
+      },
+    ],
+  };
+}
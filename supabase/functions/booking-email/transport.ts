@@ -0,0 +1,119 @@
+// ------------------------
+// MAIL-TRANSPORT
+// ------------------------
+// Hvordan mails faktisk sendes, vælges med MAIL_TRANSPORT. Den skal sættes: et deploy, der har
+// glemt den, skal fejle højlydt i stedet for stille at lade være med at sende.
+//
+//   log     skriver mailen i funktionens log; intet sendes (lokal udvikling). Aflysningslinkenes
+//           token skjules, da alle der kan læse loggen, ellers kunne aflyse bookingerne
+//   smtp    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+//           fx en lokal SMTP-fanger (Mailpit: SMTP_HOST=localhost SMTP_PORT=1025)
+//   resend  RESEND_API_KEY (Supabase' servere må ikke sende på port 25/587, så brug
+//           en HTTP-baseret udbyder i produktion)
+//
+// Afsenderen er MAIL_FROM, fx "ISK Mødelokaler <booking@example.dk>".
+// En ny udbyder er bare endnu et objekt med send().
+
+import nodemailer from "npm:nodemailer@6";
+
+export type MailAttachment = {
+  filename: string;
+  content: string;
+  contentType: string;
+};
+
+export type MailMessage = {
+  to: string;
+  subject: string;
+  text: string;
+  attachments?: MailAttachment[];
+};
+
+export type MailTransport = {
+  send(message: MailMessage): Promise<void>;
+};
+
+function env(name: string, fallback = "") {
+  return Deno.env.get(name) ?? fallback;
+}
+
+function mailFrom() {
+  return env("MAIL_FROM", "ISK Mødelokaler <booking@localhost>");
+}
+
+// /afmeld/<id>?token=<signatur> => ?token=[skjult]
+function redactTokens(text: string) {
+  return text.replace(/([?&]token=)[^&\s]+/g, "$1[skjult]");
+}
+
+function logTransport(): MailTransport {
+  return {
+    send(message) {
+      console.log("Mail (MAIL_TRANSPORT=log):", {
+        to: message.to,
+        subject: message.subject,
+        text: redactTokens(message.text),
+        attachments: message.attachments?.map((a) => a.filename) ?? [],
+      });
+      return Promise.resolve();
+    },
+  };
+}
+
+function smtpTransport(): MailTransport {
+  const transporter = nodemailer.createTransport({
+    host: env("SMTP_HOST", "localhost"),
+    port: Number(env("SMTP_PORT", "1025")),
+    secure: env("SMTP_SECURE") === "true",
+    auth: env("SMTP_USER") ? { user: env("SMTP_USER"), pass: env("SMTP_PASSWORD") } : undefined,
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail({
+        from: mailFrom(),
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        attachments: message.attachments?.map((a) => ({
+          filename: a.filename,
+          content: a.content,
+          contentType: a.contentType,
+        })),
+      });
+    },
+  };
+}
+
+function resendTransport(): MailTransport {
+  const apiKey = env("RESEND_API_KEY");
+
+  return {
+    async send(message) {
+      const res = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          from: mailFrom(),
+          to: [message.to],
+          subject: message.subject,
+          text: message.text,
+          attachments: message.attachments?.map((a) => ({
+            filename: a.filename,
+            content: btoa(String.fromCharCode(...new TextEncoder().encode(a.content))),
+            content_type: a.contentType,
+          })),
+        }),
+      });
+      if (!res.ok) throw new Error(`Resend svarede ${res.status}: ${await res.text()}`);
+    },
+  };
+}
+
+export function createTransport(): MailTransport {
+  const name = env("MAIL_TRANSPORT");
+  if (name === "smtp") return smtpTransport();
+  if (name === "resend") return resendTransport();
+  if (name === "log") return logTransport();
+  throw new Error(name ? `Ukendt MAIL_TRANSPORT "${name}"` : "MAIL_TRANSPORT er ikke sat (log, smtp eller resend)");
+}
@@ -0,0 +1,151 @@
+// ------------------------
+// ICAL-FEED (Supabase edge function)
+// ------------------------
+// Skrivebeskyttet iCalendar-feed, som Outlook / Google Calendar kan abonnere på.
+//
+//   GET /functions/v1/ical-feed?room=lokale-301   -> alle bookinger i et lokale
+//   GET /functions/v1/ical-feed?name=Jens          -> alle bookinger for en person
+//
+// Kalender-apps kan ikke sende en JWT, så funktionen deployes uden JWT-tjek:
+//   supabase functions deploy ical-feed --no-verify-jwt
+//
+// Feedet indeholder kun aktive bookinger: en aflyst booking forsvinder
+// derfor fra kalenderen ved næste opdatering. UID'en bygger på bookingens id,
+// så den er stabil og matcher .ics-filen fra "Tilføj til kalender" i app'en.
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+import {
+  TZID,
+  VTIMEZONE_COPENHAGEN,
+  bookingUID,
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUTCDateTime,
+} from "../_shared/ical.ts";
+
+const PAST_DAYS = 30;
+const FUTURE_DAYS = 365;
+
+// PostgREST giver højst max-rows (som standard 1000) rækker pr. svar, så perioden hentes side for side.
+// En kortere side er den sidste, så PAGE_SIZE må ikke være større end max-rows
+const PAGE_SIZE = 1000;
+
+type BookingRow = {
+  id: string;
+  room_id: string;
+  date: string;
+  start_mins: number;
+  end_mins: number;
+  name: string;
+  created_at: string | null;
+  updated_at: string | null;
+  rooms: { name: string } | null;
+};
+
+function isoDateOffset(days: number) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// % og _ er jokertegn i ILIKE; navnet skal matche præcist (uden forskel på store/små bogstaver)
+function escapeLike(value: string) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+function buildFeed(calName: string, rows: BookingRow[]) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ISK//Mødelokale booking//DA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calName)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT15M",
+    "X-PUBLISHED-TTL:PT15M",
+    ...VTIMEZONE_COPENHAGEN,
+  ];
+
+  for (const b of rows) {
+    const roomName = b.rooms?.name ?? b.room_id;
+    const modified = b.updated_at ?? b.created_at ?? new Date();
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${bookingUID(b.id)}`,
+      `DTSTAMP:${formatUTCDateTime(modified)}`,
+      `LAST-MODIFIED:${formatUTCDateTime(modified)}`,
+      `DTSTART;TZID=${TZID}:${formatLocalDateTime(b.date, b.start_mins)}`,
+      `DTEND;TZID=${TZID}:${formatLocalDateTime(b.date, b.end_mins)}`,
+      `SUMMARY:${escapeText(`${roomName}: ${b.name}`)}`,
+      `LOCATION:${escapeText(roomName)}`,
+      `DESCRIPTION:${escapeText(`Booket af ${b.name}`)}`,
+      "STATUS:CONFIRMED",
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+Deno.serve(async (req) => {
+  const url = new URL(req.url);
+  const roomId = url.searchParams.get("room");
+  const name = url.searchParams.get("name")?.trim();
+
+  if (!roomId && !name) {
+    return new Response("Angiv ?room=<lokale-id> eller ?name=<navn>", { status: 400 });
+  }
+
+  const supabase = createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_ANON_KEY")!);
+
+  const from = isoDateOffset(-PAST_DAYS);
+  const to = isoDateOffset(FUTURE_DAYS);
+
+  // id til sidst, så rækkefølgen er entydig, og ingen booking springes over eller kommer to gange mellem siderne
+  const fetchPage = (offset: number) => {
+    let query = supabase
+      .from("bookings")
+      .select("id,room_id,date,start_mins,end_mins,name,created_at,updated_at,rooms(name)")
+      .gte("date", from)
+      .lte("date", to)
+      .is("deleted_at", null)
+      .order("date")
+      .order("start_mins")
+      .order("id")
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (roomId) query = query.eq("room_id", roomId);
+    if (name) query = query.ilike("name", escapeLike(name));
+    return query;
+  };
+
+  const rows: BookingRow[] = [];
+  for (;;) {
+    const { data, error } = await fetchPage(rows.length);
+
+    if (error) {
+      console.error("Supabase fejl (ical-feed):", error);
+      return new Response("Kunne ikke hente bookinger", { status: 500 });
+    }
+
+    const page = (data ?? []) as unknown as BookingRow[];
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  const calName = roomId
+    ? `${rows[0]?.rooms?.name ?? roomId} – bookinger`
+    : `Mødelokaler – ${name}`;
+
+  return new Response(buildFeed(calName, rows), {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `inline; filename="${roomId ?? "bookinger"}.ics"`,
+      "Cache-Control": "public, max-age=300",
+    },
+  });
+});
@@ -0,0 +1,30 @@
+/*
+  # Prevent double bookings of the same slot
+
+  1. Data cleanup
+    - Remove duplicate rows with the same (room, date, start_mins)
+    - The oldest row (earliest `created_at`) wins; the rest are deleted
+
+  2. Constraints
+    - Add unique constraint `bookings_room_date_start_mins_key` on (room, date, start_mins)
+    - Concurrent inserts for the same slot now fail with unique_violation (23505)
+
+  3. Indexes
+    - The unique constraint creates its own index covering room + date
+*/
+
+DELETE FROM bookings b
+USING (
+  SELECT
+    id,
+    row_number() OVER (
+      PARTITION BY room, date, start_mins
+      ORDER BY created_at ASC NULLS LAST, id ASC
+    ) AS rn
+  FROM bookings
+) ranked
+WHERE b.id = ranked.id
+  AND ranked.rn > 1;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_room_date_start_mins_key UNIQUE (room, date, start_mins);
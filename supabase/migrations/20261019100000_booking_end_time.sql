@@ -0,0 +1,38 @@
+/*
+  # Variable-length bookings
+
+  1. Changes to `bookings`
+    - Add `end_mins` (integer) - end time in minutes from midnight (exclusive)
+    - Existing rows were fixed 60-minute slots, so they get `end_mins = start_mins + 60`
+    - Check constraint: 0 <= start_mins < end_mins <= 1440
+
+  2. Constraints
+    - Replace the unique (room, date, start_mins) constraint with an exclusion
+      constraint, so two bookings in the same room and date can never overlap
+    - Overlapping inserts now fail with exclusion_violation (23P01)
+
+  3. Extensions
+    - `btree_gist` is needed to combine `=` on text with `&&` on ranges
+*/
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS end_mins integer;
+
+UPDATE bookings SET end_mins = start_mins + 60 WHERE end_mins IS NULL;
+
+ALTER TABLE bookings ALTER COLUMN end_mins SET NOT NULL;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_time_range_check
+  CHECK (start_mins >= 0 AND end_mins > start_mins AND end_mins <= 1440);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_room_date_start_mins_key;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room WITH =,
+    date WITH =,
+    int4range(start_mins, end_mins) WITH &&
+  );
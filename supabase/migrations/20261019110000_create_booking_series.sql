@@ -0,0 +1,73 @@
+/*
+  # Recurring bookings (series)
+
+  1. New Tables
+    - `booking_series`
+      - `id` (uuid, primary key)
+      - `room` (text) - meeting room name
+      - `start_mins` / `end_mins` (integer) - time of day for every occurrence
+      - `name` (text) - name of person who made the series
+      - `interval_weeks` (integer) - 1 = every week, 2 = every other week, ...
+      - `weekdays` (smallint[]) - ISO weekdays (1 = Monday ... 7 = Sunday)
+      - `start_date` (text) - first possible date (YYYY-MM-DD)
+      - `until_date` (text, nullable) - last possible date (YYYY-MM-DD)
+      - `occurrence_count` (integer, nullable) - alternative to `until_date`
+      - `created_at` (timestamptz)
+
+  2. Changes to `bookings`
+    - Add `series_id` (uuid, nullable) referencing `booking_series`
+    - Each occurrence is still a normal row in `bookings`, so the overlap
+      constraint protects series exactly like single bookings
+
+  3. Security
+    - Enable RLS on `booking_series` with the same open policies as `bookings`
+    - Add update policy, used when "this and all following" shortens a series
+*/
+
+CREATE TABLE IF NOT EXISTS booking_series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room text NOT NULL,
+  start_mins integer NOT NULL,
+  end_mins integer NOT NULL,
+  name text NOT NULL,
+  interval_weeks integer NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 4),
+  weekdays smallint[] NOT NULL CHECK (cardinality(weekdays) > 0),
+  start_date text NOT NULL,
+  until_date text,
+  occurrence_count integer CHECK (occurrence_count > 0),
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_mins > start_mins),
+  CHECK (until_date IS NOT NULL OR occurrence_count IS NOT NULL)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS series_id uuid REFERENCES booking_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON bookings(series_id);
+
+ALTER TABLE booking_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view booking series"
+  ON booking_series
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Anyone can create booking series"
+  ON booking_series
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Anyone can update booking series"
+  ON booking_series
+  FOR UPDATE
+  TO anon, authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Anyone can delete booking series"
+  ON booking_series
+  FOR DELETE
+  TO anon, authenticated
+  USING (true);
@@ -0,0 +1,109 @@
+/*
+  # Only the creator (or an admin) can delete a booking
+
+  1. Changes to `bookings` and `booking_series`
+    - Add `owner_hash` (text, nullable) - SHA-256 (hex) of a secret owner token
+      that is generated and kept in the creator's browser
+    - Only the hash is stored, so reading bookings does not reveal the token
+    - Bookings created before this migration have no owner and can only be
+      deleted by an admin
+
+  2. New Functions
+    - `is_booking_admin()` - true for signed-in users with app_metadata.role = 'admin'
+    - `cancel_booking(p_room, p_date, p_start_mins, p_owner_token, p_scope)`
+      - Deletes one booking (`p_scope = 'one'`) or it and all following
+        occurrences of its series (`p_scope = 'following'`)
+      - Raises insufficient_privilege (42501) unless the token matches or the
+        caller is an admin
+      - Shortens the series definition when deleting "this and all following"
+
+  3. Security
+    - Drop policy "Anyone can delete bookings"; anon must go through `cancel_booking`
+    - Add policy for admins to delete bookings directly
+    - Drop open update/delete policies on `booking_series`; only empty series
+      (rolled back inserts) can be deleted directly
+*/
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS owner_hash text;
+ALTER TABLE booking_series ADD COLUMN IF NOT EXISTS owner_hash text;
+
+CREATE OR REPLACE FUNCTION is_booking_admin()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+DROP POLICY IF EXISTS "Anyone can delete bookings" ON bookings;
+
+CREATE POLICY "Admins can delete bookings"
+  ON bookings
+  FOR DELETE
+  TO authenticated
+  USING (is_booking_admin());
+
+DROP POLICY IF EXISTS "Anyone can update booking series" ON booking_series;
+DROP POLICY IF EXISTS "Anyone can delete booking series" ON booking_series;
+
+CREATE POLICY "Anyone can delete empty booking series"
+  ON booking_series
+  FOR DELETE
+  TO anon, authenticated
+  USING (NOT EXISTS (SELECT 1 FROM bookings WHERE bookings.series_id = booking_series.id));
+
+CREATE OR REPLACE FUNCTION cancel_booking(
+  p_room text,
+  p_date text,
+  p_start_mins integer,
+  p_owner_token text,
+  p_scope text DEFAULT 'one'
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+  deleted integer := 0;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room = p_room AND date = p_date AND start_mins = p_start_mins;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  IF NOT is_booking_admin() AND (
+    target.owner_hash IS NULL
+    OR p_owner_token IS NULL
+    OR target.owner_hash <> encode(digest(p_owner_token, 'sha256'), 'hex')
+  ) THEN
+    RAISE EXCEPTION 'Du kan ikke slette denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_scope = 'following' AND target.series_id IS NOT NULL THEN
+    DELETE FROM bookings
+    WHERE series_id = target.series_id
+      AND date >= target.date
+      AND (is_booking_admin() OR owner_hash = target.owner_hash);
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+
+    UPDATE booking_series
+    SET until_date = to_char(target.date::date - 1, 'YYYY-MM-DD'),
+        occurrence_count = NULL
+    WHERE id = target.series_id;
+  ELSE
+    DELETE FROM bookings WHERE id = target.id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+  END IF;
+
+  RETURN deleted;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cancel_booking(text, text, integer, text, text) TO anon, authenticated;
@@ -0,0 +1,168 @@
+/*
+  # Managed rooms table
+
+  1. New Tables
+    - `rooms`
+      - `id` (text, primary key) - stable slug, e.g. `lokale-301` (also used in URLs)
+      - `name` (text) - display name, e.g. "Lokale 301"
+      - `capacity` (integer) - number of people
+      - `floor` (integer, nullable)
+      - `equipment` (text[]) - e.g. {Skærm,Whiteboard}
+      - `active` (boolean) - inactive rooms are hidden from room selection
+      - `sort_order` (integer) - order of the room cards
+      - `created_at` (timestamptz)
+
+  2. Data migration
+    - Seed the three existing rooms
+    - `bookings.room` / `booking_series.room` held display strings such as
+      "Lokale 301 (22 personer)"; they are mapped to `room_id`
+    - Unknown legacy strings become inactive rooms, so no history is orphaned
+
+  3. Changes to `bookings` and `booking_series`
+    - Add `room_id` (text, NOT NULL) referencing `rooms(id)`
+    - Drop the old `room` column (renaming a room no longer touches bookings)
+    - Overlap exclusion constraint now uses `room_id`
+    - `cancel_booking` takes `p_room_id` instead of `p_room`
+
+  4. Security
+    - Enable RLS on `rooms`; anyone can read, only admins can change rooms
+*/
+
+CREATE TABLE IF NOT EXISTS rooms (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  capacity integer NOT NULL CHECK (capacity > 0),
+  floor integer,
+  equipment text[] NOT NULL DEFAULT '{}',
+  active boolean NOT NULL DEFAULT true,
+  sort_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+INSERT INTO rooms (id, name, capacity, floor, sort_order) VALUES
+  ('lokale-301', 'Lokale 301', 22, 3, 1),
+  ('lokale-308', 'Lokale 308', 6, 3, 2),
+  ('lokale-315', 'Lokale 315', 6, 3, 3)
+ON CONFLICT (id) DO NOTHING;
+
+-- Legacy display strings -> room ids
+CREATE TEMP TABLE legacy_room_map (legacy text PRIMARY KEY, room_id text NOT NULL);
+
+INSERT INTO legacy_room_map (legacy, room_id) VALUES
+  ('Lokale 301 (22 personer)', 'lokale-301'),
+  ('Lokale 308 (6 personer)', 'lokale-308'),
+  ('Lokale 315 (6 personer)', 'lokale-315');
+
+INSERT INTO legacy_room_map (legacy, room_id)
+SELECT DISTINCT room, 'legacy-' || left(md5(room), 8)
+FROM (SELECT room FROM bookings UNION SELECT room FROM booking_series) r
+WHERE room NOT IN (SELECT legacy FROM legacy_room_map);
+
+INSERT INTO rooms (id, name, capacity, active, sort_order)
+SELECT room_id, legacy, 1, false, 100
+FROM legacy_room_map
+ON CONFLICT (id) DO NOTHING;
+
+-- bookings
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS room_id text REFERENCES rooms(id);
+
+UPDATE bookings b SET room_id = m.room_id FROM legacy_room_map m WHERE b.room = m.legacy;
+
+ALTER TABLE bookings ALTER COLUMN room_id SET NOT NULL;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    date WITH =,
+    int4range(start_mins, end_mins) WITH &&
+  );
+
+DROP INDEX IF EXISTS idx_bookings_room;
+CREATE INDEX IF NOT EXISTS idx_bookings_room_id ON bookings(room_id);
+
+-- booking_series
+ALTER TABLE booking_series ADD COLUMN IF NOT EXISTS room_id text REFERENCES rooms(id);
+
+UPDATE booking_series s SET room_id = m.room_id FROM legacy_room_map m WHERE s.room = m.legacy;
+
+ALTER TABLE booking_series ALTER COLUMN room_id SET NOT NULL;
+
+-- cancel_booking looked bookings up by room; replace it before dropping the column
+DROP FUNCTION IF EXISTS cancel_booking(text, text, integer, text, text);
+
+ALTER TABLE bookings DROP COLUMN room;
+ALTER TABLE booking_series DROP COLUMN room;
+
+DROP TABLE legacy_room_map;
+
+CREATE OR REPLACE FUNCTION cancel_booking(
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_owner_token text,
+  p_scope text DEFAULT 'one'
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+  deleted integer := 0;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room_id = p_room_id AND date = p_date AND start_mins = p_start_mins;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  IF NOT is_booking_admin() AND (
+    target.owner_hash IS NULL
+    OR p_owner_token IS NULL
+    OR target.owner_hash <> encode(digest(p_owner_token, 'sha256'), 'hex')
+  ) THEN
+    RAISE EXCEPTION 'Du kan ikke slette denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_scope = 'following' AND target.series_id IS NOT NULL THEN
+    DELETE FROM bookings
+    WHERE series_id = target.series_id
+      AND date >= target.date
+      AND (is_booking_admin() OR owner_hash = target.owner_hash);
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+
+    UPDATE booking_series
+    SET until_date = to_char(target.date::date - 1, 'YYYY-MM-DD'),
+        occurrence_count = NULL
+    WHERE id = target.series_id;
+  ELSE
+    DELETE FROM bookings WHERE id = target.id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+  END IF;
+
+  RETURN deleted;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cancel_booking(text, text, integer, text, text) TO anon, authenticated;
+
+ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view rooms"
+  ON rooms
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage rooms"
+  ON rooms
+  FOR ALL
+  TO authenticated
+  USING (is_booking_admin())
+  WITH CHECK (is_booking_admin());
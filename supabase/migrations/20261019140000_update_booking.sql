@@ -0,0 +1,101 @@
+/*
+  # Edit and move bookings
+
+  1. Triggers
+    - `bookings_set_updated_at` keeps `updated_at` correct on every update
+
+  2. New Functions
+    - `booking_owner_matches(owner_hash, owner_token)` - same owner check as
+      `cancel_booking`: the token must hash to `owner_hash`, or the caller is an admin
+    - `update_booking(...)` - changes name, room, date and time of one booking
+      in a single UPDATE, so the slot is never free in between
+      - Raises insufficient_privilege (42501) unless the caller owns the booking
+      - Raises no_data_found (P0002) if the booking no longer exists
+      - Overlaps with other bookings fail with exclusion_violation (23P01)
+      - Returns the updated row
+
+  3. Security
+    - No update policy on `bookings`; anon must go through `update_booking`
+*/
+
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_set_updated_at ON bookings;
+
+CREATE TRIGGER bookings_set_updated_at
+  BEFORE UPDATE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION set_updated_at();
+
+CREATE OR REPLACE FUNCTION booking_owner_matches(p_owner_hash text, p_owner_token text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT is_booking_admin() OR (
+    p_owner_hash IS NOT NULL
+    AND p_owner_token IS NOT NULL
+    AND p_owner_hash = encode(digest(p_owner_token, 'sha256'), 'hex')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION update_booking(
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_owner_token text,
+  p_new_room_id text,
+  p_new_date text,
+  p_new_start_mins integer,
+  p_new_end_mins integer,
+  p_new_name text
+)
+RETURNS bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room_id = p_room_id AND date = p_date AND start_mins = p_start_mins
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bookingen findes ikke længere' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Du kan ikke ændre denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(trim(p_new_name), '') = '' THEN
+    RAISE EXCEPTION 'Navn mangler' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE bookings
+  SET room_id = p_new_room_id,
+      date = p_new_date,
+      start_mins = p_new_start_mins,
+      end_mins = p_new_end_mins,
+      name = trim(p_new_name)
+  WHERE id = target.id
+  RETURNING * INTO target;
+
+  RETURN target;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_booking(text, text, integer, text, text, text, integer, integer, text)
+  TO anon, authenticated;
@@ -0,0 +1,277 @@
+/*
+  # Booking history (audit log) with soft delete and restore
+
+  1. Changes to `bookings`
+    - Add `deleted_at` (timestamptz, nullable) - set when a booking is cancelled
+    - Cancelled rows stay in the table so they can be restored
+    - The overlap exclusion constraint only applies to rows where `deleted_at IS NULL`
+
+  2. New Tables
+    - `booking_audit`
+      - `id` (bigint, identity)
+      - `booking_id` (text) - `bookings.id`
+      - `room_id` / `date` (text) - copied from the row, for filtering by room or day
+      - `action` (text) - insert | update | delete | restore | purge
+      - `old_data` / `new_data` (jsonb) - the full row before and after
+      - `actor` (text) - admin e-mail, or `browser:<first 8 chars of owner_hash>`
+      - `changed_at` (timestamptz)
+
+  3. Triggers
+    - `bookings_audit` records every insert, update and delete on `bookings`
+    - A change of `deleted_at` is logged as `delete` / `restore`; a real DELETE
+      (admin clean-up) is logged as `purge`
+
+  4. Functions
+    - `set_booking_actor(p_owner_token)` - stores the actor for the audit trigger
+    - `cancel_booking` now soft-deletes (sets `deleted_at`)
+    - `update_booking` ignores cancelled rows
+    - New `restore_booking(p_booking_id, p_owner_token)`; fails with
+      exclusion_violation (23P01) if the slot has been booked again
+
+  5. Security
+    - Enable RLS on `booking_audit`; anyone can read it, nobody can write
+      directly (only the SECURITY DEFINER trigger inserts rows)
+*/
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    room_id WITH =,
+    date WITH =,
+    int4range(start_mins, end_mins) WITH &&
+  )
+  WHERE (deleted_at IS NULL);
+
+CREATE TABLE IF NOT EXISTS booking_audit (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  booking_id text NOT NULL,
+  room_id text,
+  date text,
+  action text NOT NULL CHECK (action IN ('insert', 'update', 'delete', 'restore', 'purge')),
+  old_data jsonb,
+  new_data jsonb,
+  actor text NOT NULL,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_audit_room_date ON booking_audit(room_id, date);
+CREATE INDEX IF NOT EXISTS idx_booking_audit_booking_id ON booking_audit(booking_id);
+
+ALTER TABLE booking_audit ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view booking history"
+  ON booking_audit
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE OR REPLACE FUNCTION set_booking_actor(p_owner_token text)
+RETURNS void
+LANGUAGE plpgsql
+SET search_path = public, extensions
+AS $$
+BEGIN
+  PERFORM set_config(
+    'app.actor',
+    coalesce(
+      auth.jwt() ->> 'email',
+      'browser:' || left(encode(digest(p_owner_token, 'sha256'), 'hex'), 8),
+      ''
+    ),
+    true
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION log_booking_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row bookings%ROWTYPE;
+  v_action text;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    v_row := NEW;
+    v_action := 'insert';
+  ELSIF TG_OP = 'DELETE' THEN
+    v_row := OLD;
+    v_action := 'purge';
+  ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    v_row := NEW;
+    v_action := 'delete';
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    v_row := NEW;
+    v_action := 'restore';
+  ELSE
+    v_row := NEW;
+    v_action := 'update';
+  END IF;
+
+  INSERT INTO booking_audit (booking_id, room_id, date, action, old_data, new_data, actor)
+  VALUES (
+    v_row.id,
+    v_row.room_id,
+    v_row.date,
+    v_action,
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    coalesce(
+      nullif(current_setting('app.actor', true), ''),
+      auth.jwt() ->> 'email',
+      'browser:' || left(v_row.owner_hash, 8),
+      'ukendt'
+    )
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_audit ON bookings;
+
+CREATE TRIGGER bookings_audit
+  AFTER INSERT OR UPDATE OR DELETE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION log_booking_change();
+
+CREATE OR REPLACE FUNCTION cancel_booking(
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_owner_token text,
+  p_scope text DEFAULT 'one'
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+  deleted integer := 0;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room_id = p_room_id AND date = p_date AND start_mins = p_start_mins AND deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Du kan ikke slette denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM set_booking_actor(p_owner_token);
+
+  IF p_scope = 'following' AND target.series_id IS NOT NULL THEN
+    UPDATE bookings
+    SET deleted_at = now()
+    WHERE series_id = target.series_id
+      AND date >= target.date
+      AND deleted_at IS NULL
+      AND (is_booking_admin() OR owner_hash = target.owner_hash);
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+
+    UPDATE booking_series
+    SET until_date = to_char(target.date::date - 1, 'YYYY-MM-DD'),
+        occurrence_count = NULL
+    WHERE id = target.series_id;
+  ELSE
+    UPDATE bookings SET deleted_at = now() WHERE id = target.id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+  END IF;
+
+  RETURN deleted;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_booking(
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_owner_token text,
+  p_new_room_id text,
+  p_new_date text,
+  p_new_start_mins integer,
+  p_new_end_mins integer,
+  p_new_name text
+)
+RETURNS bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room_id = p_room_id AND date = p_date AND start_mins = p_start_mins AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bookingen findes ikke længere' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Du kan ikke ændre denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(trim(p_new_name), '') = '' THEN
+    RAISE EXCEPTION 'Navn mangler' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM set_booking_actor(p_owner_token);
+
+  UPDATE bookings
+  SET room_id = p_new_room_id,
+      date = p_new_date,
+      start_mins = p_new_start_mins,
+      end_mins = p_new_end_mins,
+      name = trim(p_new_name)
+  WHERE id = target.id
+  RETURNING * INTO target;
+
+  RETURN target;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION restore_booking(p_booking_id text, p_owner_token text)
+RETURNS bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE id = p_booking_id AND deleted_at IS NOT NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bookingen kan ikke gendannes' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Du kan ikke gendanne denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM set_booking_actor(p_owner_token);
+
+  UPDATE bookings SET deleted_at = NULL WHERE id = target.id RETURNING * INTO target;
+
+  RETURN target;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION restore_booking(text, text) TO anon, authenticated;
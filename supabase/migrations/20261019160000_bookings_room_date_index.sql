@@ -0,0 +1,17 @@
+/*
+  # Index for week queries
+
+  1. Indexes
+    - `idx_bookings_room_id_date` on `bookings(room_id, date)` for active rows
+    - The calendar now loads one room for a few weeks at a time
+      (`room_id = ? AND date BETWEEN ? AND ?`) instead of every booking
+      ever made for the room
+
+  2. Notes
+    - Realtime subscriptions now use a server-side `room_id=eq.<id>` filter,
+      which needs no schema change
+*/
+
+CREATE INDEX IF NOT EXISTS idx_bookings_room_id_date
+  ON bookings(room_id, date)
+  WHERE deleted_at IS NULL;
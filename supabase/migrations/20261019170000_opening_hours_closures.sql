@@ -0,0 +1,234 @@
+/*
+  # Opening hours, closed dates and Danish public holidays
+
+  1. New Tables
+    - `opening_hours`
+      - `room_id` (text, nullable) - NULL = default for all rooms
+      - `weekday` (smallint) - ISO weekday (1 = Monday ... 7 = Sunday), same as `booking_series.weekdays`
+      - `open_mins` / `close_mins` (integer) - minutes from midnight, whole 15-minute steps
+      - A weekday without a row is closed
+      - A room with rows of its own uses only those; other rooms use the default rows
+      - Seeded with the old fixed hours: Monday–Friday 08:00–17:00
+    - `closures` - admin-defined closed dates (e.g. summer break)
+      - `id` (bigint, identity)
+      - `room_id` (text, nullable) - NULL = all rooms
+      - `start_date` / `end_date` (text, YYYY-MM-DD, both inclusive)
+      - `reason` (text) - shown in the calendar
+
+  2. New Functions
+    - `easter_sunday(p_year)` - Gregorian Easter (anonymous algorithm)
+    - `danish_holiday(p_date)` - name of the public holiday on that date, or NULL.
+      Computed from Easter, so no yearly maintenance; Store Bededag only until 2023
+    - `booking_closed_reason(room_id, date, start_mins, end_mins)` - NULL when the
+      room is open for the whole time range, otherwise why it is not
+
+  3. Triggers
+    - `bookings_check_open` rejects new, moved and restored bookings in closed
+      time with check_violation (23514). Unchanged rows (rename, soft delete) are
+      not checked, so existing bookings on a new closure can still be handled
+
+  4. Security
+    - Enable RLS on both tables; anyone can read, only admins can change them
+*/
+
+CREATE TABLE IF NOT EXISTS opening_hours (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  room_id text REFERENCES rooms(id) ON DELETE CASCADE,
+  weekday smallint NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+  open_mins integer NOT NULL CHECK (open_mins % 15 = 0),
+  close_mins integer NOT NULL CHECK (close_mins % 15 = 0),
+  CHECK (open_mins >= 0 AND close_mins > open_mins AND close_mins <= 1440)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS opening_hours_room_weekday_key
+  ON opening_hours (coalesce(room_id, ''), weekday);
+
+INSERT INTO opening_hours (room_id, weekday, open_mins, close_mins)
+SELECT NULL, d, 8 * 60, 17 * 60
+FROM generate_series(1, 5) AS d
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS closures (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  room_id text REFERENCES rooms(id) ON DELETE CASCADE,
+  start_date text NOT NULL CHECK (start_date ~ '^\d{4}-\d{2}-\d{2}$'),
+  end_date text NOT NULL CHECK (end_date ~ '^\d{4}-\d{2}-\d{2}$'),
+  reason text NOT NULL DEFAULT '',
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_closures_dates ON closures(start_date, end_date);
+
+CREATE OR REPLACE FUNCTION easter_sunday(p_year integer)
+RETURNS date
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  a integer := p_year % 19;
+  b integer := p_year / 100;
+  c integer := p_year % 100;
+  d integer := b / 4;
+  e integer := b % 4;
+  f integer := (b + 8) / 25;
+  g integer := (b - f + 1) / 3;
+  h integer := (19 * a + b - d - g + 15) % 30;
+  i integer := c / 4;
+  k integer := c % 4;
+  l integer := (32 + 2 * e + 2 * i - h - k) % 7;
+  m integer := (a + 11 * h + 22 * l) / 451;
+  v_month integer := (h + l - 7 * m + 114) / 31;
+  v_day integer := (h + l - 7 * m + 114) % 31 + 1;
+BEGIN
+  RETURN make_date(p_year, v_month, v_day);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION danish_holiday(p_date date)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  easter date := easter_sunday(extract(year FROM p_date)::integer);
+  mmdd text := to_char(p_date, 'MM-DD');
+BEGIN
+  IF mmdd = '01-01' THEN RETURN 'Nytårsdag'; END IF;
+  IF mmdd = '12-25' THEN RETURN 'Juledag'; END IF;
+  IF mmdd = '12-26' THEN RETURN '2. juledag'; END IF;
+
+  CASE p_date - easter
+    WHEN -3 THEN RETURN 'Skærtorsdag';
+    WHEN -2 THEN RETURN 'Langfredag';
+    WHEN 0 THEN RETURN 'Påskedag';
+    WHEN 1 THEN RETURN '2. påskedag';
+    WHEN 26 THEN
+      -- Store Bededag was abolished as a public holiday from 2024
+      IF extract(year FROM p_date) < 2024 THEN RETURN 'Store bededag'; END IF;
+    WHEN 39 THEN RETURN 'Kristi himmelfartsdag';
+    WHEN 49 THEN RETURN 'Pinsedag';
+    WHEN 50 THEN RETURN '2. pinsedag';
+    ELSE NULL;
+  END CASE;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION booking_closed_reason(
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_end_mins integer
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_holiday text;
+  v_reason text;
+  v_hours opening_hours%ROWTYPE;
+BEGIN
+  v_holiday := danish_holiday(p_date::date);
+  IF v_holiday IS NOT NULL THEN
+    RETURN v_holiday;
+  END IF;
+
+  SELECT coalesce(nullif(reason, ''), 'Lukket') INTO v_reason
+  FROM closures
+  WHERE (room_id IS NULL OR room_id = p_room_id)
+    AND p_date BETWEEN start_date AND end_date
+  LIMIT 1;
+  IF FOUND THEN
+    RETURN v_reason;
+  END IF;
+
+  SELECT * INTO v_hours
+  FROM opening_hours
+  WHERE weekday = extract(isodow FROM p_date::date)
+    AND (
+      room_id = p_room_id
+      OR (room_id IS NULL AND NOT EXISTS (SELECT 1 FROM opening_hours WHERE room_id = p_room_id))
+    );
+  IF NOT FOUND THEN
+    RETURN 'Lukket denne ugedag';
+  END IF;
+
+  IF p_start_mins < v_hours.open_mins OR p_end_mins > v_hours.close_mins THEN
+    RETURN 'Uden for åbningstiden';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION check_booking_open()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_reason text;
+BEGIN
+  IF NEW.deleted_at IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Renaming an active booking: the time range is unchanged
+  IF TG_OP = 'UPDATE'
+    AND OLD.deleted_at IS NULL
+    AND NEW.room_id = OLD.room_id
+    AND NEW.date = OLD.date
+    AND NEW.start_mins = OLD.start_mins
+    AND NEW.end_mins = OLD.end_mins
+  THEN
+    RETURN NEW;
+  END IF;
+
+  v_reason := booking_closed_reason(NEW.room_id, NEW.date, NEW.start_mins, NEW.end_mins);
+  IF v_reason IS NOT NULL THEN
+    RAISE EXCEPTION 'Lokalet er lukket: %', v_reason USING ERRCODE = '23514';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_check_open ON bookings;
+
+CREATE TRIGGER bookings_check_open
+  BEFORE INSERT OR UPDATE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION check_booking_open();
+
+ALTER TABLE opening_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE closures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view opening hours"
+  ON opening_hours
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage opening hours"
+  ON opening_hours
+  FOR ALL
+  TO authenticated
+  USING (is_booking_admin())
+  WITH CHECK (is_booking_admin());
+
+CREATE POLICY "Anyone can view closures"
+  ON closures
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage closures"
+  ON closures
+  FOR ALL
+  TO authenticated
+  USING (is_booking_admin())
+  WITH CHECK (is_booking_admin());
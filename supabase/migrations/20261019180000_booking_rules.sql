@@ -0,0 +1,186 @@
+/*
+  # Booking rules: no past bookings, booking horizon, weekly quota, max duration
+
+  1. New Tables
+    - `booking_rules`
+      - `room_id` (text, nullable) - NULL = default for all rooms; a room with a
+        row of its own uses only that row
+      - `max_days_ahead` (integer, nullable) - latest bookable date, counted from today
+      - `max_hours_per_week` (numeric, nullable) - per person and ISO week, all rooms together
+      - `max_duration_mins` (integer, nullable) - longest consecutive booking, including
+        the same person's bookings right before and after in the same room
+      - NULL in a column = no limit
+      - Seeded with 90 days ahead, 10 hours per week and 4 hours in a row
+
+  2. Rules that always apply
+    - A booking may not start in the past. The slot that is running now (up to
+      30 minutes back, the app's slot size) can still be booked
+
+  3. New Functions
+    - `booking_rule_violation(...)` - NULL when the booking follows the rules,
+      otherwise the broken rule: past | horizon | quota | duration
+
+  4. Triggers
+    - `bookings_check_policy` rejects new, moved and restored bookings that break
+      a rule with raise_exception (P0001). The rule name is sent as the error HINT
+      so the app can explain it. Renames and admins are not checked
+    - A person is identified by the booker name (case and surrounding spaces ignored),
+      which is what the app shows
+
+  5. Security
+    - Enable RLS on `booking_rules`; anyone can read, only admins can change it
+*/
+
+CREATE TABLE IF NOT EXISTS booking_rules (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  room_id text REFERENCES rooms(id) ON DELETE CASCADE,
+  max_days_ahead integer CHECK (max_days_ahead > 0),
+  max_hours_per_week numeric CHECK (max_hours_per_week > 0),
+  max_duration_mins integer CHECK (max_duration_mins > 0),
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS booking_rules_room_key ON booking_rules (coalesce(room_id, ''));
+
+INSERT INTO booking_rules (room_id, max_days_ahead, max_hours_per_week, max_duration_mins)
+VALUES (NULL, 90, 10, 240)
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION booking_rule_violation(
+  p_booking_id text,
+  p_room_id text,
+  p_date text,
+  p_start_mins integer,
+  p_end_mins integer,
+  p_name text
+)
+RETURNS text
+LANGUAGE plpgsql
+-- VOLATILE (default): a multi-row insert (a series) must see the rows inserted before it
+SET search_path = public
+AS $$
+DECLARE
+  v_rules booking_rules%ROWTYPE;
+  v_today date := (now() AT TIME ZONE 'Europe/Copenhagen')::date;
+  v_start timestamptz := (p_date::date + make_interval(mins => p_start_mins)) AT TIME ZONE 'Europe/Copenhagen';
+  v_person text := lower(trim(p_name));
+  v_week_from text := to_char(date_trunc('week', p_date::date), 'YYYY-MM-DD');
+  v_week_to text := to_char(date_trunc('week', p_date::date) + interval '6 days', 'YYYY-MM-DD');
+  v_week_mins integer;
+  v_block_start integer := p_start_mins;
+  v_block_end integer := p_end_mins;
+  v_next integer;
+BEGIN
+  IF v_start < now() - interval '30 minutes' THEN
+    RETURN 'past';
+  END IF;
+
+  SELECT * INTO v_rules
+  FROM booking_rules
+  WHERE room_id = p_room_id
+     OR (room_id IS NULL AND NOT EXISTS (SELECT 1 FROM booking_rules WHERE room_id = p_room_id))
+  ORDER BY room_id NULLS LAST
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_rules.max_days_ahead IS NOT NULL AND p_date::date > v_today + v_rules.max_days_ahead THEN
+    RETURN 'horizon';
+  END IF;
+
+  IF v_rules.max_duration_mins IS NOT NULL THEN
+    -- Extend the block with the same person's bookings that touch it
+    LOOP
+      SELECT start_mins INTO v_next
+      FROM bookings
+      WHERE room_id = p_room_id AND date = p_date AND end_mins = v_block_start
+        AND deleted_at IS NULL AND id IS DISTINCT FROM p_booking_id AND lower(trim(name)) = v_person;
+      EXIT WHEN NOT FOUND;
+      v_block_start := v_next;
+    END LOOP;
+    LOOP
+      SELECT end_mins INTO v_next
+      FROM bookings
+      WHERE room_id = p_room_id AND date = p_date AND start_mins = v_block_end
+        AND deleted_at IS NULL AND id IS DISTINCT FROM p_booking_id AND lower(trim(name)) = v_person;
+      EXIT WHEN NOT FOUND;
+      v_block_end := v_next;
+    END LOOP;
+
+    IF v_block_end - v_block_start > v_rules.max_duration_mins THEN
+      RETURN 'duration';
+    END IF;
+  END IF;
+
+  IF v_rules.max_hours_per_week IS NOT NULL THEN
+    SELECT coalesce(sum(end_mins - start_mins), 0) INTO v_week_mins
+    FROM bookings
+    WHERE date BETWEEN v_week_from AND v_week_to
+      AND deleted_at IS NULL
+      AND id IS DISTINCT FROM p_booking_id
+      AND lower(trim(name)) = v_person;
+
+    IF v_week_mins + (p_end_mins - p_start_mins) > v_rules.max_hours_per_week * 60 THEN
+      RETURN 'quota';
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION check_booking_policy()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_rule text;
+BEGIN
+  IF NEW.deleted_at IS NOT NULL OR is_booking_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  -- Renaming an active booking: the time range is unchanged
+  IF TG_OP = 'UPDATE'
+    AND OLD.deleted_at IS NULL
+    AND NEW.room_id = OLD.room_id
+    AND NEW.date = OLD.date
+    AND NEW.start_mins = OLD.start_mins
+    AND NEW.end_mins = OLD.end_mins
+  THEN
+    RETURN NEW;
+  END IF;
+
+  v_rule := booking_rule_violation(NEW.id, NEW.room_id, NEW.date, NEW.start_mins, NEW.end_mins, NEW.name);
+  IF v_rule IS NOT NULL THEN
+    RAISE EXCEPTION 'Bookingen bryder en bookingregel (%)', v_rule
+      USING ERRCODE = 'P0001', HINT = v_rule;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_check_policy ON bookings;
+
+CREATE TRIGGER bookings_check_policy
+  BEFORE INSERT OR UPDATE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION check_booking_policy();
+
+ALTER TABLE booking_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view booking rules"
+  ON booking_rules
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage booking rules"
+  ON booking_rules
+  FOR ALL
+  TO authenticated
+  USING (is_booking_admin())
+  WITH CHECK (is_booking_admin());
@@ -0,0 +1,219 @@
+/*
+  # Waitlist for booked slots
+
+  1. New Tables
+    - `booking_waitlist`
+      - `id` (bigint, identity)
+      - `room_id` / `date` / `start_mins` / `end_mins` - the time range the person wants
+        (the booked slot they joined the list for)
+      - `name` (text), `owner_hash` (text) - same meaning as on `bookings`
+      - `status` (text) - waiting | offered | claimed | cancelled
+      - `offered_at` / `offer_expires_at` (timestamptz) - set when the slot frees up
+      - `created_at` (timestamptz) - order on the list
+
+  2. Flow
+    - When an active booking is cancelled, moved away or purged, the first waiting
+      entry whose range is now completely free is offered the slot for 15 minutes
+    - While the offer runs, only that person (or an admin) can book in the range;
+      others get raise_exception (P0001) with HINT `held`, like the booking rules
+    - When the person books the range, the entry becomes `claimed`
+    - After 15 minutes the slot is open to everyone; nothing else happens
+    - `leave_waitlist(p_id, p_owner_token)` cancels an entry; a declined offer
+      goes to the next person in line
+
+  3. Realtime
+    - `booking_waitlist` is added to the `supabase_realtime` publication, so a
+      browser can listen for offers on its own `owner_hash`
+
+  4. Security
+    - Enable RLS; anyone can read and join (as `waiting`), changes go through
+      `leave_waitlist` and the triggers
+*/
+
+CREATE TABLE IF NOT EXISTS booking_waitlist (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  room_id text NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  date text NOT NULL,
+  start_mins integer NOT NULL,
+  end_mins integer NOT NULL,
+  name text NOT NULL CHECK (trim(name) <> ''),
+  owner_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'cancelled')),
+  offered_at timestamptz,
+  offer_expires_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (start_mins >= 0 AND end_mins > start_mins AND end_mins <= 1440)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_room_date ON booking_waitlist(room_id, date);
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_owner ON booking_waitlist(owner_hash);
+
+-- One open entry per person and slot
+CREATE UNIQUE INDEX IF NOT EXISTS booking_waitlist_open_key
+  ON booking_waitlist (room_id, date, start_mins, owner_hash)
+  WHERE status IN ('waiting', 'offered');
+
+-- Offer the range to the first waiting person, if it is free and not already offered
+CREATE OR REPLACE FUNCTION offer_waitlist_slot(p_room_id text, p_date text, p_start_mins integer, p_end_mins integer)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE booking_waitlist
+  SET status = 'offered',
+      offered_at = now(),
+      offer_expires_at = now() + interval '15 minutes'
+  WHERE id = (
+    SELECT w.id
+    FROM booking_waitlist w
+    WHERE w.room_id = p_room_id
+      AND w.date = p_date
+      AND w.status = 'waiting'
+      AND int4range(w.start_mins, w.end_mins) && int4range(p_start_mins, p_end_mins)
+      AND NOT EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.room_id = w.room_id AND b.date = w.date AND b.deleted_at IS NULL
+          AND int4range(b.start_mins, b.end_mins) && int4range(w.start_mins, w.end_mins)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM booking_waitlist o
+        WHERE o.room_id = w.room_id AND o.date = w.date AND o.status = 'offered'
+          AND o.offer_expires_at > now()
+          AND int4range(o.start_mins, o.end_mins) && int4range(w.start_mins, w.end_mins)
+      )
+    ORDER BY w.created_at
+    LIMIT 1
+  );
+END;
+$$;
+
+-- A booking left its time range (cancelled, moved or purged): offer it to the waitlist
+CREATE OR REPLACE FUNCTION offer_freed_booking_slot()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.deleted_at IS NOT NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP = 'DELETE'
+    OR NEW.deleted_at IS NOT NULL
+    OR NEW.room_id <> OLD.room_id
+    OR NEW.date <> OLD.date
+    OR NEW.start_mins <> OLD.start_mins
+    OR NEW.end_mins <> OLD.end_mins
+  THEN
+    PERFORM offer_waitlist_slot(OLD.room_id, OLD.date, OLD.start_mins, OLD.end_mins);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_offer_waitlist ON bookings;
+
+CREATE TRIGGER bookings_offer_waitlist
+  AFTER UPDATE OR DELETE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION offer_freed_booking_slot();
+
+-- While an offer runs, only the offered person can book the range; their booking claims it
+CREATE OR REPLACE FUNCTION check_waitlist_hold()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.deleted_at IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+    AND OLD.deleted_at IS NULL
+    AND NEW.room_id = OLD.room_id
+    AND NEW.date = OLD.date
+    AND NEW.start_mins = OLD.start_mins
+    AND NEW.end_mins = OLD.end_mins
+  THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT is_booking_admin() AND EXISTS (
+    SELECT 1 FROM booking_waitlist w
+    WHERE w.room_id = NEW.room_id AND w.date = NEW.date AND w.status = 'offered'
+      AND w.offer_expires_at > now()
+      AND int4range(w.start_mins, w.end_mins) && int4range(NEW.start_mins, NEW.end_mins)
+      AND w.owner_hash IS DISTINCT FROM NEW.owner_hash
+  ) THEN
+    RAISE EXCEPTION 'Tidsrummet er holdt til den første på ventelisten'
+      USING ERRCODE = 'P0001', HINT = 'held';
+  END IF;
+
+  UPDATE booking_waitlist
+  SET status = 'claimed'
+  WHERE room_id = NEW.room_id AND date = NEW.date
+    AND status IN ('waiting', 'offered')
+    AND owner_hash = NEW.owner_hash
+    AND int4range(start_mins, end_mins) && int4range(NEW.start_mins, NEW.end_mins);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_check_waitlist ON bookings;
+
+CREATE TRIGGER bookings_check_waitlist
+  BEFORE INSERT OR UPDATE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION check_waitlist_hold();
+
+CREATE OR REPLACE FUNCTION leave_waitlist(p_id bigint, p_owner_token text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target booking_waitlist%ROWTYPE;
+BEGIN
+  SELECT * INTO target FROM booking_waitlist WHERE id = p_id FOR UPDATE;
+
+  IF NOT FOUND OR target.status NOT IN ('waiting', 'offered') THEN
+    RAISE EXCEPTION 'Pladsen på ventelisten findes ikke længere' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Du kan ikke fjerne denne plads på ventelisten' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE booking_waitlist SET status = 'cancelled' WHERE id = target.id;
+
+  IF target.status = 'offered' THEN
+    PERFORM offer_waitlist_slot(target.room_id, target.date, target.start_mins, target.end_mins);
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION leave_waitlist(bigint, text) TO anon, authenticated;
+
+ALTER TABLE booking_waitlist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view the waitlist"
+  ON booking_waitlist
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Anyone can join the waitlist"
+  ON booking_waitlist
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (status = 'waiting' AND offered_at IS NULL AND offer_expires_at IS NULL);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE booking_waitlist;
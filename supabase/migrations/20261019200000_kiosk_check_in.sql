@@ -0,0 +1,172 @@
+/*
+  # Door tablet check-in and automatic release of no-shows
+
+  1. Changes to `rooms`
+    - Add `check_in_grace_mins` (integer, nullable) - minutes a booker has to check
+      in on the door tablet after the booking starts. NULL = no check-in needed
+    - Set to 10 minutes for the rooms with a tablet: 301, 308 and 315
+
+  2. Changes to `bookings`
+    - Add `checked_in_at` (timestamptz, nullable) - set by `check_in_booking`
+
+  3. Changes to `booking_audit`
+    - New action `checkin`; the audit trigger logs a check-in as that instead of `update`
+
+  4. New Functions
+    - `check_in_booking(p_room_id, p_date, p_start_mins)` - checks a running booking in.
+      Anyone may call it: being at the tablet is the proof. Allowed from 10 minutes
+      before the start until the booking ends
+    - `release_no_show_bookings()` - soft-deletes today's bookings in rooms with
+      check-in that nobody checked in to within the grace period. The grace counts
+      from the start, or from when the booking was made if that was later. Logged
+      with the actor `auto-release`; the waitlist trigger offers the freed time as usual
+
+  5. Scheduling
+    - Runs every minute with pg_cron where the extension is available. The kiosk
+      view also calls it every minute, so a room with a tablet is released either way
+
+  6. Security
+    - Both functions are SECURITY DEFINER and granted to anon and authenticated
+*/
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS check_in_grace_mins integer CHECK (check_in_grace_mins > 0);
+
+UPDATE rooms SET check_in_grace_mins = 10 WHERE id IN ('lokale-301', 'lokale-308', 'lokale-315');
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_at timestamptz;
+
+ALTER TABLE booking_audit DROP CONSTRAINT IF EXISTS booking_audit_action_check;
+
+ALTER TABLE booking_audit
+  ADD CONSTRAINT booking_audit_action_check
+  CHECK (action IN ('insert', 'update', 'delete', 'restore', 'purge', 'checkin'));
+
+CREATE OR REPLACE FUNCTION log_booking_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row bookings%ROWTYPE;
+  v_action text;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    v_row := NEW;
+    v_action := 'insert';
+  ELSIF TG_OP = 'DELETE' THEN
+    v_row := OLD;
+    v_action := 'purge';
+  ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    v_row := NEW;
+    v_action := 'delete';
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    v_row := NEW;
+    v_action := 'restore';
+  ELSIF OLD.checked_in_at IS NULL AND NEW.checked_in_at IS NOT NULL THEN
+    v_row := NEW;
+    v_action := 'checkin';
+  ELSE
+    v_row := NEW;
+    v_action := 'update';
+  END IF;
+
+  INSERT INTO booking_audit (booking_id, room_id, date, action, old_data, new_data, actor)
+  VALUES (
+    v_row.id,
+    v_row.room_id,
+    v_row.date,
+    v_action,
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    coalesce(
+      nullif(current_setting('app.actor', true), ''),
+      auth.jwt() ->> 'email',
+      'browser:' || left(v_row.owner_hash, 8),
+      'ukendt'
+    )
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION check_in_booking(p_room_id text, p_date text, p_start_mins integer)
+RETURNS bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+  v_start timestamptz;
+  v_end timestamptz;
+BEGIN
+  SELECT * INTO target
+  FROM bookings
+  WHERE room_id = p_room_id AND date = p_date AND start_mins = p_start_mins AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bookingen findes ikke længere' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF target.checked_in_at IS NOT NULL THEN
+    RETURN target;
+  END IF;
+
+  v_start := (target.date::date + make_interval(mins => target.start_mins)) AT TIME ZONE 'Europe/Copenhagen';
+  v_end := (target.date::date + make_interval(mins => target.end_mins)) AT TIME ZONE 'Europe/Copenhagen';
+  IF now() < v_start - interval '10 minutes' OR now() >= v_end THEN
+    RAISE EXCEPTION 'Der kan kun tjekkes ind lige før og under bookingen' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM set_config('app.actor', 'kiosk', true);
+
+  UPDATE bookings SET checked_in_at = now() WHERE id = target.id RETURNING * INTO target;
+
+  RETURN target;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION check_in_booking(text, text, integer) TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION release_no_show_bookings()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  released integer;
+BEGIN
+  PERFORM set_config('app.actor', 'auto-release', true);
+
+  UPDATE bookings b
+  SET deleted_at = now()
+  FROM rooms r
+  WHERE r.id = b.room_id
+    AND r.check_in_grace_mins IS NOT NULL
+    AND b.deleted_at IS NULL
+    AND b.checked_in_at IS NULL
+    AND b.date = to_char(now() AT TIME ZONE 'Europe/Copenhagen', 'YYYY-MM-DD')
+    AND greatest(
+      (b.date::date + make_interval(mins => b.start_mins)) AT TIME ZONE 'Europe/Copenhagen',
+      coalesce(b.created_at, '-infinity')
+    ) + make_interval(mins => r.check_in_grace_mins) < now();
+  GET DIAGNOSTICS released = ROW_COUNT;
+
+  RETURN released;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION release_no_show_bookings() TO anon, authenticated;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_cron') THEN
+    CREATE EXTENSION IF NOT EXISTS pg_cron;
+    PERFORM cron.schedule('release-no-show-bookings', '* * * * *', 'SELECT release_no_show_bookings()');
+  END IF;
+END;
+$$;
@@ -0,0 +1,228 @@
+/*
+  # Email confirmations, reminders and cancellations
+
+  1. New Tables
+    - `booking_contacts` - optional email address for a booking, kept apart from
+      `bookings` because everyone can read that table
+      - `booking_id` (text, primary key) - `bookings.id`
+      - `email` (text)
+      - `locale` (text) - da | en, the language the booker used in the app
+      - `confirmation_sent_at` / `reminder_sent_at` / `cancellation_sent_at` (timestamptz)
+        - set by the `booking-email` edge function, so every mail is sent once
+
+  2. New Functions
+    - `set_booking_email(p_booking_ids, p_owner_token, p_email, p_locale)` - attach
+      (or with an empty email: remove) an address; only the booking's owner or an admin
+    - `booking_email_queue(p_reminder_mins)` - the mails that are due:
+      - `confirmation` for new bookings that have not ended yet
+      - `reminder` for bookings starting within `p_reminder_mins`
+      - `cancellation` for confirmed bookings that were cancelled before they ended
+    - `cancel_booking_from_email(p_booking_id, p_scope)` - used by the edge function
+      after it has checked the signed cancel link; same scopes as `cancel_booking`
+
+  3. Changes to `bookings`
+    - Moving a booking to another time clears `reminder_sent_at`, so the reminder
+      follows the new time
+
+  4. Scheduling
+    - pg_cron calls the edge function every minute through pg_net, where both
+      extensions are available. The function URL and service role key are read
+      from Supabase Vault (secrets `project_url` and `service_role_key`)
+
+  5. Security
+    - Enable RLS on `booking_contacts` with no policies: addresses are only
+      reachable through the functions above
+    - `booking_email_queue` and `cancel_booking_from_email` are for the service role only
+*/
+
+CREATE TABLE IF NOT EXISTS booking_contacts (
+  booking_id text PRIMARY KEY REFERENCES bookings(id) ON DELETE CASCADE,
+  email text NOT NULL CHECK (email ~ '^[^@\s]+@[^@\s]+\.[^@\s]+$'),
+  locale text NOT NULL DEFAULT 'da' CHECK (locale IN ('da', 'en')),
+  confirmation_sent_at timestamptz,
+  reminder_sent_at timestamptz,
+  cancellation_sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE booking_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION set_booking_email(
+  p_booking_ids text[],
+  p_owner_token text,
+  p_email text,
+  p_locale text DEFAULT 'da'
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM bookings
+    WHERE id = ANY (p_booking_ids) AND NOT booking_owner_matches(owner_hash, p_owner_token)
+  ) THEN
+    RAISE EXCEPTION 'Du kan ikke ændre e-mail på denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(trim(p_email), '') = '' THEN
+    DELETE FROM booking_contacts WHERE booking_id = ANY (p_booking_ids);
+    RETURN;
+  END IF;
+
+  INSERT INTO booking_contacts (booking_id, email, locale)
+  SELECT b.id, trim(p_email), CASE WHEN p_locale = 'en' THEN 'en' ELSE 'da' END
+  FROM bookings b
+  WHERE b.id = ANY (p_booking_ids) AND b.deleted_at IS NULL
+  ON CONFLICT (booking_id) DO UPDATE
+    SET email = EXCLUDED.email, locale = EXCLUDED.locale;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_booking_email(text[], text, text, text) TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION booking_email_queue(p_reminder_mins integer)
+RETURNS TABLE (
+  kind text,
+  booking_id text,
+  series_id text,
+  room_id text,
+  room_name text,
+  date text,
+  start_mins integer,
+  end_mins integer,
+  name text,
+  email text,
+  locale text
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH due AS (
+    SELECT
+      c.*,
+      b.series_id::text AS series_id,
+      b.room_id,
+      r.name AS room_name,
+      b.date,
+      b.start_mins,
+      b.end_mins,
+      b.name,
+      b.deleted_at,
+      (b.date::date + make_interval(mins => b.start_mins)) AT TIME ZONE 'Europe/Copenhagen' AS starts_at,
+      (b.date::date + make_interval(mins => b.end_mins)) AT TIME ZONE 'Europe/Copenhagen' AS ends_at
+    FROM booking_contacts c
+    JOIN bookings b ON b.id = c.booking_id
+    JOIN rooms r ON r.id = b.room_id
+  )
+  SELECT 'confirmation', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale
+  FROM due
+  WHERE confirmation_sent_at IS NULL AND deleted_at IS NULL AND ends_at > now()
+  UNION ALL
+  SELECT 'reminder', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale
+  FROM due
+  WHERE reminder_sent_at IS NULL AND confirmation_sent_at IS NOT NULL AND deleted_at IS NULL
+    AND starts_at > now() AND starts_at <= now() + make_interval(mins => p_reminder_mins)
+  UNION ALL
+  SELECT 'cancellation', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale
+  FROM due
+  WHERE cancellation_sent_at IS NULL AND confirmation_sent_at IS NOT NULL AND deleted_at IS NOT NULL
+    AND ends_at > now()
+  ORDER BY 1, 6, 7;
+$$;
+
+REVOKE EXECUTE ON FUNCTION booking_email_queue(integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION booking_email_queue(integer) TO service_role;
+
+CREATE OR REPLACE FUNCTION cancel_booking_from_email(p_booking_id text, p_scope text DEFAULT 'one')
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  target bookings%ROWTYPE;
+  deleted integer := 0;
+BEGIN
+  SELECT * INTO target FROM bookings WHERE id = p_booking_id AND deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bookingen findes ikke længere' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM set_config('app.actor', 'email-link', true);
+
+  IF p_scope = 'following' AND target.series_id IS NOT NULL THEN
+    UPDATE bookings
+    SET deleted_at = now()
+    WHERE series_id = target.series_id
+      AND date >= target.date
+      AND deleted_at IS NULL
+      AND owner_hash IS NOT DISTINCT FROM target.owner_hash;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+
+    UPDATE booking_series
+    SET until_date = to_char(target.date::date - 1, 'YYYY-MM-DD'),
+        occurrence_count = NULL
+    WHERE id = target.series_id;
+  ELSE
+    UPDATE bookings SET deleted_at = now() WHERE id = target.id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+  END IF;
+
+  RETURN deleted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION cancel_booking_from_email(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking_from_email(text, text) TO service_role;
+
+-- A moved booking gets its reminder again, at the new time
+CREATE OR REPLACE FUNCTION reset_booking_reminder()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.date <> OLD.date OR NEW.start_mins <> OLD.start_mins THEN
+    UPDATE booking_contacts SET reminder_sent_at = NULL WHERE booking_id = NEW.id;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_reset_reminder ON bookings;
+
+CREATE TRIGGER bookings_reset_reminder
+  AFTER UPDATE ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION reset_booking_reminder();
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_cron')
+    AND EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_net')
+  THEN
+    CREATE EXTENSION IF NOT EXISTS pg_cron;
+    CREATE EXTENSION IF NOT EXISTS pg_net;
+    PERFORM cron.schedule(
+      'send-booking-emails',
+      '* * * * *',
+      $job$
+        SELECT net.http_post(
+          url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/booking-email',
+          headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+          ),
+          body := '{"action": "run"}'::jsonb
+        )
+      $job$
+    );
+  END IF;
+END;
+$$;
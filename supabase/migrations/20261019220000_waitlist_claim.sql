@@ -0,0 +1,121 @@
+/*
+  # Claim a waitlist offer with the owner token
+
+  1. Problem
+    - `check_waitlist_hold` let a booking into a held range when its `owner_hash`
+      matched the offered entry. On INSERT that hash is whatever the client sends,
+      and `booking_waitlist.owner_hash` is readable by anyone, so the hold could be
+      taken (and the offered person's entries marked `claimed`) with a copied hash
+
+  2. Changes
+    - `check_waitlist_hold`: an INSERT never passes a running hold and no longer
+      claims entries. UPDATEs only come from `update_booking`/`restore_booking`,
+      which check the owner token first, so their `owner_hash` is still trusted
+    - New function `claim_waitlist_offer(p_id, p_owner_token, p_name, p_start_mins, p_end_mins)`:
+      checks the token against the entry's `owner_hash` like `cancel_booking`,
+      marks the person's open entries for the range `claimed` and books the range.
+      The time range must overlap the offered one; opening hours, rules and overlap
+      are checked by the usual triggers. Returns the new booking
+    - An expired or declined offer gives no_data_found (P0002)
+
+  3. Security
+    - `claim_waitlist_offer` is SECURITY DEFINER and granted to anon and authenticated
+*/
+
+CREATE OR REPLACE FUNCTION check_waitlist_hold()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.deleted_at IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+    AND OLD.deleted_at IS NULL
+    AND NEW.room_id = OLD.room_id
+    AND NEW.date = OLD.date
+    AND NEW.start_mins = OLD.start_mins
+    AND NEW.end_mins = OLD.end_mins
+  THEN
+    RETURN NEW;
+  END IF;
+
+  -- owner_hash på en INSERT er ikke bevist; den der har tilbuddet, booker via claim_waitlist_offer
+  IF NOT is_booking_admin() AND EXISTS (
+    SELECT 1 FROM booking_waitlist w
+    WHERE w.room_id = NEW.room_id AND w.date = NEW.date AND w.status = 'offered'
+      AND w.offer_expires_at > now()
+      AND int4range(w.start_mins, w.end_mins) && int4range(NEW.start_mins, NEW.end_mins)
+      AND (TG_OP = 'INSERT' OR w.owner_hash IS DISTINCT FROM NEW.owner_hash)
+  ) THEN
+    RAISE EXCEPTION 'Tidsrummet er holdt til den første på ventelisten'
+      USING ERRCODE = 'P0001', HINT = 'held';
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    UPDATE booking_waitlist
+    SET status = 'claimed'
+    WHERE room_id = NEW.room_id AND date = NEW.date
+      AND status IN ('waiting', 'offered')
+      AND owner_hash = NEW.owner_hash
+      AND int4range(start_mins, end_mins) && int4range(NEW.start_mins, NEW.end_mins);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION claim_waitlist_offer(
+  p_id bigint,
+  p_owner_token text,
+  p_name text,
+  p_start_mins integer,
+  p_end_mins integer
+)
+RETURNS SETOF bookings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  target booking_waitlist%ROWTYPE;
+BEGIN
+  SELECT * INTO target FROM booking_waitlist WHERE id = p_id FOR UPDATE;
+
+  IF NOT FOUND OR target.status <> 'offered' OR target.offer_expires_at <= now() THEN
+    RAISE EXCEPTION 'Tilbuddet fra ventelisten er udløbet' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT booking_owner_matches(target.owner_hash, p_owner_token) THEN
+    RAISE EXCEPTION 'Tilbuddet fra ventelisten er til en anden' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT int4range(target.start_mins, target.end_mins) && int4range(p_start_mins, p_end_mins) THEN
+    RAISE EXCEPTION 'Tidsrummet er ikke det, der blev tilbudt' USING ERRCODE = '22023';
+  END IF;
+
+  IF coalesce(trim(p_name), '') = '' THEN
+    RAISE EXCEPTION 'Navn mangler' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM set_booking_actor(p_owner_token);
+
+  -- Først claimed, så holdet ikke længere gælder; fejler indsættelsen, rulles det tilbage
+  UPDATE booking_waitlist
+  SET status = 'claimed'
+  WHERE room_id = target.room_id AND date = target.date
+    AND status IN ('waiting', 'offered')
+    AND owner_hash = target.owner_hash
+    AND int4range(start_mins, end_mins) && int4range(p_start_mins, p_end_mins);
+
+  RETURN QUERY
+  INSERT INTO bookings (id, room_id, date, start_mins, end_mins, name, owner_hash)
+  VALUES (gen_random_uuid()::text, target.room_id, target.date, p_start_mins, p_end_mins, trim(p_name), target.owner_hash)
+  RETURNING *;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_waitlist_offer(bigint, text, text, integer, integer) TO anon, authenticated;
@@ -0,0 +1,20 @@
+/*
+  # New bookings cannot start checked in or cancelled
+
+  1. Problem
+    - The policy "Anyone can create bookings" allowed any row (`WITH CHECK (true)`), so a
+      client could insert a booking with `checked_in_at` already set and
+      `release_no_show_bookings()` would never release it
+
+  2. Security
+    - Replace the policy: an INSERT must have `checked_in_at IS NULL AND deleted_at IS NULL`.
+      Check-in goes through `check_in_booking`, and cancelling through `cancel_booking`
+*/
+
+DROP POLICY IF EXISTS "Anyone can create bookings" ON bookings;
+
+CREATE POLICY "Anyone can create bookings"
+  ON bookings
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (checked_in_at IS NULL AND deleted_at IS NULL);
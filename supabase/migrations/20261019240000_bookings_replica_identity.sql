@@ -0,0 +1,17 @@
+/*
+  # Realtime sees the old row of a booking
+
+  1. Problem
+    - The app subscribes to `bookings` with a server-side filter (`room_id=eq.…` in the
+      room calendar, `date=eq.…` in the day overview). With the default replica identity
+      an UPDATE only carries the new row, so a booking moved to another room or date was
+      never sent to the clients showing the old one, and they kept a booking in a slot
+      that was actually free
+
+  2. Changes
+    - `bookings` gets `REPLICA IDENTITY FULL`: UPDATE and DELETE events carry the whole
+      old row, the filter matches it too, and the app removes a booking whose new row
+      has left what it shows
+*/
+
+ALTER TABLE bookings REPLICA IDENTITY FULL;
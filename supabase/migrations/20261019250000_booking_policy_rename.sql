@@ -0,0 +1,47 @@
+/*
+  # Check the booking rules when a booking changes person
+
+  1. Problem
+    - `check_booking_policy` skipped the rules on every UPDATE that kept the time range,
+      but the weekly quota and the maximum length are counted per person
+      (`lower(trim(name))`). Someone at their quota could book under another name and
+      rename the booking through `update_booking` without the rules being checked
+
+  2. Changes
+    - The rules are only skipped when both the time range and the person are unchanged
+      (a check-in, or a rename that only changes spelling or case)
+*/
+
+CREATE OR REPLACE FUNCTION check_booking_policy()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_rule text;
+BEGIN
+  IF NEW.deleted_at IS NOT NULL OR is_booking_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  -- Same time range and same person: a check-in, or a new spelling of the name
+  IF TG_OP = 'UPDATE'
+    AND OLD.deleted_at IS NULL
+    AND NEW.room_id = OLD.room_id
+    AND NEW.date = OLD.date
+    AND NEW.start_mins = OLD.start_mins
+    AND NEW.end_mins = OLD.end_mins
+    AND lower(trim(NEW.name)) = lower(trim(OLD.name))
+  THEN
+    RETURN NEW;
+  END IF;
+
+  v_rule := booking_rule_violation(NEW.id, NEW.room_id, NEW.date, NEW.start_mins, NEW.end_mins, NEW.name);
+  IF v_rule IS NOT NULL THEN
+    RAISE EXCEPTION 'Bookingen bryder en bookingregel (%)', v_rule
+      USING ERRCODE = 'P0001', HINT = v_rule;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,114 @@
+/*
+  # Tie the signed cancel link to the email address it was sent to
+
+  1. Problem
+    - The `booking-email` edge function signed the booking id only, so a cancel link
+      stayed valid for as long as the booking existed, also after the address was
+      changed or removed and set again by someone else
+
+  2. Changes
+    - `booking_email_queue` also returns `contact_created_at`. The edge function signs
+      the booking id, the address and this timestamp, and checks the link against the
+      current `booking_contacts` row
+    - `set_booking_email`: changing the address resets `created_at`, so links sent to
+      the old address stop working. Setting the same address again keeps it
+
+  3. Security
+    - `booking_email_queue` is still for the service role only
+*/
+
+CREATE OR REPLACE FUNCTION set_booking_email(
+  p_booking_ids text[],
+  p_owner_token text,
+  p_email text,
+  p_locale text DEFAULT 'da'
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM bookings
+    WHERE id = ANY (p_booking_ids) AND NOT booking_owner_matches(owner_hash, p_owner_token)
+  ) THEN
+    RAISE EXCEPTION 'Du kan ikke ændre e-mail på denne booking' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(trim(p_email), '') = '' THEN
+    DELETE FROM booking_contacts WHERE booking_id = ANY (p_booking_ids);
+    RETURN;
+  END IF;
+
+  INSERT INTO booking_contacts (booking_id, email, locale)
+  SELECT b.id, trim(p_email), CASE WHEN p_locale = 'en' THEN 'en' ELSE 'da' END
+  FROM bookings b
+  WHERE b.id = ANY (p_booking_ids) AND b.deleted_at IS NULL
+  ON CONFLICT (booking_id) DO UPDATE
+    SET email = EXCLUDED.email,
+        locale = EXCLUDED.locale,
+        created_at = CASE
+          WHEN lower(booking_contacts.email) = lower(EXCLUDED.email) THEN booking_contacts.created_at
+          ELSE now()
+        END;
+END;
+$$;
+
+-- The return type changes, so the function is dropped first
+DROP FUNCTION IF EXISTS booking_email_queue(integer);
+
+CREATE FUNCTION booking_email_queue(p_reminder_mins integer)
+RETURNS TABLE (
+  kind text,
+  booking_id text,
+  series_id text,
+  room_id text,
+  room_name text,
+  date text,
+  start_mins integer,
+  end_mins integer,
+  name text,
+  email text,
+  locale text,
+  contact_created_at timestamptz
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH due AS (
+    SELECT
+      c.*,
+      b.series_id::text AS series_id,
+      b.room_id,
+      r.name AS room_name,
+      b.date,
+      b.start_mins,
+      b.end_mins,
+      b.name,
+      b.deleted_at,
+      (b.date::date + make_interval(mins => b.start_mins)) AT TIME ZONE 'Europe/Copenhagen' AS starts_at,
+      (b.date::date + make_interval(mins => b.end_mins)) AT TIME ZONE 'Europe/Copenhagen' AS ends_at
+    FROM booking_contacts c
+    JOIN bookings b ON b.id = c.booking_id
+    JOIN rooms r ON r.id = b.room_id
+  )
+  SELECT 'confirmation', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale, created_at
+  FROM due
+  WHERE confirmation_sent_at IS NULL AND deleted_at IS NULL AND ends_at > now()
+  UNION ALL
+  SELECT 'reminder', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale, created_at
+  FROM due
+  WHERE reminder_sent_at IS NULL AND confirmation_sent_at IS NOT NULL AND deleted_at IS NULL
+    AND starts_at > now() AND starts_at <= now() + make_interval(mins => p_reminder_mins)
+  UNION ALL
+  SELECT 'cancellation', booking_id, series_id, room_id, room_name, date, start_mins, end_mins, name, email, locale, created_at
+  FROM due
+  WHERE cancellation_sent_at IS NULL AND confirmation_sent_at IS NOT NULL AND deleted_at IS NOT NULL
+    AND ends_at > now()
+  ORDER BY 1, 6, 7;
+$$;
+
+REVOKE EXECUTE ON FUNCTION booking_email_queue(integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION booking_email_queue(integer) TO service_role;